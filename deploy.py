@@ -11,6 +11,14 @@ CONTENT_TYPES = {
     ".css": "text/css",
     ".js": "application/javascript",
     ".db": "application/octet-stream",
+    ".svg": "image/svg+xml",
+    ".png": "image/png",
+    ".jpg": "image/jpeg",
+    ".webp": "image/webp",
+    ".mp3": "audio/mpeg",
+    ".ogg": "audio/ogg",
+    ".wasm": "application/wasm",
+    ".webmanifest": "application/manifest+json",
 }
 
 CACHE_CONTROL = {
@@ -20,13 +28,29 @@ CACHE_CONTROL = {
     ".db": "max-age=300, s-maxage=60",
 }
 
+# Browsers must always see the latest service worker, or a bad one could pin old files
+NO_CACHE_FILES = {"sw.js"}
+
+SITE_FILES = ["index.html", "theme.css", "sw.js", "manifest.webmanifest"]
+
+# Question images and audio linked from the DBs by relative URL (e.g. `media/dranzer.webp`) live in
+# shared/media/ and resolve against the DB's URL in the assets bucket
+MEDIA_DIR = "media"
+
+# sql.js is served from our assets bucket (see sql_js_path in render.py) so it can be
+# pre-cached for offline play; the pinned version comes from package.json
+SQL_JS_FILES = ["sql-wasm.js", "sql-wasm.wasm"]
+
 ROOT = Path(__file__).parent
 
 
 def s3_cp(local: Path, s3_url: str) -> None:
     ext = local.suffix
     content_type = CONTENT_TYPES.get(ext, "application/octet-stream")
-    cache_control = CACHE_CONTROL.get(ext, "max-age=300, s-maxage=60")
+    if local.name in NO_CACHE_FILES:
+        cache_control = "no-cache"
+    else:
+        cache_control = CACHE_CONTROL.get(ext, "max-age=300, s-maxage=60")
     cmd = [
         "aws", "s3", "cp", str(local), s3_url,
         "--content-type", content_type,
@@ -49,7 +73,7 @@ def main():
     for prefix, quiz in config.items():
         s3_path = quiz["s3_path"]
         site_dir = ROOT / "sites" / prefix
-        for filename in ["index.html", "theme.css"]:
+        for filename in SITE_FILES:
             local = site_dir / filename
             if local.exists():
                 s3_cp(local, f"s3://quizhive.org/{s3_path}/{filename}")
@@ -67,6 +91,24 @@ def main():
         if path.suffix in CONTENT_TYPES:
             s3_cp(path, f"s3://assets.quizhive.org/{path.name}")
 
+    # Deploy question media to s3://assets.quizhive.org/media/
+    media_dir = shared_dir / MEDIA_DIR
+    if media_dir.is_dir():
+        print(f"\nDeploying question media to s3://assets.quizhive.org/{MEDIA_DIR}/")
+        for path in sorted(media_dir.rglob("*")):
+            if path.is_file() and path.suffix in CONTENT_TYPES:
+                s3_cp(path, f"s3://assets.quizhive.org/{MEDIA_DIR}/{path.relative_to(media_dir).as_posix()}")
+
+    # Deploy sql.js to s3://assets.quizhive.org/sql.js/
+    print("\nDeploying sql.js to s3://assets.quizhive.org/sql.js/")
+    sql_js_dir = ROOT / "node_modules" / "sql.js" / "dist"
+    for filename in SQL_JS_FILES:
+        local = sql_js_dir / filename
+        if not local.exists():
+            print(f"  ERROR: {local} not found — run `npm install` first", file=sys.stderr)
+            sys.exit(1)
+        s3_cp(local, f"s3://assets.quizhive.org/sql.js/{filename}")
+
     print("\nDone!")
 
 
@@ -1,7 +1,9 @@
 #!/usr/bin/env python3
-"""Render a single quiz site's index.html from the Jinja2 template."""
+"""Render a single quiz site (index.html, service worker and web app manifest) from the Jinja2 templates."""
 
 import argparse
+import json
+import re
 import sys
 import tomllib
 from pathlib import Path
@@ -17,8 +19,19 @@ DEFAULTS = {
     "start_button": "Start Quiz",
     "logout_button": "Change User",
     "play_again": "Play Again",
+    "sql_js_path": "https://assets.quizhive.org/sql.js/",
+    "theme_color": "#1a1a2e",
+    "background_color": "#1a1a2e",
+    "icon": "https://assets.quizhive.org/icon.svg",
 }
 
+ASSETS_URL = "https://assets.quizhive.org"
+CONFETTI_URL = "https://cdn.jsdelivr.net/npm/canvas-confetti@1.9.2/dist/confetti.browser.min.js"
+
+# Bump when templates/sw.js.j2 changes how it caches or the set of precached files changes; players'
+# old caches are then dropped
+SW_CACHE_VERSION = 2
+
 
 def js_string(s: str) -> str:
     """Format a string as a JS single-quoted string literal."""
@@ -26,6 +39,40 @@ def js_string(s: str) -> str:
     return f"'{escaped}'"
 
 
+def js_value(value, indent: int = 12) -> str:
+    """Format a TOML value (string, number, boolean, array or table) as a JS literal.
+
+    Tables, and arrays holding tables or arrays, span several lines indented from `indent`;
+    a table of plain values inside an array (e.g. one achievement) stays on its line."""
+    if isinstance(value, bool):
+        return "true" if value else "false"
+    if isinstance(value, str):
+        return js_string(value)
+    inner = " " * (indent + 4)
+    if isinstance(value, dict):
+        entries = [f"{inner}{js_key(k)}: {js_value(v, indent + 4)}" for k, v in value.items()]
+        return "{\n" + ",\n".join(entries) + "\n" + " " * indent + "}"
+    if isinstance(value, list):
+        if any(isinstance(v, (dict, list)) for v in value):
+            entries = [f"{inner}{js_inline_table(v) if is_flat_table(v) else js_value(v, indent + 4)}" for v in value]
+            return "[\n" + ",\n".join(entries) + "\n" + " " * indent + "]"
+        return "[" + ", ".join(js_value(v) for v in value) + "]"
+    return str(value)
+
+
+def is_flat_table(value) -> bool:
+    return isinstance(value, dict) and not any(isinstance(v, (dict, list)) for v in value.values())
+
+
+def js_inline_table(table: dict) -> str:
+    return "{ " + ", ".join(f"{js_key(k)}: {js_value(v)}" for k, v in table.items()) + " }"
+
+
+def js_key(key: str) -> str:
+    """Format an object key: bare when it is an identifier, quoted otherwise (e.g. 'game.back')."""
+    return key if re.fullmatch(r"[A-Za-z_$][\w$]*", key) else js_string(key)
+
+
 def theme_to_js(theme: dict) -> str:
     """Convert a TOML theme dict to a JS object literal string."""
     lines = ["{"]
@@ -43,19 +90,67 @@ def theme_to_js(theme: dict) -> str:
                     f"                {{ min: {min_str},{padding} label: {js_string(rank['label'])} }},"
                 )
             lines.append(f"            ]{trailing}")
-        elif isinstance(value, list):
-            items = ", ".join(js_string(v) if isinstance(v, str) else str(v) for v in value)
-            lines.append(f"            {key}: [{items}]{trailing}")
-        elif isinstance(value, str):
-            lines.append(f"            {key}: {js_string(value)}{trailing}")
         else:
-            lines.append(f"            {key}: {value}{trailing}")
+            lines.append(f"            {js_key(key)}: {js_value(value)}{trailing}")
     lines.append("        }")
     return "\n".join(lines)
 
 
+def precache_urls(quiz: dict) -> list[str]:
+    """Everything the page needs to start offline (keep in sync with templates/index.html.j2).
+
+    Site files are relative to the quiz's directory; shared assets are absolute."""
+    return [
+        "./",
+        "theme.css",
+        "manifest.webmanifest",
+        f"https://fonts.googleapis.com/css2?family={quiz['google_fonts']}&display=swap",
+        CONFETTI_URL,
+        f"{quiz['sql_js_path']}sql-wasm.js",
+        f"{quiz['sql_js_path']}sql-wasm.wasm",
+        f"{ASSETS_URL}/styles.css",
+        f"{ASSETS_URL}/quiz-i18n.js",
+        f"{ASSETS_URL}/quiz-analytics.js",
+        f"{ASSETS_URL}/quiz-core.js",
+        f"{ASSETS_URL}/quiz-engine.js",
+        quiz["icon"],
+        f"{ASSETS_URL}/{quiz['db_file']}",
+        *(f"{ASSETS_URL}/{name}" for name in quiz.get("db_files", {}).values()),
+    ]
+
+
+def manifest(quiz: dict) -> str:
+    """Web app manifest that makes the quiz installable."""
+    icon_type = "image/svg+xml" if quiz["icon"].endswith(".svg") else "image/png"
+    return json.dumps({
+        "name": quiz["title"],
+        "short_name": quiz.get("short_name", quiz["title"]),
+        "description": quiz["subtitle"],
+        "start_url": "./",
+        "scope": "./",
+        "display": "standalone",
+        "theme_color": quiz["theme_color"],
+        "background_color": quiz["background_color"],
+        "icons": [{"src": quiz["icon"], "sizes": "any", "type": icon_type, "purpose": "any"}],
+    }, ensure_ascii=False, indent=2) + "\n"
+
+
+def render_service_worker(prefix: str, quiz: dict, env: Environment) -> str:
+    """Render sw.js for the given quiz."""
+    cache_prefix = f"quizhive-{prefix}-"
+    return env.get_template("sw.js.j2").render(
+        title=quiz["title"],
+        cache_prefix=cache_prefix,
+        cache_name=f"{cache_prefix}v{SW_CACHE_VERSION}",
+        db_url=f"{ASSETS_URL}/{quiz['db_file']}",
+        precache_js=json.dumps(precache_urls(quiz), indent=4),
+    )
+
+
 def render(prefix: str, output: str | None = None) -> str:
-    """Render index.html for the given quiz prefix."""
+    """Render index.html for the given quiz prefix.
+
+    With an output path, sw.js and manifest.webmanifest are written next to it."""
     config_path = Path(__file__).parent / "quizzes.toml"
     with open(config_path, "rb") as f:
         config = tomllib.load(f)
@@ -72,6 +167,10 @@ def render(prefix: str, output: str | None = None) -> str:
     template_vars["theme"] = theme
     if theme:
         template_vars["theme_js"] = theme_to_js(theme)
+    # Languages with a question DB of their own: locale -> file in shared/ (see QUIZ_DB_URLS)
+    if quiz.get("db_files"):
+        template_vars["db_urls_js"] = json.dumps(
+            {locale: f"{ASSETS_URL}/{name}" for locale, name in quiz["db_files"].items()}, ensure_ascii=False)
 
     env = Environment(
         loader=FileSystemLoader(Path(__file__).parent / "templates"),
@@ -84,6 +183,11 @@ def render(prefix: str, output: str | None = None) -> str:
         Path(output).parent.mkdir(parents=True, exist_ok=True)
         Path(output).write_text(result)
         print(f"Wrote {output}", file=sys.stderr)
+
+        site_dir = Path(output).parent
+        (site_dir / "sw.js").write_text(render_service_worker(prefix, template_vars, env))
+        (site_dir / "manifest.webmanifest").write_text(manifest(template_vars))
+        print(f"Wrote {site_dir / 'sw.js'} and {site_dir / 'manifest.webmanifest'}", file=sys.stderr)
     else:
         sys.stdout.write(result)
 
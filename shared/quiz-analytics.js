@@ -0,0 +1,188 @@
+/**
+ * Quiz Analytics
+ *
+ * Collects the gameplay events a QuizEngine reports (see QuizEngine#track) and hands them to an adapter
+ * in batches. It handles:
+ * - Batching: a batch goes out once ANALYTICS_BATCH_SIZE events are queued, ANALYTICS_FLUSH_MS after the
+ *   first one, and when the page is hidden (so the answers before a player leaves still arrive)
+ * - Do Not Track / Global Privacy Control and a per-browser opt-out: nothing is queued or sent
+ * - Adapters: beaconAdapter(url) posts with navigator.sendBeacon, consoleAdapter() logs, noopAdapter() drops
+ *
+ * A batch is { visit, sentAt, events: [{ name, at, ...fields }] }; `visit` is a random id per page load.
+ * Events carry no player names. An adapter is any object with send(batch) that returns false when the
+ * batch could not be handed over; the events are then kept and tried again ANALYTICS_FLUSH_MS later.
+ *
+ * Loads as a plain browser script (defines QuizAnalytics) or as a CommonJS module under Node.
+ */
+
+// Batching: events per batch, and the longest an event waits for the batch to fill
+const ANALYTICS_BATCH_SIZE = 20;
+const ANALYTICS_FLUSH_MS = 10000;
+
+// Events kept while the adapter keeps failing; the oldest are dropped beyond this
+const ANALYTICS_QUEUE_LIMIT = 200;
+
+// localStorage key of the opt-out; shared by every quiz on the site
+const ANALYTICS_OPT_OUT_KEY = 'quiz_analytics_opt_out';
+
+// Whether the browser asks not to be tracked (Do Not Track or Global Privacy Control)
+function browserDoNotTrack(nav = globalThis.navigator, win = globalThis.window) {
+    if (!nav) return false;
+    return nav.doNotTrack === '1' || nav.doNotTrack === 'yes' || nav.msDoNotTrack === '1' ||
+        (win && win.doNotTrack === '1') || nav.globalPrivacyControl === true;
+}
+
+// Random id for a page visit (not stored anywhere)
+function visitId() {
+    const crypto = globalThis.crypto;
+    if (crypto && typeof crypto.randomUUID === 'function') return crypto.randomUUID();
+    return Math.random().toString(36).slice(2) + Date.now().toString(36);
+}
+
+// Posts each batch as JSON to `url` with navigator.sendBeacon. The body is sent as text/plain, which
+// needs no CORS preflight; the collector reads it as JSON.
+function beaconAdapter(url) {
+    return {
+        send(batch) {
+            const nav = globalThis.navigator;
+            if (!nav || typeof nav.sendBeacon !== 'function') return false;
+            return nav.sendBeacon(url, JSON.stringify(batch));
+        }
+    };
+}
+
+// Logs each event to the console (for trying analytics out while developing a quiz)
+function consoleAdapter() {
+    return {
+        send(batch) {
+            batch.events.forEach(event => console.info('[analytics]', event.name, event));
+            return true;
+        }
+    };
+}
+
+// Drops every batch
+function noopAdapter() {
+    return {
+        send() {
+            return true;
+        }
+    };
+}
+
+class QuizAnalytics {
+    /**
+     * @param {Object} [options]
+     * @param {Object} [options.adapter] - Where batches go (default: noopAdapter())
+     * @param {Storage} [options.storage] - Where the opt-out is kept (default: localStorage)
+     * @param {Boolean} [options.doNotTrack] - The browser asks not to be tracked (default: read from navigator)
+     * @param {Number} [options.batchSize] - Events per batch (default: ANALYTICS_BATCH_SIZE)
+     * @param {Number} [options.flushMs] - Longest wait before a batch goes out (default: ANALYTICS_FLUSH_MS)
+     */
+    constructor(options = {}) {
+        this.adapter = options.adapter || noopAdapter();
+        this.storage = options.storage || globalThis.localStorage;
+        this.doNotTrack = options.doNotTrack !== undefined ? options.doNotTrack : browserDoNotTrack();
+        this.batchSize = options.batchSize || ANALYTICS_BATCH_SIZE;
+        this.flushMs = options.flushMs || ANALYTICS_FLUSH_MS;
+        this.optedOut = this.readOptOut();
+        this.visit = visitId();
+        this.queue = [];           // Events waiting for the next batch
+        this.flushTimer = null;    // Sends the queue when the batch doesn't fill up in time
+        this.retryPending = false; // The last send failed; wait for flushTimer instead of sending per event
+
+        // The page may not come back once hidden: send what's queued while the browser still allows it
+        if (typeof document !== 'undefined') {
+            document.addEventListener('visibilitychange', () => {
+                if (document.visibilityState === 'hidden') this.flush();
+            });
+        }
+    }
+
+    // Whether events are collected: not when the browser asks not to be tracked or the player opted out
+    isEnabled() {
+        return !this.doNotTrack && !this.optedOut;
+    }
+
+    // The opt-out saved in this browser
+    readOptOut() {
+        try {
+            return Boolean(this.storage) && this.storage.getItem(ANALYTICS_OPT_OUT_KEY) === '1';
+        } catch (e) {
+            return false; // Storage blocked: no choice could have been saved
+        }
+    }
+
+    // Opt this browser out of (or back into) analytics; opting out drops the events not sent yet
+    setOptOut(optOut) {
+        try {
+            if (optOut) this.storage.setItem(ANALYTICS_OPT_OUT_KEY, '1');
+            else this.storage.removeItem(ANALYTICS_OPT_OUT_KEY);
+        } catch (e) { /* storage blocked: the choice lasts for this page only */ }
+        this.optedOut = Boolean(optOut);
+        if (optOut) this.clear();
+    }
+
+    // Queue an event; `fields` are plain JSON values
+    track(name, fields = {}) {
+        if (!this.isEnabled()) return;
+        this.queue.push(Object.assign({ name, at: Date.now() }, fields));
+        if (this.queue.length > ANALYTICS_QUEUE_LIMIT) this.queue.splice(0, this.queue.length - ANALYTICS_QUEUE_LIMIT);
+
+        if (this.queue.length >= this.batchSize && !this.retryPending) {
+            this.flush();
+        } else if (!this.flushTimer) {
+            this.flushTimer = setTimeout(() => this.flush(), this.flushMs);
+        }
+    }
+
+    // Hand the queued events to the adapter. Returns whether they were sent; if not, they stay queued and
+    // are tried again after flushMs.
+    flush() {
+        clearTimeout(this.flushTimer);
+        this.flushTimer = null;
+        if (this.queue.length === 0) return true;
+        if (!this.isEnabled()) {
+            this.clear();
+            return false;
+        }
+
+        const events = this.queue.splice(0, this.queue.length);
+        let sent = false;
+        try {
+            sent = this.adapter.send({ visit: this.visit, sentAt: Date.now(), events }) !== false;
+        } catch (err) {
+            console.warn('Could not send analytics events:', err);
+        }
+
+        this.retryPending = !sent;
+        if (!sent) {
+            this.queue.unshift(...events);
+            this.flushTimer = setTimeout(() => this.flush(), this.flushMs);
+        }
+        return sent;
+    }
+
+    // Drop the queued events
+    clear() {
+        clearTimeout(this.flushTimer);
+        this.flushTimer = null;
+        this.queue = [];
+        this.retryPending = false;
+    }
+}
+
+Object.assign(QuizAnalytics, {
+    ANALYTICS_BATCH_SIZE,
+    ANALYTICS_FLUSH_MS,
+    ANALYTICS_QUEUE_LIMIT,
+    ANALYTICS_OPT_OUT_KEY,
+    browserDoNotTrack,
+    beaconAdapter,
+    consoleAdapter,
+    noopAdapter
+});
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = QuizAnalytics;
+}
@@ -0,0 +1,2418 @@
+/**
+ * Quiz Core
+ *
+ * Headless game logic for the quiz — no DOM access. It handles:
+ * - Loading questions from a SQLite .db file via sql.js (WASM), cached in IndexedDB
+ * - Question selection and randomization
+ * - User progress tracking via localStorage
+ * - Score, streak and timed-mode calculations
+ * - Achievements defined by the theme, earned as players play
+ * - Question reports from players, queued in IndexedDB and optionally posted to a collector
+ * - Gameplay events for an analytics tracker (see quiz-analytics.js)
+ * - Answer validation
+ * - The language being played: UI text from the locale catalogs (quiz-i18n.js) and per-language questions
+ *
+ * A QuizEngine reports what happens through events (see `on`); the default DOM
+ * renderer in quiz-engine.js listens to them. Engines share nothing, so several
+ * can run on one page.
+ *
+ * Usage:
+ *   const engine = new QuizEngine({ dbUrl: 'quiz.db', theme: { storagePrefix: 'my_quiz' } });
+ *   engine.on('questionShown', ({ question, position }) => { ... });
+ *   await engine.initDatabase();
+ *
+ * Loads as a plain browser script (defines QuizEngine) or as a CommonJS module under Node.
+ *
+ * Dependencies:
+ * - quiz-i18n.js (loaded first in the browser; required under Node)
+ * - sql.js (CDN or self-hosted, see `sqlJsPath`; or pass `initSqlJs` in the options)
+ */
+
+// Locale catalogs: the QuizI18n global in the browser, the module under Node
+const I18N = typeof QuizI18n !== 'undefined' ? QuizI18n : require('./quiz-i18n.js');
+
+// Theme configuration defaults
+const DEFAULT_THEME = {
+    storagePrefix: 'quiz_game',
+    questionsPerGame: 20,     // Default session length
+    sessionLengths: [],       // Lengths the player may pick, e.g. [10, 20, 50, 'all']; empty = no picker
+    selectionMode: 'buckets', // 'buckets' (unseen > incorrect > correct) or 'spaced' (SM-2 scheduler)
+    dailyQuestions: 10,       // Daily challenge length
+    timeLimit: 0,             // Seconds per question; 0 = untimed
+    speedBonus: 50,           // Timed mode: max bonus points for an instant answer
+    streakMultiplierStep: 0.1, // Timed mode: extra multiplier per consecutive correct answer
+    maxStreakMultiplier: 2,   // Timed mode: multiplier cap
+    locale: 'en',             // Language of the quiz's own texts and of DB rows without a locale
+    locales: [],              // Languages the player may switch between, e.g. ['en', 'es']; empty = only `locale`
+    translations: {},         // Per language: {es: {correctMessage: '…', ranks: […], 'game.back': '…'}} (see themeText, t)
+    correctMessage: '✨ Correct! The gods are pleased!',
+    funFactLabel: '📜 Did you know?',
+    confettiColors: ['#d4af37', '#f4e4a6', '#996515', '#ffffff'],
+    confettiStreakColors: ['#d4af37', '#f4e4a6', '#996515'],
+    ranks: [
+        { min: 100, label: '🏛️ Oracle of Delphi - Perfect Round!' },
+        { min: 90,  label: '⚡ Olympian Champion' },
+        { min: 75,  label: '🦁 Hero of Legend' },
+        { min: 60,  label: '⚔️ Worthy Warrior' },
+        { min: 40,  label: '📚 Eager Student' },
+        { min: 0,   label: '🌱 Humble Mortal' },
+    ],
+    // Achievements: {id, type, value, label?, description?}; `type` is one of ACHIEVEMENT_TYPES and `value` what
+    // it takes (see achievementProgress). Without a label or description the locale catalog words it.
+    achievements: [
+        { id: 'streak-10', type: 'streak', value: 10 },
+        { id: 'perfect-round', type: 'perfectRound', value: 10 },
+        { id: 'mastery-50', type: 'mastery', value: 50 },
+        { id: 'answered-1000', type: 'answered', value: 1000 },
+        { id: 'days-7', type: 'daysInARow', value: 7 },
+    ]
+};
+
+// Configuration
+const DB_CACHE_EVICT_AGE_MS = 90 * 24 * 60 * 60 * 1000; // Other quizzes' cached DBs unchecked this long are dropped
+const DAY_MS = 24 * 60 * 60 * 1000;
+const POINTS_PER_CORRECT = 100; // Timed mode base points
+const SQL_JS_CDN = 'https://cdnjs.cloudflare.com/ajax/libs/sql.js/1.11.0/'; // Default sqlJsPath
+
+// Spaced repetition (SM-2) parameters
+const SRS_INITIAL_EASE = 2.5;
+const SRS_MIN_EASE = 1.3;
+const SRS_QUALITY_CORRECT = 4;   // SM-2 grade (0-5) recorded for a correct answer
+const SRS_QUALITY_INCORRECT = 1; // SM-2 grade recorded for an incorrect answer
+
+// Version of the user data format stored in localStorage
+const USER_DATA_VERSION = 2;
+
+// Answer history storage budget: the raw log keeps only recent answers; older ones
+// survive in the per-day, per-question and per-distractor aggregates
+const ANSWER_LOG_LIMIT = 1000;
+const DAILY_HISTORY_DAYS = 365;
+
+// Progress export file format
+const PROGRESS_FILE_FORMAT = 'quiz-game-kit-progress';
+const PROGRESS_FILE_VERSION = 1;
+
+// Question reports: why a player may flag a question, the longest comment kept, and the export file format
+const REPORT_REASONS = ['wrongAnswer', 'typo', 'ambiguous', 'brokenLink'];
+const REPORT_COMMENT_LIMIT = 500;
+const REPORTS_FILE_FORMAT = 'quiz-game-kit-reports';
+const REPORT_CSV_COLUMNS = ['question_id', 'question', 'reason', 'comment', 'locale', 'reported_at'];
+
+// Columns every question bank must have (fun_fact, wiki_url, category, difficulty and type are optional)
+const REQUIRED_COLUMNS = ['id', 'question', 'option_a', 'option_b', 'option_c', 'option_d', 'correct'];
+
+// Question types (from the optional `type` column; anything else is treated as 'choice')
+const QUESTION_TYPES = ['choice', 'truefalse', 'multi', 'text'];
+
+// Local multiplayer: 'turns' = players take alternate questions, 'together' = everyone answers each question
+const MULTIPLAYER_MODES = ['turns', 'together'];
+const MIN_PLAYERS = 2;
+const MAX_PLAYERS = 6;
+
+// What an achievement's `value` counts: best answer streak, questions in a round answered without a mistake,
+// lifetime answers, lifetime correct answers, percent of the bank mastered, days played in a row (up to
+// today) and best daily challenge streak
+const ACHIEVEMENT_TYPES = ['streak', 'perfectRound', 'answered', 'correct', 'mastery', 'daysInARow', 'dailyStreak'];
+
+// Timeout wrapper — resolves to rejection if promise doesn't settle in time
+function withTimeout(promise, ms) {
+    return Promise.race([
+        promise,
+        new Promise((_, reject) => setTimeout(() => reject(new Error('timeout')), ms))
+    ]);
+}
+
+// Whether the DB has a table called `name`
+function hasTable(db, name) {
+    return db.exec(`SELECT name FROM sqlite_master WHERE type = 'table' AND name = '${name}'`).length > 0;
+}
+
+// How well a row in `rowLocale` suits the language being played: 0 the same locale, 1 the same language,
+// 2 the quiz's own language (rows without a locale are in it), null another language
+function localeRank(rowLocale, locale, defaultLocale) {
+    const code = (rowLocale || defaultLocale).toLowerCase();
+    if (code === locale.toLowerCase()) return 0;
+    if (I18N.baseLanguage(code) === I18N.baseLanguage(locale)) return 1;
+    if (code === defaultLocale.toLowerCase()) return 2;
+    return null;
+}
+
+// Rows of a multilingual table (a `locale` column; translations keep their question's id) for one language:
+// per question id, the rows with the best localeRank. `idOf` and `localeOf` read a row's id and locale.
+function pickLocaleRows(rows, idOf, localeOf, locale, defaultLocale) {
+    const best = new Map();
+    rows.forEach(row => {
+        const rank = localeRank(localeOf(row), locale, defaultLocale);
+        if (rank !== null && !(best.get(idOf(row)) <= rank)) best.set(idOf(row), rank);
+    });
+    return rows.filter(row => localeRank(localeOf(row), locale, defaultLocale) === best.get(idOf(row)));
+}
+
+// Read the optional `options` table: question id → {options, correct, images}, ordered by position.
+// Questions with rows here ignore option_a..option_d and the `correct` column. The `image` and `locale`
+// columns are optional; with a locale, each question gets the options in the language being played.
+function readOptionsTable(db, locale, defaultLocale) {
+    const byQuestion = new Map();
+    if (!hasTable(db, 'options')) return byQuestion;
+
+    const columns = new Set(db.exec('PRAGMA table_info(options)')[0].values.map(col => col[1]));
+    const optional = name => columns.has(name) ? name : 'NULL';
+    const results = db.exec(`SELECT question_id, text, is_correct, ${optional('image')}, ${optional('locale')} FROM options ORDER BY question_id, position`);
+    if (results.length === 0) return byQuestion;
+
+    let rows = results[0].values;
+    if (columns.has('locale')) rows = pickLocaleRows(rows, row => row[0], row => row[4], locale, defaultLocale);
+    for (const [questionId, text, isCorrect, image] of rows) {
+        if (!byQuestion.has(questionId)) byQuestion.set(questionId, { options: [], correct: [], images: [] });
+        const entry = byQuestion.get(questionId);
+        if (isCorrect) entry.correct.push(entry.options.length);
+        entry.options.push(text);
+        entry.images.push(image || '');
+    }
+    return byQuestion;
+}
+
+// Read the optional `media` table: name → {type, bytes} of the images and audio clips stored in the DB
+function readMediaTable(db) {
+    const media = new Map();
+    if (!hasTable(db, 'media')) return media;
+
+    const results = db.exec('SELECT name, type, data FROM media');
+    if (results.length === 0) return media;
+
+    for (const [name, type, data] of results[0].values) {
+        if (data instanceof Uint8Array) media.set(String(name), { type: type || '', bytes: data });
+    }
+    return media;
+}
+
+// Build {options, correct} from the option_a..option_d columns. Empty columns are dropped,
+// true/false questions default to the `trueFalse` labels, and `correct` may list several indices ("0,2").
+// A `correct` value pointing at a missing or empty column maps to -1 (rejected by validateQuestion).
+function columnOptions(type, columns, correctValue, trueFalse) {
+    const kept = columns.map((text, i) => ({ text, i })).filter(o => o.text != null && o.text !== '');
+    let options = kept.map(o => o.text);
+    let correct = correctValue == null ? [] : String(correctValue).split(',')
+        .map(v => kept.findIndex(o => o.i === Number(v.trim())));
+
+    if (type === 'truefalse' && options.length === 0) {
+        options = [...trueFalse];
+        correct = [Number(correctValue)];
+    }
+    if (type === 'text') {
+        // Every listed option is an accepted answer
+        correct = options.map((_, i) => i);
+    }
+    return { options, correct };
+}
+
+// Why a parsed question can't be played, or null when it's fine
+function validateQuestion(q) {
+    if (q.id == null) return 'missing id';
+    if (q.question == null || String(q.question).trim() === '') return 'missing question text';
+    if (q.options.some(option => option == null || String(option).trim() === '')) return 'empty option';
+
+    if (q.type === 'text') {
+        return q.options.length === 0 ? 'no accepted answers' : null;
+    }
+
+    if (q.options.length < 2) return `only ${q.options.length} option(s)`;
+    if (q.type === 'truefalse' && q.options.length !== 2) return `true/false with ${q.options.length} options`;
+    if (q.correct.length === 0) return 'no correct answer';
+    if (q.correct.some(i => !Number.isInteger(i) || i < 0 || i >= q.options.length)) {
+        return `correct answer out of range (${q.options.length} options)`;
+    }
+
+    const texts = q.options.map(option => String(option).trim().replace(/\s+/g, ' ').toLowerCase());
+    if (new Set(texts).size !== texts.length) return 'duplicate options';
+    return null;
+}
+
+// Local Storage record helpers
+function newUserData() {
+    return {
+        version: USER_DATA_VERSION,
+        seenQuestions: [],      // Ids of all questions user has seen
+        correctQuestions: [],   // Ids of questions user has answered correctly
+        totalCorrect: 0,        // Lifetime correct answers
+        totalAnswered: 0,       // Lifetime total answers
+        srs: {},                // Question id → spaced repetition card (see updateSrsCard)
+        activeSession: null,    // In-progress session snapshot for resuming after a reload (see saveSession)
+        history: newHistory(),  // Answer log and lifetime aggregates for the stats screen
+        dailyChallenge: newDailyChallenge(),
+        bestSession: null,      // Best finished session: {score, total, percentage, points, at} (see compareSessions)
+        achievements: {}        // Achievement id → when it was earned (see checkAchievements)
+    };
+}
+
+function newDailyChallenge() {
+    return {
+        lastDay: null,    // 'YYYY-MM-DD' of the last daily challenge completed
+        lastAnswers: [],  // Its result per question: 1 correct, 0 wrong
+        streak: 0,        // Consecutive days completed, up to lastDay
+        bestStreak: 0
+    };
+}
+
+function newHistory() {
+    return {
+        log: [],          // Recent answers: [timestamp, questionId, choice, correct (0/1), timeTakenMs]
+        daily: {},        // 'YYYY-MM-DD' → [answered, correct]
+        questions: {},    // Question id → [answered, correct]
+        distractors: {},  // Question id → {optionIndex: times picked while wrong}
+        bestStreak: 0
+    };
+}
+
+// Local calendar day of a timestamp as 'YYYY-MM-DD'
+function dayKey(timestamp) {
+    const d = new Date(timestamp);
+    return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+}
+
+// The calendar day before a 'YYYY-MM-DD' day
+function previousDayKey(day) {
+    const [year, month, date] = day.split('-').map(Number);
+    return dayKey(new Date(year, month - 1, date - 1).getTime());
+}
+
+// Days in a row with answers in a history's `daily` aggregate, counting back from `day`
+function daysInARow(daily, day) {
+    let count = 0;
+    for (; daily[day]; day = previousDayKey(day)) count++;
+    return count;
+}
+
+// Keep the newest `logLimit` log entries and the last DAILY_HISTORY_DAYS days of activity
+function trimHistory(history, logLimit) {
+    if (!history) return;
+    if (history.log.length > logLimit) history.log.splice(0, history.log.length - logLimit);
+    const days = Object.keys(history.daily).sort();
+    days.slice(0, Math.max(0, days.length - DAILY_HISTORY_DAYS)).forEach(day => delete history.daily[day]);
+}
+
+// When a question was last reviewed, according to its SM-2 card
+function lastReviewedAt(card) {
+    return card ? card.due - card.interval * DAY_MS : -Infinity;
+}
+
+// Merge imported user data into existing data: seen/correct ids are combined, the most recently
+// reviewed SM-2 card wins (and decides whether the question still counts as correct), and lifetime
+// counters keep the larger value so importing the same file twice doesn't double them
+function mergeUserData(existing, imported) {
+    const merged = Object.assign(newUserData(), existing);
+
+    merged.srs = Object.assign({}, existing.srs);
+    for (const [id, card] of Object.entries(imported.srs || {})) {
+        if (lastReviewedAt(card) > lastReviewedAt(merged.srs[id])) merged.srs[id] = card;
+    }
+
+    merged.seenQuestions = [...new Set([...existing.seenQuestions, ...imported.seenQuestions])];
+    merged.correctQuestions = [...new Set([...existing.correctQuestions, ...imported.correctQuestions])]
+        .filter(id => !merged.srs[id] || merged.srs[id].reps > 0);
+
+    merged.totalCorrect = Math.max(existing.totalCorrect, imported.totalCorrect);
+    merged.totalAnswered = Math.max(existing.totalAnswered, imported.totalAnswered);
+    merged.activeSession = existing.activeSession || imported.activeSession || null;
+    merged.history = mergeHistory(existing.history || newHistory(), imported.history || newHistory());
+    merged.bestSession = compareSessions(imported.bestSession, existing.bestSession) > 0 ? imported.bestSession : existing.bestSession || null;
+    merged.dailyChallenge = mergeDailyChallenge(existing.dailyChallenge || newDailyChallenge(), imported.dailyChallenge || newDailyChallenge());
+    merged.achievements = Object.assign({}, imported.achievements, existing.achievements);
+    for (const [id, earnedAt] of Object.entries(imported.achievements || {})) {
+        merged.achievements[id] = Math.min(merged.achievements[id], earnedAt);
+    }
+    return merged;
+}
+
+// Merge daily challenge records: the one with the later lastDay wins, keeping the best streak of both
+function mergeDailyChallenge(existing, imported) {
+    const latest = (imported.lastDay || '') > (existing.lastDay || '') ? imported : existing;
+    return Object.assign({}, latest, { bestStreak: Math.max(existing.bestStreak, imported.bestStreak) });
+}
+
+// Merge answer histories: logs are combined without duplicates, aggregates keep the larger count per key
+function mergeHistory(existing, imported) {
+    const maxPairs = (a, b) => {
+        const result = Object.assign({}, a);
+        for (const [key, pair] of Object.entries(b)) {
+            result[key] = result[key] ? [Math.max(result[key][0], pair[0]), Math.max(result[key][1], pair[1])] : pair;
+        }
+        return result;
+    };
+
+    const seen = new Set(existing.log.map(entry => `${entry[0]}:${entry[1]}`));
+    const log = [...existing.log, ...imported.log.filter(entry => !seen.has(`${entry[0]}:${entry[1]}`))]
+        .sort((a, b) => a[0] - b[0]);
+
+    const distractors = Object.assign({}, existing.distractors);
+    for (const [id, picks] of Object.entries(imported.distractors)) {
+        distractors[id] = Object.assign({}, distractors[id]);
+        for (const [option, count] of Object.entries(picks)) {
+            distractors[id][option] = Math.max(distractors[id][option] || 0, count);
+        }
+    }
+
+    return {
+        log,
+        daily: maxPairs(existing.daily, imported.daily),
+        questions: maxPairs(existing.questions, imported.questions),
+        distractors,
+        bestStreak: Math.max(existing.bestStreak, imported.bestStreak)
+    };
+}
+
+// A CSV field: quoted when it holds a comma, quote or line break; text a spreadsheet would run as a
+// formula (=, +, -, @) is prefixed with an apostrophe
+function csvField(value) {
+    let text = String(value);
+    if (/^[=+\-@]/.test(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Whether two ArrayBuffers/typed arrays hold the same bytes
+function sameBytes(a, b) {
+    const x = new Uint8Array(a);
+    const y = new Uint8Array(b);
+    return x.length === y.length && x.every((byte, i) => byte === y[i]);
+}
+
+// Fisher-Yates shuffle; `random` returns numbers in [0, 1) (pass a seededRandom for a repeatable order)
+function shuffle(array, random = Math.random) {
+    for (let i = array.length - 1; i > 0; i--) {
+        const j = Math.floor(random() * (i + 1));
+        [array[i], array[j]] = [array[j], array[i]];
+    }
+    return array;
+}
+
+// 32-bit FNV-1a hash of a string, used as a PRNG seed
+function hashString(text) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+// Deterministic PRNG (mulberry32): returns a function giving the same [0, 1) sequence for the same seed
+function seededRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6d2b79f5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+// Normalize free-text answers: case, accents, punctuation, extra whitespace and leading articles
+function normalizeAnswer(text) {
+    return String(text)
+        .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/[^\p{L}\p{N}\s]/gu, ' ')
+        .replace(/\s+/g, ' ')
+        .trim()
+        .replace(/^(the|a|an) /, '');
+}
+
+// Edit distance between two strings (insertions, deletions, substitutions and adjacent swaps)
+function editDistance(a, b) {
+    const d = Array.from({ length: a.length + 1 }, (_, i) => [i]);
+    for (let j = 1; j <= b.length; j++) d[0][j] = j;
+
+    for (let i = 1; i <= a.length; i++) {
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            d[i][j] = Math.min(d[i - 1][j] + 1, d[i][j - 1] + 1, d[i - 1][j - 1] + cost);
+            if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1);
+            }
+        }
+    }
+    return d[a.length][b.length];
+}
+
+// Drop thousands separators (commas, spaces, underscores) so '1,000' and '1 000' read as '1000'
+function ungroupDigits(text) {
+    return String(text).replace(/(\d)[,_\s](?=\d{3}(?!\d))/g, '$1');
+}
+
+// Free-text match: allow roughly one typo per five characters (up to three)
+function isFuzzyMatch(answer, expected) {
+    const a = normalizeAnswer(ungroupDigits(answer));
+    const b = normalizeAnswer(ungroupDigits(expected));
+    if (!a || !b) return false;
+    const allowed = /^\d+$/.test(b) ? 0 : Math.min(3, Math.floor(b.length / 5));
+    return editDistance(a, b) <= allowed;
+}
+
+function totalPoints(points) {
+    return points.base + points.speed + points.streak;
+}
+
+// Order two session results ({score, percentage, points}; null = none): positive when `a` is better.
+// More points (timed mode) wins, then a higher percentage, then more correct answers.
+function compareSessions(a, b) {
+    if (!a || !b) return (a ? 1 : 0) - (b ? 1 : 0);
+    return (a.points - b.points) || (a.percentage - b.percentage) || (a.score - b.score);
+}
+
+class QuizEngine {
+    /**
+     * @param {Object} options
+     * @param {String} options.dbUrl - URL of the SQLite .db file
+     * @param {Object} [options.dbUrls] - Locale → URL of a DB of its own, for languages not in the main DB
+     * @param {Object} [options.theme] - Theme overrides (see DEFAULT_THEME)
+     * @param {Storage} [options.storage] - Where user progress lives (default: localStorage)
+     * @param {IDBFactory} [options.indexedDB] - DB file cache (default: indexedDB; unavailable = no cache)
+     * @param {Function} [options.initSqlJs] - sql.js loader (default: the global from the sql.js script)
+     * @param {Function} [options.fetch] - Used to download the DB (default: the global fetch)
+     * @param {String} [options.sqlJsPath] - Base URL of sql-wasm.wasm, with trailing slash (default: cdnjs)
+     * @param {String[]} [options.languages] - The player's preferred locales (default: navigator.languages)
+     * @param {String} [options.reportUrl] - Where question reports are POSTed (default: none, they stay queued)
+     * @param {Object} [options.analytics] - Receives gameplay events through track(name, fields), e.g. a
+     *   QuizAnalytics (default: none)
+     */
+    constructor(options) {
+        this.theme = Object.assign({}, DEFAULT_THEME, options.theme || {});
+        this.storage = options.storage || globalThis.localStorage;
+        this.indexedDB = options.indexedDB || globalThis.indexedDB;
+        this.initSqlJs = options.initSqlJs || globalThis.initSqlJs;
+        this.fetch = options.fetch || ((...args) => fetch(...args));
+        this.sqlJsPath = options.sqlJsPath || SQL_JS_CDN;
+        this.reportUrl = options.reportUrl || null;
+        this.reportSending = null; // Promise of the last background sendReports run
+        this.reportRun = Promise.resolve(); // The last sendReports run, settled or not; the next one waits for it
+        this.analytics = options.analytics || null;
+        this.listeners = new Map();
+
+        // Language being played (one of availableLocales), and the DB it loads from
+        this.defaultDbUrl = options.dbUrl;
+        this.dbUrls = options.dbUrls || {};
+        const languages = options.languages || (globalThis.navigator && globalThis.navigator.languages) || [];
+        this.locale = this.preferredLocale(languages);
+        this.dbUrl = this.dbUrlFor(this.locale);
+
+        // Questions — populated async from the SQLite DB
+        this.questions = [];
+        this.questionsById = new Map(); // DB id → question object
+        this.rowIds = [];               // Id of every DB row in id order, skipped ones too (v1 records index into it)
+        this.loadReport = null;         // {total, skipped: [{id, reason}], warnings} of the bank in use
+        this.pendingBank = null;        // Newer bank from revalidateDB, waiting for the session to end
+        this.revalidation = null;       // Promise of the background revalidateDB run (resolves to a boolean)
+        this.media = new Map();         // Media name → {type, bytes} from the bank's media table
+        this.mediaSrcs = new Map();     // Media reference → object URL handed out by mediaSrc
+        this.mediaCaching = null;       // Promise of the background cacheMedia run (resolves to the URLs cached)
+
+        // Game state
+        this.currentUser = null;
+        this.userStats = newUserData();
+        this.currentQuestionId = null;
+        this.currentShuffledOptions = []; // Shuffled option indices for current question
+        this.currentCorrectShuffled = []; // Display indices of correct answers after shuffling
+        this.sessionScore = 0;
+        this.streak = 0;
+        this.sessionPoints = { base: 0, speed: 0, streak: 0 }; // Timed mode score breakdown
+        this.questionStartedAt = 0; // Date.now() when the current question was shown
+        this.timerInterval = null;
+        this.sessionQuestions = []; // Question ids for this session (up to sessionLength)
+        this.sessionLength = this.theme.questionsPerGame === 'all' ? Infinity : this.theme.questionsPerGame;
+        this.sessionAnswered = 0;   // How many answered this session
+        this.sessionFilters = { category: '', difficulty: '' }; // '' = no filter
+        // The filters and length a daily challenge set aside; playAgain goes back to them
+        this.regularSession = { filters: this.sessionFilters, length: this.sessionLength };
+
+        // Navigation state for back/forward browsing
+        this.answerHistory = [];          // Per-position: {questionId, selected, isCorrect, shuffledOptions, correctShuffled, timeTaken, points}
+        this.viewingIndex = 0;            // Which session position is currently displayed
+        this.browseReturnPosition = null; // null = not browsing; set to position when user goes back
+
+        // Local multiplayer (null = single player): {mode, players: [{name, userStats, score, streak, points}], current}.
+        // The current player's score, streak and points live in the session fields above while it's their turn.
+        this.multiplayer = null;
+        this.playerLimits = { min: MIN_PLAYERS, max: MAX_PLAYERS }; // Players per multiplayer session
+
+        // Daily challenge (null = regular session): {day} — the 'YYYY-MM-DD' whose seeded round is being played
+        this.daily = null;
+
+        // Weak-spot practice: the session only holds seen questions not answered correctly (see weakSpotIds)
+        this.weakSpots = false;
+    }
+
+    // Events: questionShown, answered, reviewShown, tick, sessionComplete, achievementsEarned, loaded, bankUpdated.
+    // Returns a function that removes the handler.
+    on(event, handler) {
+        if (!this.listeners.has(event)) this.listeners.set(event, new Set());
+        this.listeners.get(event).add(handler);
+        return () => this.off(event, handler);
+    }
+
+    off(event, handler) {
+        if (this.listeners.has(event)) this.listeners.get(event).delete(handler);
+    }
+
+    emit(event, detail) {
+        if (!this.listeners.has(event)) return;
+        [...this.listeners.get(event)].forEach(handler => handler(detail));
+    }
+
+    // Languages the player may pick (theme.locales, or just theme.locale)
+    availableLocales() {
+        return this.theme.locales.length > 0 ? this.theme.locales : [this.theme.locale];
+    }
+
+    // localStorage key of the language picked last. The ':' keeps it apart from the `<storagePrefix>_<name>`
+    // player keys (a player may be called "locale").
+    localeKey() {
+        return `${this.theme.storagePrefix}:locale`;
+    }
+
+    // The language to start in: the one picked last on this device, else the best match for `languages`,
+    // else the quiz's own
+    preferredLocale(languages) {
+        const available = this.availableLocales();
+        // Earlier versions saved it under `<storagePrefix>_locale`; a player's record found there matches no locale
+        const saved = this.storage.getItem(this.localeKey()) || this.storage.getItem(`${this.theme.storagePrefix}_locale`);
+        return I18N.matchLocale([saved, ...languages], available) ||
+            (available.includes(this.theme.locale) ? this.theme.locale : available[0]);
+    }
+
+    // URL of the DB holding `locale`'s questions: its own (options.dbUrls, by locale or language), else the main DB
+    dbUrlFor(locale) {
+        const own = I18N.matchLocale([locale], Object.keys(this.dbUrls));
+        return own ? this.dbUrls[own] : this.defaultDbUrl;
+    }
+
+    // Every DB this quiz loads, in any language
+    quizDbUrls() {
+        return [this.defaultDbUrl, ...Object.values(this.dbUrls)];
+    }
+
+    // Play in another of availableLocales (between sessions). The choice is remembered, and a loaded bank is
+    // reloaded in the new language; progress is keyed by question id, so it carries over. Resolves to false for
+    // a locale the quiz doesn't offer; rejects (keeping the previous language) when the new bank can't be loaded.
+    async setLocale(locale) {
+        if (!this.availableLocales().includes(locale)) return false;
+        const previous = this.locale;
+        this.locale = locale;
+        this.dbUrl = this.dbUrlFor(locale);
+        this.pendingBank = null;
+        if (this.questions.length > 0) {
+            try {
+                await this.initDatabase();
+            } catch (err) {
+                this.locale = previous;
+                this.dbUrl = this.dbUrlFor(previous);
+                throw err;
+            }
+        }
+        this.storage.setItem(this.localeKey(), locale);
+        return true;
+    }
+
+    // UI text for `key` in the language being played (see quiz-i18n.js), with `params` filled in.
+    // theme.translations may override any catalog message.
+    t(key, params) {
+        return I18N.translate(this.locale, key, params, this.theme.translations);
+    }
+
+    // A quiz text (a theme field such as correctMessage or ranks, or page text passed as `text`) in the language
+    // being played: theme.translations for it, else `text` when playing the quiz's own language, else the
+    // catalog's generic wording, else `text` untranslated
+    themeText(key, text = this.theme[key]) {
+        const translations = this.theme.translations;
+        for (const code of [this.locale, I18N.baseLanguage(this.locale)]) {
+            if (translations[code] && translations[code][key] !== undefined) return translations[code][key];
+        }
+        if (I18N.baseLanguage(this.locale) === I18N.baseLanguage(this.theme.locale)) return text;
+        const generic = I18N.findMessage(this.locale, key, {}, false);
+        return generic !== undefined ? generic : text;
+    }
+
+    // 'rtl' or 'ltr' for the language being played
+    textDirection() {
+        return I18N.localeDirection(this.locale);
+    }
+
+    // IndexedDB helpers for caching the .db file
+    openCacheDB() {
+        return new Promise((resolve, reject) => {
+            const req = this.indexedDB.open('quiz_db_cache', 3);
+            req.onupgradeneeded = () => {
+                // 'files': DB copies keyed by dbUrl; 'media': images and audio the DBs link to, keyed by URL;
+                // 'reports': question reports of every quiz (see reportQuestion), numbered
+                const names = req.result.objectStoreNames;
+                if (!names.contains('files')) req.result.createObjectStore('files');
+                if (!names.contains('media')) req.result.createObjectStore('media');
+                if (!names.contains('reports')) req.result.createObjectStore('reports', { keyPath: 'id', autoIncrement: true });
+            };
+            req.onsuccess = () => resolve(req.result);
+            req.onerror = () => reject(req.error);
+        });
+    }
+
+    async getCachedDB() {
+        const db = await this.openCacheDB();
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction('files', 'readonly');
+            const req = tx.objectStore('files').get(this.dbUrl);
+            req.onsuccess = () => resolve(req.result || null);
+            req.onerror = () => reject(req.error);
+        });
+    }
+
+    // Store the DB bytes (under `url`, default dbUrl) with the validators (`etag`, `lastModified`) the server sent for them
+    async setCachedDB(bytes, { etag = null, lastModified = null } = {}, url = this.dbUrl) {
+        const db = await this.openCacheDB();
+        const entry = { bytes, etag, lastModified, owner: this.theme.storagePrefix, cachedAt: Date.now() };
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction('files', 'readwrite');
+            tx.objectStore('files').put(entry, url);
+            tx.oncomplete = () => resolve();
+            tx.onerror = () => reject(tx.error);
+        });
+    }
+
+    // Drop cached DBs nothing loads anymore: this quiz's entries under a URL it no longer uses (see quizDbUrls),
+    // and any other entry not checked for DB_CACHE_EVICT_AGE_MS — then the cached media of DBs no longer cached.
+    // Resolves to the evicted URLs.
+    async evictCachedDBs() {
+        const db = await this.openCacheDB();
+        const now = Date.now();
+        const inUse = this.quizDbUrls();
+        return new Promise((resolve, reject) => {
+            const evicted = [];
+            const kept = new Set();
+            const tx = db.transaction(['files', 'media'], 'readwrite');
+            const req = tx.objectStore('files').openCursor();
+            req.onsuccess = () => {
+                const cursor = req.result;
+                if (!cursor) {
+                    this.deleteCacheEntries(tx.objectStore('media'), entry => !kept.has(entry.dbUrl), evicted);
+                    return;
+                }
+                const entry = cursor.value;
+                const replaced = entry.owner === this.theme.storagePrefix;
+                const abandoned = now - entry.cachedAt > DB_CACHE_EVICT_AGE_MS;
+                if (!inUse.includes(cursor.key) && (replaced || abandoned)) {
+                    evicted.push(cursor.key);
+                    cursor.delete();
+                } else {
+                    kept.add(cursor.key);
+                }
+                cursor.continue();
+            };
+            tx.oncomplete = () => resolve(evicted);
+            tx.onerror = () => reject(tx.error);
+        });
+    }
+
+    // Delete the entries of an object store for which `shouldDelete(entry)` holds, adding their keys to `deleted`
+    // (the transaction completes once the cursor is done)
+    deleteCacheEntries(store, shouldDelete, deleted) {
+        const req = store.openCursor();
+        req.onsuccess = () => {
+            const cursor = req.result;
+            if (!cursor) return;
+            if (shouldDelete(cursor.value)) {
+                deleted.push(cursor.key);
+                cursor.delete();
+            }
+            cursor.continue();
+        };
+    }
+
+    async getCachedMedia(url) {
+        const db = await this.openCacheDB();
+        return new Promise((resolve, reject) => {
+            const req = db.transaction('media', 'readonly').objectStore('media').get(url);
+            req.onsuccess = () => resolve(req.result || null);
+            req.onerror = () => reject(req.error);
+        });
+    }
+
+    // Absolute URL of a media reference that isn't in the bank's media table (resolved against dbUrl);
+    // null unless it is http(s)
+    mediaUrl(ref) {
+        try {
+            const url = new URL(ref, new URL(this.dbUrl, globalThis.location ? globalThis.location.href : undefined));
+            return ['http:', 'https:'].includes(url.protocol) ? url.href : null;
+        } catch (e) {
+            return null;
+        }
+    }
+
+    // URLs of the current bank's media that aren't stored in the DB (question images and audio, option images)
+    mediaUrls() {
+        const urls = new Set();
+        this.questions.forEach(q => [q.image, q.audio, ...q.optionImages].forEach(ref => {
+            const url = ref && !this.media.has(ref) ? this.mediaUrl(ref) : null;
+            if (url) urls.add(url);
+        }));
+        return urls;
+    }
+
+    // Download the bank's linked media into IndexedDB next to the DB, so they play offline too, and drop the
+    // media cached for this DB that the bank no longer links to. One file at a time; a failed download only warns.
+    // Resolves to the URLs newly cached.
+    async cacheMedia() {
+        const urls = this.mediaUrls();
+        const db = await this.openCacheDB();
+        const cached = await new Promise((resolve, reject) => {
+            const dropped = [];
+            const tx = db.transaction('media', 'readwrite');
+            this.deleteCacheEntries(tx.objectStore('media'), entry => entry.owner === this.theme.storagePrefix && entry.dbUrl === this.dbUrl && !urls.has(entry.url), dropped);
+            const req = tx.objectStore('media').getAllKeys();
+            tx.oncomplete = () => resolve(new Set(req.result.filter(url => !dropped.includes(url))));
+            tx.onerror = () => reject(tx.error);
+        });
+
+        const added = [];
+        for (const url of urls) {
+            if (cached.has(url)) continue;
+            try {
+                const response = await this.fetch(url);
+                if (!response.ok) throw new Error(`${response.status} ${response.statusText}`);
+                const entry = {
+                    url, bytes: await response.arrayBuffer(), type: response.headers.get('Content-Type') || '',
+                    owner: this.theme.storagePrefix, dbUrl: this.dbUrl, cachedAt: Date.now()
+                };
+                await new Promise((resolve, reject) => {
+                    const tx = db.transaction('media', 'readwrite');
+                    tx.objectStore('media').put(entry, url);
+                    tx.oncomplete = () => resolve();
+                    tx.onerror = () => reject(tx.error);
+                });
+                added.push(url);
+            } catch (err) {
+                console.warn(`Could not cache ${url} for offline play:`, err);
+            }
+        }
+        return added;
+    }
+
+    // `src` for an <img> or <audio> showing a media reference: an object URL of the DB's BLOB or of the
+    // IndexedDB copy, else the URL itself (null when unusable). Object URLs last until the bank changes.
+    async mediaSrc(ref) {
+        if (!ref) return null;
+        if (this.mediaSrcs.has(ref)) return this.mediaSrcs.get(ref);
+
+        let file = this.media.get(ref) || null;
+        const url = file ? null : this.mediaUrl(ref);
+        if (url) {
+            try { file = await withTimeout(this.getCachedMedia(url), 2000); } catch (e) { /* IndexedDB unavailable or slow */ }
+        }
+        if (!file) return url;
+
+        const src = URL.createObjectURL(new Blob([file.bytes], { type: file.type }));
+        this.mediaSrcs.set(ref, src);
+        return src;
+    }
+
+    // GET dbUrl; conditional on the validators of `cached` when given. Resolves to
+    // {bytes, etag, lastModified}, or null when the server says the cached copy is current (304).
+    async downloadDB(cached = null) {
+        const headers = {};
+        if (cached && cached.etag) headers['If-None-Match'] = cached.etag;
+        if (cached && cached.lastModified) headers['If-Modified-Since'] = cached.lastModified;
+
+        const response = await this.fetch(this.dbUrl, { headers, cache: 'no-store' }).catch(err => {
+            throw new Error(this.t('error.download', { reason: err.message }));
+        });
+        if (response.status === 304) return null;
+        if (!response.ok) {
+            throw new Error(this.t('error.download', { reason: `${response.status} ${response.statusText}` }));
+        }
+        return {
+            bytes: await response.arrayBuffer(),
+            etag: response.headers.get('ETag'),
+            lastModified: response.headers.get('Last-Modified')
+        };
+    }
+
+    // Parse a .db ArrayBuffer/Uint8Array into a question bank {questions, media, report} (see useQuestionBank).
+    // Throws when the file isn't a usable question bank; rows that can't be played are skipped and listed in the report.
+    parseDB(SQL, bytes) {
+        const db = new SQL.Database(new Uint8Array(bytes));
+        try {
+            let tableInfo;
+            try {
+                tableInfo = db.exec("PRAGMA table_info(questions)");
+            } catch (e) {
+                throw new Error(this.t('error.notSqlite'));
+            }
+            if (tableInfo.length === 0) {
+                throw new Error(this.t('error.noQuestionsTable'));
+            }
+
+            const columns = new Set(tableInfo[0].values.map(col => col[1]));
+            const missing = REQUIRED_COLUMNS.filter(name => !columns.has(name));
+            if (missing.length > 0) {
+                throw new Error(this.t('error.missingColumns', { columns: missing.join(', ') }));
+            }
+
+            // Other columns are optional — select NULL when a DB doesn't have them
+            const optional = name => columns.has(name) ? name : 'NULL';
+
+            const results = db.exec(`SELECT id, question, option_a, option_b, option_c, option_d, correct, ${optional('fun_fact')}, ${optional('wiki_url')}, ${optional('category')}, ${optional('difficulty')}, ${optional('type')}, ${optional('image')}, ${optional('image_alt')}, ${optional('audio')}, ${optional('code')}, ${optional('locale')} FROM questions ORDER BY id`);
+            const optionRows = readOptionsTable(db, this.locale, this.theme.locale);
+            const trueFalse = [this.t('game.true'), this.t('game.false')];
+            const media = readMediaTable(db);
+            let rows = results.length > 0 ? results[0].values : [];
+            // Multilingual bank: one row per id, in the language being played where it has been translated
+            if (columns.has('locale')) rows = pickLocaleRows(rows, row => row[0], row => row[16], this.locale, this.theme.locale);
+
+            const questions = [];
+            const skipped = [];
+            const warnings = [];
+            const ids = new Set();
+            const texts = new Map();
+
+            for (const row of rows) {
+                const type = QUESTION_TYPES.includes(row[11]) ? row[11] : 'choice';
+                const { options, correct, images } = optionRows.has(row[0])
+                    ? optionRows.get(row[0])
+                    : columnOptions(type, [row[2], row[3], row[4], row[5]], row[6], trueFalse);
+
+                const question = {
+                    id: row[0],
+                    type,
+                    question: row[1],
+                    options,
+                    correct,
+                    funFact: row[7] || '',
+                    wiki: row[8] || '',
+                    category: row[9] || '',
+                    difficulty: row[10] == null ? '' : String(row[10]),
+                    image: row[12] || '',
+                    imageAlt: row[13] || '',
+                    audio: row[14] || '',
+                    code: row[15] || '',
+                    optionImages: images || options.map(() => '')
+                };
+
+                const reason = ids.has(question.id) ? 'duplicate id' : validateQuestion(question);
+                if (reason) {
+                    skipped.push({ id: question.id, reason });
+                    continue;
+                }
+                ids.add(question.id);
+
+                // Duplicate question text is probably a mistake, but both copies still play
+                const text = String(question.question).trim().replace(/\s+/g, ' ').toLowerCase();
+                if (texts.has(text)) {
+                    warnings.push(`Question ${question.id} duplicates question ${texts.get(text)}`);
+                } else {
+                    texts.set(text, question.id);
+                }
+                if (question.image && !question.imageAlt) warnings.push(`Question ${question.id} has an image without alt text`);
+                questions.push(question);
+            }
+
+            if (questions.length === 0) {
+                throw new Error(skipped.length > 0
+                    ? this.t('error.nonePlayable', { count: skipped.length })
+                    : this.t('error.noQuestions'));
+            }
+
+            skipped.forEach(({ id, reason }) => console.warn(`Skipped question ${id}: ${reason}`));
+            warnings.forEach(warning => console.warn(warning));
+
+            return { questions, media, rowIds: rows.map(row => row[0]), report: { total: rows.length, skipped, warnings } };
+        } finally {
+            db.close();
+        }
+    }
+
+    // Make a parsed bank the one being played, and start caching its linked media (see cacheMedia)
+    useQuestionBank(bank) {
+        this.questions = bank.questions;
+        this.questionsById = new Map(bank.questions.map(q => [q.id, q]));
+        this.rowIds = bank.rowIds || bank.questions.map(q => q.id);
+        this.loadReport = bank.report;
+        this.media = bank.media || new Map();
+        this.mediaSrcs.forEach(src => URL.revokeObjectURL(src));
+        this.mediaSrcs.clear();
+        this.mediaCaching = this.cacheMedia().catch(() => []); // Best-effort, like the DB cache itself
+    }
+
+    // Load questions from SQLite database, stale-while-revalidate: a cached copy is used right away and
+    // checked against the server in the background (see revalidateDB). Rejects when no copy could be loaded.
+    async initDatabase() {
+        const startedAt = Date.now();
+        const SQL = await this.initSqlJs({
+            locateFile: file => `${this.sqlJsPath}${file}`
+        });
+
+        let cached = null;
+        try { cached = await withTimeout(this.getCachedDB(), 2000); } catch (e) { /* IndexedDB unavailable or slow */ }
+
+        let bank = null;
+        if (cached) {
+            try {
+                bank = this.parseDB(SQL, cached.bytes);
+            } catch (err) {
+                console.warn('Cached DB is unusable, downloading it again:', err);
+                cached = null;
+            }
+        }
+
+        if (!bank) {
+            const download = await this.downloadDB();
+            bank = this.parseDB(SQL, download.bytes);
+            try { await withTimeout(this.setCachedDB(download.bytes, download), 2000); } catch (e) { /* cache write failed, non-fatal */ }
+        }
+
+        this.useQuestionBank(bank);
+        const { skipped, warnings } = this.loadReport;
+        this.track('dbLoaded', { cache: cached ? 'hit' : 'miss', loadMs: Date.now() - startedAt, questions: this.questions.length });
+        this.emit('loaded', { questions: this.questions, skipped, warnings });
+
+        this.revalidation = cached ? this.revalidateDB(SQL, cached) : Promise.resolve(false);
+        withTimeout(this.evictCachedDBs(), 2000).catch(() => { /* eviction is best-effort */ });
+        if (this.reportUrl) this.sendReportsInBackground();
+    }
+
+    // Ask the server whether the cached DB changed (ETag / Last-Modified). A changed, valid DB is cached and
+    // swapped in — right away, or when the session in progress ends. Resolves to whether a new bank was found;
+    // network and validation failures only warn, as the cached bank keeps playing. A bank for a language the
+    // player has since switched away from is only cached.
+    async revalidateDB(SQL, cached) {
+        const { locale, dbUrl } = this;
+        try {
+            const download = await this.downloadDB(cached);
+            const unchanged = !download || sameBytes(download.bytes, cached.bytes);
+            await withTimeout(this.setCachedDB(unchanged ? cached.bytes : download.bytes, download || cached, dbUrl), 2000);
+            if (unchanged || this.locale !== locale) return false;
+
+            this.pendingBank = this.parseDB(SQL, download.bytes);
+            if (!this.isSessionInProgress()) this.applyPendingBank();
+            return true;
+        } catch (err) {
+            console.warn('Could not check for a newer question DB:', err);
+            return false;
+        }
+    }
+
+    // Swap in a bank found by revalidateDB. Progress is keyed by question id, so it carries over;
+    // ids missing from the new bank simply stop counting.
+    applyPendingBank() {
+        if (!this.pendingBank) return false;
+        this.useQuestionBank(this.pendingBank);
+        this.pendingBank = null;
+        const { skipped, warnings } = this.loadReport;
+        this.emit('bankUpdated', { questions: this.questions, skipped, warnings });
+        return true;
+    }
+
+    // User data (one localStorage key per player)
+    userKey(username) {
+        return `${this.theme.storagePrefix}_${username}`;
+    }
+
+    getUserData(username) {
+        const data = this.storage.getItem(this.userKey(username));
+        if (!data) return newUserData();
+
+        let parsed;
+        try {
+            parsed = JSON.parse(data);
+        } catch (e) { /* not JSON */ }
+        if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+            // Something else is stored under the player's key: start afresh rather than fail to log in
+            console.warn(`Ignoring unreadable progress for ${username}`);
+            return newUserData();
+        }
+        if (!parsed.version) {
+            // v1 records stored positions among the DB rows (ordered by id, before any were skipped) — map them
+            // to DB ids. Without a bank that can't be done: refuse rather than save the record with nothing in it.
+            if (this.questions.length === 0) throw new Error(this.t('error.notLoaded'));
+            const toIds = indices => [...new Set(indices
+                .filter(i => this.rowIds[i] !== undefined)
+                .map(i => this.rowIds[i]))];
+            parsed.seenQuestions = toIds(parsed.seenQuestions || []);
+            parsed.correctQuestions = toIds(parsed.correctQuestions || []);
+            parsed.version = USER_DATA_VERSION;
+            this.saveUserData(username, parsed);
+        }
+        if (!parsed.srs) parsed.srs = {};
+        if (!parsed.history) parsed.history = newHistory();
+        if (!parsed.dailyChallenge) parsed.dailyChallenge = newDailyChallenge();
+        if (parsed.bestSession === undefined) parsed.bestSession = null;
+        if (!parsed.achievements) parsed.achievements = {};
+        return parsed;
+    }
+
+    saveUserData(username, data) {
+        const key = this.userKey(username);
+        data.quiz = this.theme.storagePrefix; // Tells this quiz's records from another's under a longer prefix (see knownPlayers)
+        trimHistory(data.history, ANSWER_LOG_LIMIT);
+        try {
+            this.storage.setItem(key, JSON.stringify(data));
+        } catch (err) {
+            // Over quota: shed the oldest half of the raw answer log until it fits
+            let limit = data.history.log.length;
+            while (limit > 0) {
+                limit = Math.floor(limit / 2);
+                trimHistory(data.history, limit);
+                try {
+                    this.storage.setItem(key, JSON.stringify(data));
+                    return;
+                } catch (e) { /* still too big */ }
+            }
+            console.warn('Could not save progress:', err);
+        }
+    }
+
+    // Name of the last player on this device, or null
+    lastUser() {
+        return this.storage.getItem(`${this.theme.storagePrefix}_lastUser`);
+    }
+
+    // Make `username` the current player and load their progress
+    login(username) {
+        const userStats = this.getUserData(username);
+        this.multiplayer = null;
+        this.currentUser = username;
+        this.storage.setItem(`${this.theme.storagePrefix}_lastUser`, username);
+        this.userStats = userStats;
+    }
+
+    logout() {
+        if (this.isSessionInProgress()) this.trackSessionEnd(false);
+        this.multiplayer = null;
+        this.daily = null;
+        this.weakSpots = false;
+        this.currentUser = null;
+        this.resetSession();
+        this.sessionQuestions = [];
+        this.userStats = newUserData();
+        this.applyPendingBank();
+    }
+
+    // Record one answer in the user's history. `choice` is the original option index (choice, truefalse),
+    // an array of them (multi), the typed text (text) or null (timed out).
+    recordAnswer(questionId, choice, isCorrect, timeTaken) {
+        const history = this.userStats.history;
+        const now = Date.now();
+        const loggedChoice = typeof choice === 'string' ? choice.slice(0, 50) : choice;
+        history.log.push([now, questionId, loggedChoice, isCorrect ? 1 : 0, timeTaken]);
+
+        const day = history.daily[dayKey(now)] || [0, 0];
+        day[0]++;
+        if (isCorrect) day[1]++;
+        history.daily[dayKey(now)] = day;
+
+        const perQuestion = history.questions[questionId] || [0, 0];
+        perQuestion[0]++;
+        if (isCorrect) perQuestion[1]++;
+        history.questions[questionId] = perQuestion;
+
+        if (!isCorrect && choice !== null && typeof choice !== 'string') {
+            const picks = history.distractors[questionId] || {};
+            const correct = this.questionsById.get(questionId).correct;
+            (Array.isArray(choice) ? choice : [choice])
+                .filter(i => !correct.includes(i))
+                .forEach(i => { picks[i] = (picks[i] || 0) + 1; });
+            history.distractors[questionId] = picks;
+        }
+
+        history.bestStreak = Math.max(history.bestStreak, this.streak);
+    }
+
+    // Names of every player with progress for this quiz on this device, from the `<storagePrefix>_*` keys. A quiz
+    // whose prefix starts with ours ('greek' and 'greek_kids') has keys that match too; its records name that quiz.
+    // Records saved before they named their quiz can't be told apart and are listed.
+    knownPlayers() {
+        const prefix = `${this.theme.storagePrefix}_`;
+        const names = [];
+        for (let i = 0; i < this.storage.length; i++) {
+            const key = this.storage.key(i);
+            if (!key || !key.startsWith(prefix) || key === `${prefix}lastUser`) continue;
+            try {
+                // Skip anything that isn't one of our user records
+                const record = JSON.parse(this.storage.getItem(key));
+                if (Array.isArray(record.seenQuestions) && (record.quiz === undefined || record.quiz === this.theme.storagePrefix)) {
+                    names.push(key.slice(prefix.length));
+                }
+            } catch (e) { /* not JSON */ }
+        }
+        return names;
+    }
+
+    // Leaderboard of knownPlayers: [{name, bestSession, bestStreak, answered, accuracy, mastered, masteryPercent}],
+    // best first by `sortBy` (any of those fields; 'name' sorts A-Z). Ties are listed by name.
+    leaderboard(sortBy = 'bestSession') {
+        const rows = this.knownPlayers().map(name => {
+            const data = name === this.currentUser ? this.userStats : this.getUserData(name);
+            const mastered = data.correctQuestions.filter(id => this.questionsById.has(id)).length;
+            return {
+                name,
+                bestSession: data.bestSession,
+                bestStreak: data.history.bestStreak,
+                answered: data.totalAnswered,
+                accuracy: data.totalAnswered > 0 ? Math.round((data.totalCorrect / data.totalAnswered) * 100) : 0,
+                mastered,
+                masteryPercent: this.questions.length > 0 ? Math.round((mastered / this.questions.length) * 100) : 0
+            };
+        });
+
+        const byName = (a, b) => a.name.localeCompare(b.name);
+        const compare = {
+            name: byName,
+            bestSession: (a, b) => compareSessions(b.bestSession, a.bestSession)
+        }[sortBy] || ((a, b) => b[sortBy] - a[sortBy]);
+        return rows.sort((a, b) => compare(a, b) || byName(a, b));
+    }
+
+    // Players whose progress is in use and can't be renamed or deleted right now
+    isPlaying(name) {
+        return name === this.currentUser || Boolean(this.multiplayer && this.multiplayer.players.some(player => player.name === name));
+    }
+
+    // Move a player's progress to a new name (and keep them as the remembered player if they were).
+    // Throws when the name is blank or taken, or the player is in the current game.
+    renamePlayer(oldName, newName) {
+        const name = String(newName).trim();
+        if (!name) throw new Error(this.t('error.emptyName'));
+        if (this.isPlaying(oldName)) throw new Error(this.t('error.playing', { name: oldName }));
+        if (name === oldName) return;
+        if (this.storage.getItem(this.userKey(name)) !== null) throw new Error(this.t('error.nameTaken', { name }));
+
+        this.storage.setItem(this.userKey(name), this.storage.getItem(this.userKey(oldName)));
+        this.storage.removeItem(this.userKey(oldName));
+        if (this.lastUser() === oldName) this.storage.setItem(`${this.theme.storagePrefix}_lastUser`, name);
+    }
+
+    // Delete a player's progress. Throws when the player is in the current game.
+    deletePlayer(name) {
+        if (this.isPlaying(name)) throw new Error(this.t('error.playing', { name }));
+        this.storage.removeItem(this.userKey(name));
+        if (this.lastUser() === name) this.storage.removeItem(`${this.theme.storagePrefix}_lastUser`);
+    }
+
+    // Identity of this quiz, recorded in export files so they can't be imported into another quiz
+    quizIdentity() {
+        return {
+            storagePrefix: this.theme.storagePrefix,
+            db: this.defaultDbUrl.split('/').pop()
+        };
+    }
+
+    // A user's progress as a versioned export file object
+    exportProgress(username) {
+        return {
+            format: PROGRESS_FILE_FORMAT,
+            version: PROGRESS_FILE_VERSION,
+            exportedAt: new Date().toISOString(),
+            quiz: this.quizIdentity(),
+            username: username,
+            userData: this.currentUser === username ? this.userStats : this.getUserData(username)
+        };
+    }
+
+    // Check an export file's structure and quiz identity; throws an Error describing the first problem
+    validateProgressFile(file) {
+        if (!file || file.format !== PROGRESS_FILE_FORMAT) {
+            throw new Error(this.t('error.notProgressFile'));
+        }
+        if (file.version !== PROGRESS_FILE_VERSION) {
+            throw new Error(this.t('error.progressVersion', { version: file.version }));
+        }
+
+        const identity = this.quizIdentity();
+        if (!file.quiz || file.quiz.storagePrefix !== identity.storagePrefix || file.quiz.db !== identity.db) {
+            throw new Error(this.t('error.otherQuiz'));
+        }
+
+        const data = file.userData;
+        const isObject = o => Boolean(o) && typeof o === 'object';
+        const isIdList = list => Array.isArray(list) && list.every(Number.isInteger);
+        const isCount = n => Number.isInteger(n) && n >= 0;
+        const isDay = d => typeof d === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(d);
+        // Answer history (see recordAnswer): log entries [timestamp, questionId, choice, correct, timeTakenMs],
+        // [answered, correct] per day and per question, picks per wrong option
+        const isPair = p => Array.isArray(p) && p.length === 2 && p.every(isCount) && p[1] <= p[0];
+        const isLogEntry = e => Array.isArray(e) && Number.isFinite(e[0]) && Number.isInteger(e[1]) &&
+            (e[3] === 0 || e[3] === 1) && (e[4] === undefined || Number.isFinite(e[4]));
+        const isHistory = h => isObject(h) && Array.isArray(h.log) && h.log.every(isLogEntry) && isCount(h.bestStreak) &&
+            isObject(h.daily) && Object.entries(h.daily).every(([day, pair]) => isDay(day) && isPair(pair)) &&
+            isObject(h.questions) && Object.values(h.questions).every(isPair) &&
+            isObject(h.distractors) && Object.values(h.distractors).every(picks => isObject(picks) && Object.values(picks).every(isCount));
+        // Daily challenge record (see recordDailyResult) and best session (see recordBestSessions)
+        const isDailyChallenge = d => isObject(d) && (d.lastDay === null || isDay(d.lastDay)) &&
+            Array.isArray(d.lastAnswers) && d.lastAnswers.every(a => a === 0 || a === 1) && isCount(d.streak) && isCount(d.bestStreak);
+        const isBestSession = b => b === null || (isObject(b) && isCount(b.score) && isCount(b.total) && b.score <= b.total &&
+            Number.isFinite(b.percentage) && Number.isFinite(b.points) && Number.isFinite(b.at));
+        // SM-2 card (see updateSrsCard)
+        const isCard = c => isObject(c) && Number.isFinite(c.due) && Number.isFinite(c.ease) &&
+            isCount(c.interval) && isCount(c.reps) && (c.lapses === undefined || isCount(c.lapses));
+        // Saved session (see saveSession): everything resumeGame and isSessionResumable read
+        const isAnswer = e => isObject(e) && Number.isInteger(e.questionId) && isIdList(e.shuffledOptions) &&
+            isIdList(e.correctShuffled) && typeof e.isCorrect === 'boolean';
+        const isSession = s => s === null || (isObject(s) && isIdList(s.questionIds) &&
+            isCount(s.answered) && s.answered <= s.questionIds.length &&
+            Array.isArray(s.history) && s.history.length === s.answered && s.history.every(isAnswer) &&
+            isCount(s.score) && isCount(s.streak) && isObject(s.filters) && isObject(s.points) &&
+            (s.length === 'all' || isCount(s.length)) && isIdList(s.currentShuffle) &&
+            isCount(s.viewingIndex) && s.viewingIndex <= s.answered &&
+            (s.browseReturnPosition === null || (isCount(s.browseReturnPosition) && s.browseReturnPosition <= s.answered)));
+        if (!data || data.version !== USER_DATA_VERSION ||
+            !isIdList(data.seenQuestions) || !isIdList(data.correctQuestions) ||
+            !isCount(data.totalCorrect) || !isCount(data.totalAnswered) ||
+            (data.srs !== undefined && !(isObject(data.srs) && Object.values(data.srs).every(isCard))) ||
+            (data.activeSession !== undefined && !isSession(data.activeSession)) ||
+            (data.history !== undefined && !isHistory(data.history)) ||
+            (data.dailyChallenge !== undefined && !isDailyChallenge(data.dailyChallenge)) ||
+            (data.bestSession !== undefined && !isBestSession(data.bestSession)) ||
+            (data.achievements !== undefined && !(data.achievements && typeof data.achievements === 'object' &&
+                Object.values(data.achievements).every(isCount)))) {
+            throw new Error(this.t('error.damagedProgress'));
+        }
+    }
+
+    // Validate an export file and merge it into `username`'s progress; returns the merged data
+    importProgress(username, file) {
+        this.validateProgressFile(file);
+        const merged = mergeUserData(this.getUserData(username), file.userData);
+        this.saveUserData(username, merged);
+        if (this.currentUser === username) this.userStats = merged;
+        return merged;
+    }
+
+    // Queue a player's report about a question: `reason` is one of REPORT_REASONS, `comment` optional free text.
+    // The report keeps the question text as shown, so authors can match it after the bank changes. With a
+    // reportUrl, the queue is then sent in the background. Resolves to the stored report.
+    async reportQuestion(questionId, reason, comment = '') {
+        const question = this.questionsById.get(questionId);
+        if (!question) throw new Error(this.t('error.reportQuestion'));
+        if (!REPORT_REASONS.includes(reason)) throw new Error(this.t('error.reportReason', { reason }));
+
+        const report = {
+            quiz: this.theme.storagePrefix,
+            questionId,
+            question: question.question,
+            reason,
+            comment: String(comment).trim().slice(0, REPORT_COMMENT_LIMIT),
+            locale: this.locale,
+            reportedAt: Date.now(),
+            sentAt: null
+        };
+        const db = await this.openCacheDB();
+        report.id = await new Promise((resolve, reject) => {
+            const req = db.transaction('reports', 'readwrite').objectStore('reports').add(report);
+            req.onsuccess = () => resolve(req.result);
+            req.onerror = () => reject(req.error);
+        });
+        if (this.reportUrl) this.sendReportsInBackground();
+        return report;
+    }
+
+    // This quiz's reports, oldest first
+    async getReports() {
+        const db = await this.openCacheDB();
+        const reports = await new Promise((resolve, reject) => {
+            const req = db.transaction('reports', 'readonly').objectStore('reports').getAll();
+            req.onsuccess = () => resolve(req.result);
+            req.onerror = () => reject(req.error);
+        });
+        return reports.filter(report => report.quiz === this.theme.storagePrefix);
+    }
+
+    // POST the reports not sent yet to reportUrl as JSON {quiz, reports} and mark them sent. Resolves to how
+    // many were sent; rejects on network or HTTP errors, leaving them queued for the next try. Runs one at a
+    // time, each after the one before has marked its reports sent, so no report is posted twice.
+    sendReports() {
+        const run = this.reportRun.then(() => this.postUnsentReports());
+        this.reportRun = run.catch(() => {});
+        return run;
+    }
+
+    // One sendReports run
+    async postUnsentReports() {
+        if (!this.reportUrl) return 0;
+        const unsent = (await this.getReports()).filter(report => !report.sentAt);
+        if (unsent.length === 0) return 0;
+
+        const response = await this.fetch(this.reportUrl, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ quiz: this.quizIdentity(), reports: unsent })
+        });
+        if (!response.ok) throw new Error(`${response.status} ${response.statusText}`);
+
+        const sentAt = Date.now();
+        const db = await this.openCacheDB();
+        await new Promise((resolve, reject) => {
+            const tx = db.transaction('reports', 'readwrite');
+            unsent.forEach(report => tx.objectStore('reports').put(Object.assign(report, { sentAt })));
+            tx.oncomplete = resolve;
+            tx.onerror = () => reject(tx.error);
+        });
+        return unsent.length;
+    }
+
+    // sendReports without waiting; failures only warn (its promise is kept in `reportSending`)
+    sendReportsInBackground() {
+        this.reportSending = this.sendReports().catch(err => {
+            console.warn('Could not send question reports:', err);
+            return 0;
+        });
+    }
+
+    // The reports as an export file: 'json' groups them by question id under the quiz's identity, 'csv' has
+    // a row per report (REPORT_CSV_COLUMNS), by question id then time
+    async exportReports(format = 'json') {
+        const reports = (await this.getReports()).sort((a, b) => a.questionId - b.questionId || a.reportedAt - b.reportedAt);
+        if (format === 'csv') {
+            const rows = reports.map(report => [report.questionId, report.question, report.reason, report.comment,
+                report.locale, new Date(report.reportedAt).toISOString()]);
+            return [REPORT_CSV_COLUMNS, ...rows].map(row => row.map(csvField).join(',')).join('\r\n') + '\r\n';
+        }
+
+        const questions = {};
+        reports.forEach(({ questionId, question, reason, comment, locale, reportedAt }) => {
+            if (!questions[questionId]) questions[questionId] = { question, reports: [] };
+            questions[questionId].reports.push({ reason, comment, locale, reportedAt: new Date(reportedAt).toISOString() });
+        });
+        return JSON.stringify({
+            format: REPORTS_FILE_FORMAT,
+            exportedAt: new Date().toISOString(),
+            quiz: this.quizIdentity(),
+            questions
+        }, null, 2);
+    }
+
+    // Distinct non-empty values of a question field, sorted (numerically when all values are numbers)
+    distinctValues(field) {
+        const values = [...new Set(this.questions.map(q => q[field]).filter(v => v !== ''))];
+        const numeric = values.every(v => !isNaN(Number(v)));
+        return values.sort((a, b) => numeric ? Number(a) - Number(b) : a.localeCompare(b));
+    }
+
+    // Questions matching the current session filters
+    filteredQuestions() {
+        return this.questions.filter(q =>
+            (!this.sessionFilters.category || q.category === this.sessionFilters.category) &&
+            (!this.sessionFilters.difficulty || q.difficulty === this.sessionFilters.difficulty));
+    }
+
+    // Record an answer in the question's SM-2 card: ease, interval (days), due date and lapses
+    updateSrsCard(questionId, isCorrect) {
+        const card = this.userStats.srs[questionId] || { ease: SRS_INITIAL_EASE, interval: 0, reps: 0, lapses: 0, due: 0 };
+        const quality = isCorrect ? SRS_QUALITY_CORRECT : SRS_QUALITY_INCORRECT;
+
+        if (isCorrect) {
+            card.reps++;
+            if (card.reps === 1) card.interval = 1;
+            else if (card.reps === 2) card.interval = 6;
+            else card.interval = Math.round(card.interval * card.ease);
+        } else {
+            // Lapse: relearn from scratch, due again right away
+            if (card.reps > 0) card.lapses++;
+            card.reps = 0;
+            card.interval = 0;
+        }
+
+        card.ease = Math.max(SRS_MIN_EASE, card.ease + (0.1 - (5 - quality) * (0.08 + (5 - quality) * 0.02)));
+        card.due = Date.now() + card.interval * DAY_MS;
+        this.userStats.srs[questionId] = card;
+    }
+
+    // Select session questions using the configured selection mode
+    selectSessionQuestions() {
+        if (this.daily) return this.selectDailyQuestions();
+        if (this.multiplayer) return this.selectMultiplayerQuestions();
+        if (this.weakSpots) return this.selectWeakSpotQuestions();
+        return this.theme.selectionMode === 'spaced' ? this.selectDueQuestions() : this.selectBucketQuestions();
+    }
+
+    // Multiplayer: a random pick from the filtered questions (players' progress differs, so no buckets).
+    // sessionLength counts questions per player: 'turns' hands out whole rounds of turns,
+    // 'together' repeats each question once per player.
+    selectMultiplayerQuestions() {
+        const playerCount = this.multiplayer.players.length;
+        const ids = shuffle(this.filteredQuestions().map(q => q.id));
+        if (this.multiplayer.mode === 'together') {
+            return ids.slice(0, this.sessionLength).flatMap(id => Array(playerCount).fill(id));
+        }
+        const rounds = Math.min(this.sessionLength, Math.floor(ids.length / playerCount));
+        return ids.slice(0, rounds * playerCount);
+    }
+
+    // Ids of the filtered questions the current user has seen but not answered correctly (last time)
+    weakSpotIds() {
+        const seen = new Set(this.userStats.seenQuestions);
+        const correct = new Set(this.userStats.correctQuestions);
+        return this.filteredQuestions().map(q => q.id).filter(id => seen.has(id) && !correct.has(id));
+    }
+
+    // Weak-spot practice: up to sessionLength of the weak spots, in random order
+    selectWeakSpotQuestions() {
+        return shuffle(this.weakSpotIds()).slice(0, this.sessionLength);
+    }
+
+    // Daily challenge: sessionLength questions from the whole bank, the same for everyone on the same day
+    selectDailyQuestions() {
+        const ids = this.questions.map(q => q.id).sort((a, b) => a - b);
+        return shuffle(ids, this.dailyRandom('questions')).slice(0, this.sessionLength);
+    }
+
+    // Daily challenge: a PRNG seeded with the quiz, the day and `salt`
+    dailyRandom(salt) {
+        return seededRandom(hashString(`${this.theme.storagePrefix}:${this.daily.day}:${salt}`));
+    }
+
+    // Select up to sessionLength questions with priority: due (most overdue first) > unseen > not yet due (soonest first)
+    selectDueQuestions() {
+        const pool = this.filteredQuestions();
+        const now = Date.now();
+        const srs = this.userStats.srs;
+        const seen = new Set(this.userStats.seenQuestions);
+        // Seen questions without a card predate the scheduler — treat them as due
+        const dueAt = id => srs[id] ? srs[id].due : 0;
+
+        const due = pool.filter(q => seen.has(q.id) && dueAt(q.id) <= now).map(q => q.id);
+        const unseen = pool.filter(q => !seen.has(q.id)).map(q => q.id);
+        const notDue = pool.filter(q => seen.has(q.id) && dueAt(q.id) > now).map(q => q.id);
+
+        shuffle(due);
+        shuffle(unseen);
+        due.sort((a, b) => dueAt(a) - dueAt(b));
+        notDue.sort((a, b) => dueAt(a) - dueAt(b));
+
+        const selected = [...due, ...unseen, ...notDue].slice(0, this.sessionLength);
+
+        // Shuffle the final selection so it's not predictable
+        shuffle(selected);
+
+        return selected;
+    }
+
+    // Select up to sessionLength questions with priority: unseen > incorrect > correct
+    selectBucketQuestions() {
+        const allIds = this.filteredQuestions().map(q => q.id);
+        const seen = new Set(this.userStats.seenQuestions);
+        const correct = new Set(this.userStats.correctQuestions);
+
+        // Categorize questions
+        const unseen = allIds.filter(id => !seen.has(id));
+        const seenIncorrect = allIds.filter(id => seen.has(id) && !correct.has(id));
+        const seenCorrect = allIds.filter(id => correct.has(id));
+
+        // Shuffle each category
+        shuffle(unseen);
+        shuffle(seenIncorrect);
+        shuffle(seenCorrect);
+
+        // Build session: prioritize unseen, then incorrect, then correct
+        const selected = [];
+
+        // Add unseen questions first
+        for (const id of unseen) {
+            if (selected.length >= this.sessionLength) break;
+            selected.push(id);
+        }
+
+        // Add incorrect questions
+        for (const id of seenIncorrect) {
+            if (selected.length >= this.sessionLength) break;
+            selected.push(id);
+        }
+
+        // Add correct questions if still need more
+        for (const id of seenCorrect) {
+            if (selected.length >= this.sessionLength) break;
+            selected.push(id);
+        }
+
+        // Shuffle the final selection so it's not predictable
+        shuffle(selected);
+
+        return selected;
+    }
+
+    // Reset per-session state (score, streak, history, browsing)
+    resetSession() {
+        this.stopTimer();
+        this.sessionScore = 0;
+        this.sessionAnswered = 0;
+        this.streak = 0;
+        this.sessionPoints = { base: 0, speed: 0, streak: 0 };
+        this.answerHistory = [];
+        this.viewingIndex = 0;
+        this.browseReturnPosition = null;
+        if (this.multiplayer) {
+            this.multiplayer.players.forEach(player => Object.assign(player, {
+                score: 0, streak: 0, points: { base: 0, speed: 0, streak: 0 }
+            }));
+        }
+    }
+
+    // Start a fresh session (on the newer bank, if revalidateDB found one). `filters` is {category, difficulty};
+    // `length` a number or Infinity. Returns false (and starts nothing) when no questions match the filters.
+    beginSession(filters, length) {
+        this.applyPendingBank();
+        this.daily = null;
+        this.weakSpots = false;
+        this.sessionFilters = Object.assign({ category: '', difficulty: '' }, filters);
+        this.sessionLength = length;
+
+        this.resetSession();
+        this.clearSession();
+
+        this.sessionQuestions = this.selectSessionQuestions();
+        if (this.sessionQuestions.length === 0) return false;
+
+        this.trackSessionStart();
+        this.loadNextQuestion();
+        return true;
+    }
+
+    // Start a session of the player's weak spots (see weakSpotIds) within `filters`; `length` as in beginSession.
+    // Returns false (and starts nothing) when there are none.
+    beginWeakSpotSession(filters, length) {
+        this.applyPendingBank();
+        this.daily = null;
+        this.weakSpots = true;
+        this.sessionFilters = Object.assign({ category: '', difficulty: '' }, filters);
+        this.sessionLength = length;
+
+        this.resetSession();
+        this.clearSession();
+
+        this.sessionQuestions = this.selectSessionQuestions();
+        if (this.sessionQuestions.length === 0) {
+            this.weakSpots = false;
+            return false;
+        }
+
+        this.trackSessionStart();
+        this.loadNextQuestion();
+        return true;
+    }
+
+    // Start today's daily challenge: theme.dailyQuestions questions, in an order and with option orders drawn
+    // from a PRNG seeded with the quiz and the local date, so everyone gets the same round that day.
+    // Topic/difficulty filters and the selection mode don't apply.
+    beginDailySession() {
+        this.applyPendingBank();
+        if (!this.daily) this.regularSession = { filters: this.sessionFilters, length: this.sessionLength };
+        this.daily = { day: dayKey(Date.now()) };
+        this.weakSpots = false;
+        this.sessionFilters = { category: '', difficulty: '' };
+        this.sessionLength = this.theme.dailyQuestions;
+
+        this.resetSession();
+        this.clearSession();
+
+        this.sessionQuestions = this.selectSessionQuestions();
+        this.trackSessionStart();
+        this.loadNextQuestion();
+    }
+
+    // Complete the daily challenge: the first completion of a day extends the daily streak (or restarts it
+    // after a missed day) and keeps the per-question result for sharing; replays of the same day don't count.
+    // Returns whether this completion counted.
+    recordDailyResult() {
+        const record = this.userStats.dailyChallenge;
+        const day = this.daily.day;
+        if (record.lastDay !== null && record.lastDay >= day) return false;
+
+        record.streak = record.lastDay === previousDayKey(day) ? record.streak + 1 : 1;
+        record.bestStreak = Math.max(record.bestStreak, record.streak);
+        record.lastDay = day;
+        record.lastAnswers = this.answerHistory.map(entry => entry.isCorrect ? 1 : 0);
+        this.saveUserData(this.currentUser, this.userStats);
+        return true;
+    }
+
+    // Daily challenge result to paste elsewhere: title, day, score, daily streak and a ✅/❌ grid (five per row)
+    dailyShareText(title) {
+        const record = this.userStats.dailyChallenge;
+        const marks = this.answerHistory.map(entry => entry.isCorrect ? '✅' : '❌');
+        const rows = [];
+        for (let i = 0; i < marks.length; i += 5) rows.push(marks.slice(i, i + 5).join(''));
+        const streak = record.lastDay === this.daily.day ? ` · 🔥 ${record.streak}` : '';
+        return `${this.t('daily.share', { title, day: this.daily.day })}\n${this.sessionScore}/${this.sessionQuestions.length}${streak}\n${rows.join('\n')}`;
+    }
+
+    // Start a local multiplayer session on this device for 2-6 `names` (see MULTIPLAYER_MODES for `mode`).
+    // Everyone plays the same sessionQuestions; each player's lifetime stats are saved under their own key.
+    // `filters` and `length` (questions per player) work as in beginSession. Multiplayer sessions can't be
+    // resumed after a reload. Returns false (and starts nothing) when there aren't enough matching questions.
+    beginMultiplayerSession(names, mode, filters, length) {
+        const players = names.map(name => String(name).trim());
+        const distinct = new Set(players.map(name => name.toLowerCase()));
+        if (players.length < MIN_PLAYERS || players.length > MAX_PLAYERS || distinct.has('') || distinct.size !== players.length) {
+            throw new Error(this.t('error.playerCount', { min: MIN_PLAYERS, max: MAX_PLAYERS }));
+        }
+        if (!MULTIPLAYER_MODES.includes(mode)) throw new Error(this.t('error.multiplayerMode', { mode }));
+
+        this.applyPendingBank();
+        const previous = {
+            daily: this.daily, weakSpots: this.weakSpots, sessionFilters: this.sessionFilters,
+            sessionLength: this.sessionLength, multiplayer: this.multiplayer
+        };
+        this.daily = null;
+        this.weakSpots = false;
+        this.sessionFilters = Object.assign({ category: '', difficulty: '' }, filters);
+        this.sessionLength = length;
+        this.multiplayer = {
+            mode,
+            players: players.map(name => ({ name, userStats: this.getUserData(name) })),
+            current: 0
+        };
+
+        const questions = this.selectSessionQuestions();
+        if (questions.length === 0) {
+            // Nothing started: whoever was playing keeps their login and session
+            Object.assign(this, previous);
+            return false;
+        }
+
+        this.resetSession();
+        this.sessionQuestions = questions;
+        this.trackSessionStart();
+        this.loadNextQuestion();
+        return true;
+    }
+
+    // Multiplayer: index of the player who answers session position `position`
+    playerAt(position) {
+        return position % this.multiplayer.players.length;
+    }
+
+    // Multiplayer: hand the session over to players[index]. The outgoing player's score, streak and points
+    // are stored and the new player's swapped in, so answering and saving work as in single-player.
+    activatePlayer(index) {
+        const multiplayer = this.multiplayer;
+        Object.assign(multiplayer.players[multiplayer.current], {
+            score: this.sessionScore, streak: this.streak, points: this.sessionPoints
+        });
+
+        const player = multiplayer.players[index];
+        multiplayer.current = index;
+        this.currentUser = player.name;
+        this.userStats = player.userStats;
+        this.sessionScore = player.score;
+        this.streak = player.streak;
+        this.sessionPoints = player.points;
+    }
+
+    // Multiplayer scoreboard in seating order: [{name, score, points, active}]. In 'together' mode
+    // answers to the current question only count once everyone has answered it, so scores give nothing away.
+    playerScores() {
+        const { mode, players, current } = this.multiplayer;
+        const answered = this.sessionAnswered;
+        const counted = mode === 'together' ? answered - (answered % players.length) : answered;
+        const scores = players.map((player, index) => ({ name: player.name, score: 0, points: 0, active: index === current }));
+        this.answerHistory.slice(0, counted).forEach(entry => {
+            const player = scores[entry.player];
+            if (entry.isCorrect) player.score++;
+            player.points += totalPoints(entry.points);
+        });
+        return scores;
+    }
+
+    // Multiplayer final standings, best first: [{name, score, total, percentage, rank, points, place}].
+    // Timed quizzes rank by points, others by score; tied players share a place.
+    standings() {
+        const total = this.sessionQuestions.length / this.multiplayer.players.length;
+        const value = player => this.theme.timeLimit > 0 ? player.points : player.score;
+        const standings = this.playerScores().map(({ name, score, points }) => {
+            const percentage = Math.round((score / total) * 100);
+            return { name, score, total, percentage, rank: this.rankFor(percentage), points };
+        });
+        standings.sort((a, b) => value(b) - value(a));
+        standings.forEach((player, i) => {
+            const previous = standings[i - 1];
+            player.place = previous && value(previous) === value(player) ? previous.place : i + 1;
+        });
+        return standings;
+    }
+
+    // Whether the result at `position` may be shown: in 'together' mode only once everyone has answered the question
+    revealsAnswer(position) {
+        const multiplayer = this.multiplayer;
+        return !multiplayer || multiplayer.mode !== 'together' || (position + 1) % multiplayer.players.length === 0;
+    }
+
+    // 'together' mode: [{name, entry}] for each answer given so far to the question at `position`
+    roundAnswers(position) {
+        const { players } = this.multiplayer;
+        const start = position - (position % players.length);
+        return this.answerHistory.slice(start, position + 1)
+            .map(entry => ({ name: players[entry.player].name, entry }));
+    }
+
+    // Question number to show for a session position: {number, total} ('together' mode counts each question once)
+    displayProgress(position) {
+        const multiplayer = this.multiplayer;
+        const askedTimes = multiplayer && multiplayer.mode === 'together' ? multiplayer.players.length : 1;
+        return { number: Math.floor(position / askedTimes) + 1, total: this.sessionQuestions.length / askedTimes };
+    }
+
+    // New session (keeps progress; after a daily challenge or weak-spot practice, a regular session) with
+    // `filters` and `length`, by default the last session's (after a daily challenge, the ones it set aside).
+    // A bank revalidateDB found during the last session is swapped in first. Returns false (and starts
+    // nothing) when no questions match.
+    playAgain(filters, length) {
+        this.applyPendingBank();
+        const last = this.daily ? this.regularSession : { filters: this.sessionFilters, length: this.sessionLength };
+        this.daily = null;
+        this.weakSpots = false;
+        this.sessionFilters = Object.assign({ category: '', difficulty: '' }, filters || last.filters);
+        this.sessionLength = length !== undefined ? length : last.length;
+
+        this.resetSession();
+        this.sessionQuestions = this.selectSessionQuestions();
+        if (this.sessionQuestions.length === 0) return false;
+
+        this.trackSessionStart();
+        this.loadNextQuestion();
+        return true;
+    }
+
+    // Wipe the current user's progress and start a new session
+    resetProgress() {
+        this.userStats = newUserData();
+        this.saveUserData(this.currentUser, this.userStats);
+        return this.playAgain();
+    }
+
+    // Save the in-progress session into user data so it survives a reload
+    saveSession() {
+        if (!this.currentUser || this.sessionQuestions.length === 0) return;
+        if (this.multiplayer) {
+            // Multiplayer sessions aren't resumable; only the current player's lifetime stats are kept
+            this.saveUserData(this.currentUser, this.userStats);
+            return;
+        }
+        this.userStats.activeSession = {
+            questionIds: this.sessionQuestions,
+            filters: this.sessionFilters,
+            length: this.sessionLength === Infinity ? 'all' : this.sessionLength,
+            answered: this.sessionAnswered,
+            score: this.sessionScore,
+            streak: this.streak,
+            points: this.sessionPoints,
+            history: this.answerHistory,
+            viewingIndex: this.viewingIndex,
+            browseReturnPosition: this.browseReturnPosition,
+            currentShuffle: this.currentShuffledOptions,
+            daily: this.daily ? this.daily.day : null,
+            weakSpots: this.weakSpots,
+            savedAt: Date.now()
+        };
+        this.saveUserData(this.currentUser, this.userStats);
+    }
+
+    // Drop the saved session (finished, replaced or reset)
+    clearSession() {
+        if (!this.currentUser || this.multiplayer || !this.userStats.activeSession) return;
+        this.userStats.activeSession = null;
+        this.saveUserData(this.currentUser, this.userStats);
+    }
+
+    // A saved session can only resume if the DB still has its questions with the same option counts
+    isSessionResumable(saved) {
+        const sameOptions = (id, shuffle) => {
+            const question = this.questionsById.get(id);
+            return question && shuffle.length === question.options.length;
+        };
+        return saved.questionIds.every(id => this.questionsById.has(id)) &&
+            saved.history.every(entry => entry && sameOptions(entry.questionId, entry.shuffledOptions)) &&
+            (saved.answered >= saved.questionIds.length || sameOptions(saved.questionIds[saved.answered], saved.currentShuffle));
+    }
+
+    // The current user's interrupted session, if there is one worth resuming
+    resumableSession() {
+        const saved = this.userStats.activeSession;
+        return saved && saved.answered > 0 && this.isSessionResumable(saved) ? saved : null;
+    }
+
+    // Restore the saved session and show the question (or answer) the player was on
+    resumeGame() {
+        const saved = this.userStats.activeSession;
+
+        this.resetSession();
+        this.sessionQuestions = saved.questionIds;
+        this.sessionFilters = saved.filters;
+        this.sessionLength = saved.length === 'all' ? Infinity : saved.length;
+        this.daily = saved.daily ? { day: saved.daily } : null;
+        this.weakSpots = saved.weakSpots === true;
+        this.sessionAnswered = saved.answered;
+        this.sessionScore = saved.score;
+        this.streak = saved.streak;
+        this.sessionPoints = saved.points;
+        this.answerHistory = saved.history;
+        this.trackSessionStart(true);
+
+        if (saved.browseReturnPosition !== null || saved.viewingIndex < this.sessionAnswered) {
+            // Was browsing earlier answers, or looking at the result of the latest one
+            this.browseReturnPosition = saved.browseReturnPosition;
+            this.viewingIndex = saved.viewingIndex;
+            this.showReviewQuestion(this.viewingIndex);
+        } else {
+            this.loadNextQuestion(saved.currentShuffle);
+        }
+    }
+
+    // Load next question (shuffledOptions: option order to reuse, e.g. when resuming)
+    loadNextQuestion(shuffledOptions) {
+        if (this.sessionAnswered >= this.sessionQuestions.length) {
+            this.finishSession();
+            return;
+        }
+
+        if (this.multiplayer) this.activatePlayer(this.playerAt(this.sessionAnswered));
+        this.viewingIndex = this.sessionAnswered;
+        this.currentQuestionId = this.sessionQuestions[this.sessionAnswered];
+        const question = this.questionsById.get(this.currentQuestionId);
+
+        // Shuffle options to randomize answer positions (true/false keeps its natural order).
+        // In 'together' mode everyone after the first player gets the same order.
+        const repeated = this.multiplayer && this.multiplayer.mode === 'together' && this.playerAt(this.sessionAnswered) > 0;
+        if (shuffledOptions) {
+            this.currentShuffledOptions = [...shuffledOptions];
+        } else if (repeated) {
+            this.currentShuffledOptions = [...this.answerHistory[this.sessionAnswered - 1].shuffledOptions];
+        } else {
+            this.currentShuffledOptions = question.options.map((_, i) => i);
+            const random = this.daily ? this.dailyRandom(this.currentQuestionId) : Math.random;
+            if (question.type === 'choice' || question.type === 'multi') shuffle(this.currentShuffledOptions, random);
+        }
+        this.currentCorrectShuffled = question.correct.map(i => this.currentShuffledOptions.indexOf(i));
+        this.questionStartedAt = Date.now();
+
+        this.emit('questionShown', {
+            position: this.sessionAnswered,
+            total: this.sessionQuestions.length,
+            question,
+            shuffledOptions: this.currentShuffledOptions,
+            player: this.multiplayer ? this.currentUser : null
+        });
+
+        this.startTimer();
+        this.saveSession();
+    }
+
+    // Check a selection against the current question: a display index (choice, truefalse),
+    // an array of display indices (multi) or the typed text (text)
+    isSelectionCorrect(question, selected) {
+        if (selected === null) return false; // Timed out
+        if (question.type === 'text') {
+            return question.options.some(option => isFuzzyMatch(selected, option));
+        }
+        if (question.type === 'multi') {
+            return selected.length === this.currentCorrectShuffled.length &&
+                selected.every(i => this.currentCorrectShuffled.includes(i));
+        }
+        return this.currentCorrectShuffled.includes(selected);
+    }
+
+    // Map a selection from display indices back to original option indices (text and null pass through)
+    originalChoice(question, selected) {
+        if (selected === null || question.type === 'text') return selected;
+        if (Array.isArray(selected)) return selected.map(i => this.currentShuffledOptions[i]);
+        return this.currentShuffledOptions[selected];
+    }
+
+    // Text of an original-index choice as recordAnswer logs it (null stays null: timed out)
+    choiceText(question, choice) {
+        if (choice === null || typeof choice === 'string') return choice;
+        return (Array.isArray(choice) ? choice : [choice]).map(i => question.options[i]).join(', ');
+    }
+
+    // Text of the correct answer(s) for result messages
+    correctAnswerText(question) {
+        if (question.type === 'text') return question.options[0];
+        return question.correct.map(i => question.options[i]).join(', ');
+    }
+
+    // Timed mode: count down the current question; running out counts as a wrong answer.
+    // Emits `tick` with the remaining milliseconds.
+    startTimer() {
+        this.stopTimer();
+        if (this.theme.timeLimit <= 0) return;
+
+        const tick = () => {
+            const remainingMs = Math.max(0, this.theme.timeLimit * 1000 - (Date.now() - this.questionStartedAt));
+            this.emit('tick', { remainingMs, timeLimit: this.theme.timeLimit });
+            if (remainingMs === 0) {
+                this.stopTimer();
+                this.selectAnswer(null);
+            }
+        };
+        tick();
+        this.timerInterval = setInterval(tick, 100);
+    }
+
+    stopTimer() {
+        if (this.timerInterval) {
+            clearInterval(this.timerInterval);
+            this.timerInterval = null;
+        }
+    }
+
+    // Timed mode scoring: base points, a speed bonus that shrinks with time taken,
+    // and a streak multiplier (streak already includes this answer)
+    scoreAnswer(isCorrect, timeTaken) {
+        const points = { base: 0, speed: 0, streak: 0 };
+        if (!isCorrect || this.theme.timeLimit <= 0) return points;
+
+        const remaining = Math.max(0, 1 - timeTaken / (this.theme.timeLimit * 1000));
+        const multiplier = Math.min(this.theme.maxStreakMultiplier, 1 + (this.streak - 1) * this.theme.streakMultiplierStep);
+        points.base = POINTS_PER_CORRECT;
+        points.speed = Math.round(this.theme.speedBonus * remaining);
+        points.streak = Math.round((points.base + points.speed) * (multiplier - 1));
+        return points;
+    }
+
+    totalPoints(points) {
+        return totalPoints(points);
+    }
+
+    // Answer the current question (null = the timer ran out); emits `answered`
+    selectAnswer(selected) {
+        if (this.viewingIndex < this.sessionAnswered) return; // Already answered
+        this.stopTimer();
+        const timeTaken = Date.now() - this.questionStartedAt;
+        const questionId = this.currentQuestionId;
+        const question = this.questionsById.get(questionId);
+        const isCorrect = this.isSelectionCorrect(question, selected);
+        const userStats = this.userStats;
+
+        // Update score and streak
+        if (isCorrect) {
+            this.sessionScore++;
+            this.streak++;
+
+            // Track correct answer (add if not already there)
+            if (!userStats.correctQuestions.includes(questionId)) {
+                userStats.correctQuestions.push(questionId);
+            }
+            userStats.totalCorrect++;
+        } else {
+            this.streak = 0;
+
+            // Remove from correct if previously correct (they got it wrong this time)
+            const correctIdx = userStats.correctQuestions.indexOf(questionId);
+            if (correctIdx > -1) {
+                userStats.correctQuestions.splice(correctIdx, 1);
+            }
+        }
+
+        this.updateSrsCard(questionId, isCorrect);
+        this.recordAnswer(questionId, this.originalChoice(question, selected), isCorrect, timeTaken);
+
+        const points = this.scoreAnswer(isCorrect, timeTaken);
+        this.sessionPoints.base += points.base;
+        this.sessionPoints.speed += points.speed;
+        this.sessionPoints.streak += points.streak;
+
+        // Track that question was seen
+        if (!userStats.seenQuestions.includes(questionId)) {
+            userStats.seenQuestions.push(questionId);
+        }
+        userStats.totalAnswered++;
+
+        // Store in answer history before incrementing sessionAnswered
+        const position = this.viewingIndex;
+        this.answerHistory[position] = {
+            questionId: questionId,
+            selected: selected,
+            isCorrect: isCorrect,
+            shuffledOptions: [...this.currentShuffledOptions],
+            correctShuffled: [...this.currentCorrectShuffled],
+            timeTaken: timeTaken,
+            points: points
+        };
+        if (this.multiplayer) this.answerHistory[position].player = this.multiplayer.current;
+
+        this.sessionAnswered++;
+
+        // Save to localStorage (lifetime stats and the in-progress session)
+        this.saveSession();
+
+        this.track('answer', {
+            mode: this.sessionMode(),
+            position,
+            questionId,
+            correct: isCorrect,
+            timedOut: selected === null,
+            latencyMs: timeTaken
+        });
+
+        const reveal = this.revealsAnswer(position);
+        this.emit('answered', { position, question, entry: this.answerHistory[position], reveal });
+        if (reveal) this.checkAchievements();
+    }
+
+    // Emit `reviewShown` for a previously answered session position
+    showReviewQuestion(position) {
+        const entry = this.answerHistory[position];
+        this.emit('reviewShown', {
+            position,
+            total: this.sessionQuestions.length,
+            question: this.questionsById.get(entry.questionId),
+            entry
+        });
+    }
+
+    // Navigate back to a previous question
+    goBack() {
+        if (!this.canGoBack()) return;
+        if (this.browseReturnPosition === null) {
+            this.browseReturnPosition = this.viewingIndex;
+        }
+        this.viewingIndex--;
+        this.track('browseBack', { position: this.viewingIndex, from: this.browseReturnPosition });
+        this.showReviewQuestion(this.viewingIndex);
+        this.saveSession();
+    }
+
+    // Navigate forward toward the current question
+    goForward() {
+        if (!this.canGoForward()) return;
+        this.viewingIndex++;
+        if (this.viewingIndex >= this.browseReturnPosition) {
+            // Returned to where we were — exit browse mode
+            this.viewingIndex = this.browseReturnPosition;
+            this.browseReturnPosition = null;
+            // If we're at an unanswered question, load it fresh; otherwise show the answered one
+            if (this.viewingIndex >= this.sessionAnswered) {
+                this.loadNextQuestion();
+                return;
+            }
+        }
+        this.showReviewQuestion(this.viewingIndex);
+        this.saveSession();
+    }
+
+    // Back: there are earlier answered questions to review
+    // (timed mode: not while the clock runs on an unanswered question; never in 'together' mode,
+    // where it would show the next player other players' answers)
+    canGoBack() {
+        if (this.multiplayer && this.multiplayer.mode === 'together') return false;
+        const timerRunning = this.theme.timeLimit > 0 && this.browseReturnPosition === null && this.viewingIndex >= this.sessionAnswered;
+        return this.viewingIndex > 0 && !timerRunning;
+    }
+
+    // Forward: only while browsing and not yet back at the return position
+    canGoForward() {
+        return this.browseReturnPosition !== null && this.viewingIndex < this.browseReturnPosition;
+    }
+
+    // Next: the latest answer's result is showing
+    canGoNext() {
+        return this.browseReturnPosition === null && this.viewingIndex < this.sessionAnswered;
+    }
+
+    // Whether every question in the session has been answered
+    isSessionOver() {
+        return this.sessionAnswered >= this.sessionQuestions.length;
+    }
+
+    // Whether a session has started and still has unanswered questions
+    isSessionInProgress() {
+        return this.sessionQuestions.length > 0 && !this.isSessionOver();
+    }
+
+    // Next question, or finish the session after the last one
+    nextQuestion() {
+        this.browseReturnPosition = null;
+        if (this.isSessionOver()) {
+            this.finishSession();
+        } else {
+            this.loadNextQuestion();
+        }
+    }
+
+    // End the session; emits `sessionComplete` with the results (see sessionResults)
+    finishSession() {
+        this.stopTimer();
+        this.clearSession();
+        const dailyCounted = this.daily ? this.recordDailyResult() : false;
+        const results = this.sessionResults();
+        if (results.daily) results.daily.counted = dailyCounted;
+        this.recordBestSessions(results);
+        this.checkAchievements(results);
+        this.trackSessionEnd(true);
+        this.emit('sessionComplete', results);
+    }
+
+    // Kind of session being played: 'multiplayer', 'daily', 'weakSpots' or 'regular'
+    sessionMode() {
+        if (this.multiplayer) return 'multiplayer';
+        if (this.daily) return 'daily';
+        return this.weakSpots ? 'weakSpots' : 'regular';
+    }
+
+    // Hand a gameplay event to the analytics tracker, tagged with the quiz and language. Events never
+    // carry player names.
+    track(name, fields = {}) {
+        if (!this.analytics) return;
+        try {
+            this.analytics.track(name, Object.assign({ quiz: this.theme.storagePrefix, locale: this.locale }, fields));
+        } catch (err) {
+            console.warn('Analytics tracker failed:', err);
+        }
+    }
+
+    // `sessionStart` event for the session just set up (or `resumed`)
+    trackSessionStart(resumed = false) {
+        this.track('sessionStart', {
+            mode: this.sessionMode(),
+            resumed,
+            questions: this.sessionQuestions.length,
+            category: this.sessionFilters.category,
+            difficulty: this.sessionFilters.difficulty,
+            timed: this.theme.timeLimit > 0,
+            players: this.multiplayer ? this.multiplayer.players.length : 1
+        });
+    }
+
+    // `sessionEnd` event: `completed` is false when the player leaves a session before its last answer
+    trackSessionEnd(completed) {
+        this.track('sessionEnd', {
+            mode: this.sessionMode(),
+            completed,
+            answered: this.sessionAnswered,
+            correct: this.answerHistory.filter(entry => entry && entry.isCorrect).length,
+            questions: this.sessionQuestions.length
+        });
+    }
+
+    // Keep each player's result as their bestSession when it beats the previous one (see compareSessions)
+    recordBestSessions(results) {
+        const sessions = this.multiplayer ? results.players : [{
+            name: this.currentUser, score: results.score, total: results.total, percentage: results.percentage, points: results.points.total
+        }];
+        sessions.forEach(({ name, score, total, percentage, points }) => {
+            const userStats = this.multiplayer ? this.multiplayer.players.find(player => player.name === name).userStats : this.userStats;
+            const session = { score, total, percentage, points, at: Date.now() };
+            if (compareSessions(session, userStats.bestSession) <= 0) return;
+            userStats.bestSession = session;
+            this.saveUserData(name, userStats);
+        });
+    }
+
+    // This session's wrong answers in order: [{position, question, choice, player}] — `choice` in original
+    // option indices (see recordAnswer), `player` the multiplayer player index (null in single player)
+    sessionMistakes() {
+        return this.answerHistory.flatMap((entry, position) => {
+            if (!entry || entry.isCorrect) return [];
+            const question = this.questionsById.get(entry.questionId);
+            const map = i => entry.shuffledOptions[i];
+            const choice = entry.selected === null || question.type === 'text' ? entry.selected
+                : Array.isArray(entry.selected) ? entry.selected.map(map) : map(entry.selected);
+            return [{ position, question, choice, player: entry.player ?? null }];
+        });
+    }
+
+    // The current user's missed questions from their history: every seen question still in the DB that they
+    // haven't answered correctly (since), most recently missed first — [{question, choice, missedAt}].
+    // `choice` is the last wrong pick logged (undefined when it has aged out of the log).
+    missedQuestions() {
+        const log = this.userStats.history.log;
+        const lastMiss = new Map(); // Question id → index of its last wrong answer in the log
+        log.forEach(([, id, , correct], index) => {
+            if (!correct) lastMiss.set(id, index);
+        });
+        const correct = new Set(this.userStats.correctQuestions);
+        const missIndex = id => lastMiss.has(id) ? lastMiss.get(id) : -1;
+        return this.userStats.seenQuestions
+            .filter(id => !correct.has(id) && this.questionsById.has(id))
+            .sort((a, b) => missIndex(b) - missIndex(a))
+            .map(id => {
+                const entry = log[missIndex(id)];
+                return { question: this.questionsById.get(id), choice: entry ? entry[2] : undefined, missedAt: entry ? entry[0] : null };
+            });
+    }
+
+    // Rank label for a score percentage (ranks are sorted high-to-low by min; translated ranks via themeText)
+    rankFor(percentage) {
+        const rank = this.themeText('ranks').find(r => percentage >= r.min);
+        return rank ? rank.label : '';
+    }
+
+    // Score, rank, lifetime mastery and timed-mode points for the current session.
+    // Multiplayer adds `players` (see standings); the other fields then describe the last player.
+    sessionResults() {
+        const total = this.sessionQuestions.length / (this.multiplayer ? this.multiplayer.players.length : 1);
+        const percentage = Math.round((this.sessionScore / total) * 100);
+        // Ids no longer in the DB don't count toward mastery
+        const mastered = this.userStats.correctQuestions.filter(id => this.questionsById.has(id)).length;
+        return {
+            score: this.sessionScore,
+            total,
+            percentage,
+            rank: this.rankFor(percentage),
+            mastered,
+            questionCount: this.questions.length,
+            masteryPercent: Math.round((mastered / this.questions.length) * 100),
+            points: Object.assign({ total: totalPoints(this.sessionPoints) }, this.sessionPoints),
+            players: this.multiplayer ? this.standings() : null,
+            daily: this.daily ? this.dailyResults() : null
+        };
+    }
+
+    // Daily challenge part of SessionResults: {day, streak, bestStreak} (`counted` is added by finishSession)
+    dailyResults() {
+        const { streak, bestStreak } = this.userStats.dailyChallenge;
+        return { day: this.daily.day, streak, bestStreak };
+    }
+
+    // Lifetime mastery per category: [{category, mastered, total}]
+    categoryMastery() {
+        const correct = new Set(this.userStats.correctQuestions);
+        return this.distinctValues('category').map(category => {
+            const inCategory = this.questions.filter(q => q.category === category);
+            return {
+                category,
+                mastered: inCategory.filter(q => correct.has(q.id)).length,
+                total: inCategory.length
+            };
+        });
+    }
+
+    // Lifetime numbers for the stats screen
+    lifetimeStats() {
+        const userStats = this.userStats;
+        const history = userStats.history;
+
+        // Hardest questions: lowest accuracy among questions answered at least twice
+        const hardest = Object.entries(history.questions)
+            .filter(([id, pair]) => pair[0] >= 2 && pair[1] < pair[0] && this.questionsById.has(Number(id)))
+            .sort((a, b) => (a[1][1] / a[1][0]) - (b[1][1] / b[1][0]) || b[1][0] - a[1][0])
+            .slice(0, 5)
+            .map(([id, pair]) => ({ question: this.questionsById.get(Number(id)), answered: pair[0], correct: pair[1] }));
+
+        // Most-missed distractors: wrong options picked most often
+        const distractors = [];
+        for (const [id, picks] of Object.entries(history.distractors)) {
+            const question = this.questionsById.get(Number(id));
+            if (!question) continue;
+            for (const [option, count] of Object.entries(picks)) {
+                if (question.options[option] !== undefined) distractors.push({ question, option: Number(option), count });
+            }
+        }
+        distractors.sort((a, b) => b.count - a.count);
+
+        return {
+            answered: userStats.totalAnswered,
+            accuracy: userStats.totalAnswered > 0 ? Math.round((userStats.totalCorrect / userStats.totalAnswered) * 100) : 0,
+            bestStreak: history.bestStreak,
+            daysPlayed: Object.keys(history.daily).length,
+            mastered: userStats.correctQuestions.filter(id => this.questionsById.has(id)).length,
+            questionCount: this.questions.length,
+            hardest,
+            distractors: distractors.slice(0, 5)
+        };
+    }
+
+    // The last `days` days, oldest first: [{day, answered, correct}] (zeros when not played)
+    recentDays(days) {
+        const result = [];
+        for (let i = days - 1; i >= 0; i--) {
+            const day = dayKey(Date.now() - i * DAY_MS);
+            const pair = this.userStats.history.daily[day] || [0, 0];
+            result.push({ day, answered: pair[0], correct: pair[1] });
+        }
+        return result;
+    }
+
+    // The theme's achievements of a known type (others can never be earned)
+    achievementDefinitions() {
+        return this.theme.achievements.filter(achievement => ACHIEVEMENT_TYPES.includes(achievement.type));
+    }
+
+    // How far `userStats` is toward an achievement of `type`, in the unit of its `value`. `round` is a finished
+    // round's {total, percentage}; without one, perfectRound has nothing to count.
+    achievementProgress(type, userStats, round = null) {
+        const history = userStats.history;
+        if (type === 'streak') return history.bestStreak;
+        if (type === 'perfectRound') return round && round.percentage === 100 ? round.total : 0;
+        if (type === 'answered') return userStats.totalAnswered;
+        if (type === 'correct') return userStats.totalCorrect;
+        if (type === 'daysInARow') return daysInARow(history.daily, dayKey(Date.now()));
+        if (type === 'dailyStreak') return userStats.dailyChallenge.bestStreak;
+        if (type === 'mastery' && this.questions.length > 0) {
+            const mastered = userStats.correctQuestions.filter(id => this.questionsById.has(id)).length;
+            return Math.floor((mastered / this.questions.length) * 100);
+        }
+        return 0;
+    }
+
+    // Award the achievements the current player (in multiplayer, each player, with `round` their standing)
+    // has just reached. Called after every revealed answer and, with the session's results, when it ends.
+    // New ones are saved in the player's `achievements` and announced with `achievementsEarned`
+    // ({name, achievements}); returns them all (see achievementList).
+    checkAchievements(round = null) {
+        if (!this.currentUser) return [];
+        if (!this.multiplayer) return this.earnAchievements(this.currentUser, this.userStats, round);
+        return this.multiplayer.players.flatMap(player => this.earnAchievements(player.name, player.userStats,
+            round && round.players.find(standing => standing.name === player.name)));
+    }
+
+    // checkAchievements for one player
+    earnAchievements(name, userStats, round) {
+        const now = Date.now();
+        const earned = this.achievementDefinitions().filter(achievement => !userStats.achievements[achievement.id] &&
+            this.achievementProgress(achievement.type, userStats, round) >= (achievement.value || 1));
+        if (earned.length === 0) return [];
+
+        earned.forEach(achievement => { userStats.achievements[achievement.id] = now; });
+        this.saveUserData(name, userStats);
+        const achievements = earned.map(achievement => this.describeAchievement(achievement, now));
+        this.emit('achievementsEarned', { name, achievements });
+        return achievements;
+    }
+
+    // An achievement with its label and description in the language being played: the theme's (see themeText),
+    // else the catalog's for its type; `earnedAt` is when it was earned, or null
+    describeAchievement(achievement, earnedAt) {
+        const own = (this.themeText('achievements') || []).find(entry => entry.id === achievement.id) || {};
+        const count = achievement.value || 1;
+        return Object.assign({}, achievement, {
+            label: own.label || this.t(`achievements.${achievement.type}`, { count }),
+            description: own.description || this.t(`achievements.${achievement.type}Detail`, { count }),
+            earnedAt
+        });
+    }
+
+    // Trophy case: every achievement of the theme, described, with when the current player earned it (or null)
+    achievementList() {
+        return this.achievementDefinitions().map(achievement =>
+            this.describeAchievement(achievement, this.userStats.achievements[achievement.id] || null));
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        QuizEngine,
+        DEFAULT_THEME,
+        newUserData,
+        newHistory,
+        newDailyChallenge,
+        mergeUserData,
+        compareSessions,
+        validateQuestion,
+        dayKey,
+        previousDayKey,
+        daysInARow,
+        csvField,
+        shuffle,
+        hashString,
+        seededRandom,
+        normalizeAnswer,
+        editDistance,
+        isFuzzyMatch,
+        totalPoints
+    };
+}
@@ -1,723 +1,1697 @@
 /**
- * Quiz Game Engine
+ * Quiz Game Engine — default DOM renderer
  *
- * This module contains all the game logic and mechanics for the quiz.
- * It handles:
- * - Loading questions from a SQLite .db file via sql.js (WASM)
- * - Question selection and randomization
- * - User progress tracking via localStorage
- * - Score and streak calculations
- * - Answer validation
- * - UI updates and animations
+ * Draws a QuizEngine (quiz-core.js) into the page and turns clicks and keys into
+ * engine calls. It handles:
+ * - Login, resume prompt, topic/difficulty and session length pickers
+ * - Local multiplayer setup, scoreboard and podium
+ * - Daily challenge and its shareable result grid
+ * - Review of wrong answers and weak-spot practice
+ * - Leaderboard of the players on this device
+ * - Achievement toast and trophy case
+ * - Question report form, and export of the reports on the stats screen
+ * - The player's analytics opt-out switch
+ * - Question, option and result rendering (DB text is always escaped), with images, audio and code
+ * - Stats bar, streak badge, timer, result bottom sheet and stats screen
+ * - Keyboard control, screen-reader announcements and animations
+ * - The page's language: every text from the engine's locale catalogs, RTL layout and a language switcher
  *
  * Configuration (set in index.html before loading this script):
  * - QUIZ_DB_URL: URL to the SQLite .db file
- * - QUIZ_THEME: Optional theme overrides (see defaults below)
+ * - QUIZ_DB_URLS: Optional locale → .db URL for languages with a DB of their own
+ * - QUIZ_THEME: Optional theme overrides (see DEFAULT_THEME in quiz-core.js)
+ * - QUIZ_SQL_JS_PATH: Optional base URL of the sql.js WASM file (default: cdnjs)
+ * - QUIZ_REPORT_URL: Optional URL question reports are POSTed to (default: they stay on the device)
+ * - QUIZ_ANALYTICS_URL: Optional URL gameplay events are beaconed to, or 'console' to log them (needs quiz-analytics.js)
+ * When QUIZ_DB_URL is set, a renderer for the whole page starts automatically.
+ * To embed quizzes elsewhere, leave it unset and create your own:
+ *   const engine = new QuizEngine({ dbUrl: 'quiz.db', theme: { storagePrefix: 'my_quiz' } });
+ *   new QuizRenderer(engine, document.getElementById('myQuiz')).start();
+ *
+ * Buttons in the markup name the renderer method they call with `data-action`. Markup text is translated
+ * through `data-i18n` (catalog key for the text), `data-i18n-label` (for aria-label) and `data-theme-text` /
+ * `data-theme-placeholder` (quiz texts, see QuizEngine#themeText).
  *
  * Dependencies:
- * - sql.js (CDN)
+ * - quiz-i18n.js and quiz-core.js (loaded first); quiz-analytics.js for QUIZ_ANALYTICS_URL
  * - canvas-confetti library (CDN)
- * - HTML elements with specific IDs (see index.html)
+ * - HTML elements with specific IDs inside the root element (see index.html)
  */
 
-// Theme configuration with defaults
-const theme = Object.assign({
-    storagePrefix: 'quiz_game',
-    correctMessage: '✨ Correct! The gods are pleased!',
-    funFactLabel: '📜 Did you know?',
-    confettiColors: ['#d4af37', '#f4e4a6', '#996515', '#ffffff'],
-    confettiStreakColors: ['#d4af37', '#f4e4a6', '#996515'],
-    ranks: [
-        { min: 100, label: '🏛️ Oracle of Delphi - Perfect Round!' },
-        { min: 90,  label: '⚡ Olympian Champion' },
-        { min: 75,  label: '🦁 Hero of Legend' },
-        { min: 60,  label: '⚔️ Worthy Warrior' },
-        { min: 40,  label: '📚 Eager Student' },
-        { min: 0,   label: '🌱 Humble Mortal' },
-    ]
-}, typeof QUIZ_THEME !== 'undefined' ? QUIZ_THEME : {});
-
-// Configuration
-const QUESTIONS_PER_GAME = 20;
-const DB_CACHE_MAX_AGE_MS = 90 * 24 * 60 * 60 * 1000; // 90 days
-
-// Questions array — populated async from SQLite DB
-let questions = [];
-
-// Timeout wrapper — resolves to rejection if promise doesn't settle in time
-function withTimeout(promise, ms) {
-    return Promise.race([
-        promise,
-        new Promise((_, reject) => setTimeout(() => reject(new Error('timeout')), ms))
-    ]);
+// URL schemes allowed in links built from DB content (e.g. wiki_url)
+const ALLOWED_URL_SCHEMES = ['http:', 'https:'];
+
+// How long the achievement toast stays up
+const ACHIEVEMENT_TOAST_MS = 4000;
+
+// QuizRenderers made so far: numbers each one, so the ids of elements it creates are unique on a page with several quizzes
+let rendererCount = 0;
+
+// Escape text for safe insertion into HTML
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
 }
 
-// IndexedDB helpers for caching the .db file
-function openCacheDB() {
-    return new Promise((resolve, reject) => {
-        const req = indexedDB.open('quiz_db_cache', 1);
-        req.onupgradeneeded = () => req.result.createObjectStore('files');
-        req.onsuccess = () => resolve(req.result);
-        req.onerror = () => reject(req.error);
-    });
+// Return the URL if its scheme is allowed (relative URLs resolve against the page), else ''
+function safeUrl(url) {
+    if (!url) return '';
+    try {
+        return ALLOWED_URL_SCHEMES.includes(new URL(url, location.href).protocol) ? url : '';
+    } catch (e) {
+        return '';
+    }
 }
 
-async function getCachedDB() {
-    const db = await openCacheDB();
-    return new Promise((resolve, reject) => {
-        const tx = db.transaction('files', 'readonly');
-        const req = tx.objectStore('files').get(QUIZ_DB_URL);
-        req.onsuccess = () => resolve(req.result || null);
-        req.onerror = () => reject(req.error);
-    });
+// Escape a fun fact, then allow a small formatting subset: **bold**, *italics* / _italics_, `code`
+function formatFunFact(text) {
+    return escapeHtml(text)
+        .replace(/`([^`]+)`/g, '<code>$1</code>')
+        .replace(/\*\*([^*]+)\*\*/g, '<strong>$1</strong>')
+        .replace(/(^|[^\w*])\*([^*]+)\*(?![\w*])/g, '$1<em>$2</em>')
+        .replace(/(^|[^\w])_([^_]+)_(?!\w)/g, '$1<em>$2</em>');
 }
 
-async function setCachedDB(bytes) {
-    const db = await openCacheDB();
-    return new Promise((resolve, reject) => {
-        const tx = db.transaction('files', 'readwrite');
-        tx.objectStore('files').put({ bytes, cachedAt: Date.now() }, QUIZ_DB_URL);
-        tx.oncomplete = () => resolve();
-        tx.onerror = () => reject(tx.error);
-    });
+// Whether the player asked the OS/browser to minimize animation
+function prefersReducedMotion() {
+    return typeof window.matchMedia === 'function' && window.matchMedia('(prefers-reduced-motion: reduce)').matches;
 }
 
-// Parse a .db ArrayBuffer/Uint8Array into the questions array
-function parseDB(SQL, bytes) {
-    const db = new SQL.Database(new Uint8Array(bytes));
-    const results = db.exec("SELECT id, question, option_a, option_b, option_c, option_d, correct, fun_fact, wiki_url FROM questions ORDER BY id");
+// Small element helper (text is always set via textContent)
+function createElement(tag, className, text) {
+    const el = document.createElement(tag);
+    if (className) el.className = className;
+    if (text !== undefined) el.textContent = text;
+    return el;
+}
 
-    if (results.length > 0) {
-        questions = results[0].values.map(row => ({
-            question: row[1],
-            options: [row[2], row[3], row[4], row[5]],
-            correct: row[6],
-            funFact: row[7] || '',
-            wiki: row[8] || ''
-        }));
-    }
+// Visually hidden text for screen readers
+function srOnly(text) {
+    return createElement('span', 'sr-only', text);
+}
 
-    db.close();
+// A language's name in that language (e.g. "español"); the locale itself where the browser can't name it
+function languageName(locale) {
+    try {
+        return new Intl.DisplayNames([locale], { type: 'language' }).of(locale) || locale;
+    } catch (e) {
+        return locale;
+    }
 }
 
-// Load questions from SQLite database (with IndexedDB caching)
-async function initDatabase() {
-    const loadingIndicator = document.getElementById('loadingIndicator');
-    const startBtn = document.getElementById('startBtn');
+class QuizRenderer {
+    /**
+     * @param {QuizEngine} engine - Engine to draw
+     * @param {Document|Element} [root] - Element holding the quiz markup (default: the whole page)
+     */
+    constructor(engine, root) {
+        this.engine = engine;
+        this.theme = engine.theme;
+        this.root = root || document;
+        this.idPrefix = `quiz${++rendererCount}-`; // Prefix of the ids of elements this renderer creates
+        this.modalReturnFocus = null;              // Element to refocus when the result sheet closes
+        this.statsReturnScreen = 'completionScreen';
+        this.reviewReturnScreen = 'completionScreen';
+        this.leaderboardReturnScreen = 'loginScreen';
+        this.trophyReturnScreen = 'completionScreen';
+        this.toastTimer = null;                     // Hides the achievement toast
+        this.resultQuestionId = null;               // Question whose result is shown (for reportQuestion)
+        this.reportingQuestionId = null;            // Question the report form is open for
+        this.reportReopensModal = false;            // The result sheet was open when the report form opened
+        this.reportReturnFocus = null;              // Element to refocus when the report form closes
+        this.reportedIds = new Set();               // Questions reported since the page loaded
+        this.leaderboardSort = 'bestSession';       // Leaderboard column (see QuizEngine#leaderboard)
+
+        engine.on('questionShown', detail => this.renderQuestion(detail));
+        engine.on('answered', detail => this.renderAnswer(detail));
+        engine.on('reviewShown', detail => this.showReviewQuestion(detail));
+        engine.on('tick', detail => this.renderTimer(detail));
+        engine.on('sessionComplete', results => this.showCompletionScreen(results));
+        engine.on('achievementsEarned', detail => this.showAchievementToast(detail));
+        engine.on('bankUpdated', () => {
+            this.populateFilters();
+            this.populateSessionLengths();
+        });
 
-    try {
-        const SQL = await initSqlJs({
-            locateFile: file => `https://cdnjs.cloudflare.com/ajax/libs/sql.js/1.11.0/${file}`
+        // Buttons: data-action="methodName"
+        this.root.addEventListener('click', e => {
+            const button = e.target.closest('[data-action]');
+            if (button && this.root.contains(button)) this[button.dataset.action]();
+        });
+        this.root.addEventListener('keydown', e => this.handleGameKeys(e));
+        // Leaderboard column headers: data-sort="field"
+        this.root.querySelectorAll('[data-sort]').forEach(button => {
+            button.addEventListener('click', () => this.sortLeaderboard(button.dataset.sort));
         });
 
-        let cached = null;
-        try { cached = await withTimeout(getCachedDB(), 2000); } catch (e) { /* IndexedDB unavailable or slow */ }
+        const username = this.$('username');
+        username.addEventListener('keypress', e => {
+            if (e.key === 'Enter') this.startGame();
+        });
+        // A resume prompt belongs to the name it was shown for
+        username.addEventListener('input', () => this.hideResumePrompt());
+
+        // Multiplayer setup: the first seat defaults to the name typed above
+        const multiplayerSetup = this.$('multiplayerSetup');
+        if (multiplayerSetup) {
+            multiplayerSetup.addEventListener('toggle', () => {
+                const first = this.$('playerNames').querySelector('input');
+                if (multiplayerSetup.open && first && !first.value) first.value = username.value.trim();
+            });
+        }
 
-        const isStale = !cached || (Date.now() - cached.cachedAt) > DB_CACHE_MAX_AGE_MS;
+        const languageSelect = this.$('languageSelect');
+        if (languageSelect) {
+            languageSelect.addEventListener('change', () => this.changeLanguage(languageSelect.value));
+        }
 
-        if (cached && !isStale) {
-            // Use cached copy
-            parseDB(SQL, cached.bytes);
-        } else {
-            // Fetch fresh copy (fall back to stale cache on network failure)
-            try {
-                const response = await fetch(QUIZ_DB_URL);
-                if (!response.ok) {
-                    throw new Error(`Failed to fetch database: ${response.status} ${response.statusText}`);
-                }
+        const reportForm = this.$('reportForm');
+        if (reportForm) {
+            reportForm.addEventListener('submit', e => {
+                e.preventDefault();
+                this.submitReport();
+            });
+        }
 
-                const buf = await response.arrayBuffer();
-                parseDB(SQL, buf);
-                try { await withTimeout(setCachedDB(buf), 2000); } catch (e) { /* cache write failed, non-fatal */ }
-            } catch (fetchErr) {
-                if (cached) {
-                    console.warn('Network fetch failed, using stale cached DB:', fetchErr);
-                    parseDB(SQL, cached.bytes);
-                } else {
-                    throw fetchErr;
-                }
-            }
+        const analyticsOptIn = this.$('analyticsOptIn');
+        if (analyticsOptIn) {
+            analyticsOptIn.addEventListener('change', () => {
+                if (this.engine.analytics) this.engine.analytics.setOptOut(!analyticsOptIn.checked);
+            });
         }
 
-        loadingIndicator.style.display = 'none';
-        startBtn.disabled = false;
-    } catch (err) {
-        loadingIndicator.innerHTML = `<span style="color: #ef4444;">Failed to load questions. Check the DB URL.</span>`;
-        console.error('Database load error:', err);
+        const importFile = this.$('importFile');
+        if (importFile) {
+            importFile.addEventListener('change', () => {
+                this.importProgress(importFile.files[0]);
+                importFile.value = '';
+            });
+        }
     }
-}
 
-// Game state variables
-let currentUser = null;
-let currentQuestionIndex = 0;
-let currentShuffledOptions = []; // Shuffled option indices for current question
-let currentCorrectShuffled = 0;  // Index of correct answer after shuffling
-let sessionScore = 0;
-let streak = 0;
-let sessionQuestions = []; // Questions for this session (20)
-let sessionAnswered = 0;   // How many answered this session
-let userStats = { seenQuestions: [], correctQuestions: [], totalCorrect: 0, totalAnswered: 0 };
-
-// Navigation state for back/forward browsing
-let answerHistory = [];        // Per-position: {questionIndex, selectedIndex, isCorrect, shuffledOptions, correctShuffled}
-let viewingIndex = 0;          // Which session position is currently displayed
-let browseReturnPosition = null; // null = not browsing; set to position when user clicks Back
-
-// Initialize background animation
-function createStars() {
-    const bg = document.getElementById('bgAnimation');
-    for (let i = 0; i < 100; i++) {
-        const star = document.createElement('div');
-        star.className = 'star';
-        star.style.left = Math.random() * 100 + '%';
-        star.style.top = Math.random() * 100 + '%';
-        star.style.animationDelay = Math.random() * 3 + 's';
-        bg.appendChild(star);
-    }
-
-    // Add lightning bolts
-    for (let i = 0; i < 5; i++) {
-        const bolt = document.createElement('div');
-        bolt.className = 'lightning-bolt';
-        bolt.style.left = Math.random() * 100 + '%';
-        bolt.style.top = Math.random() * 50 + '%';
-        bolt.style.animationDelay = Math.random() * 8 + 's';
-        bg.appendChild(bolt);
+    // Element by ID inside this renderer's root
+    $(id) {
+        return this.root.querySelector(`#${id}`);
     }
-}
 
-// Local Storage functions
-function getUserData(username) {
-    const data = localStorage.getItem(`${theme.storagePrefix}_${username}`);
-    return data ? JSON.parse(data) : {
-        seenQuestions: [],      // All questions user has seen
-        correctQuestions: [],   // Questions user has answered correctly
-        totalCorrect: 0,        // Lifetime correct answers
-        totalAnswered: 0        // Lifetime total answers
-    };
-}
+    // UI text in the engine's language (see QuizEngine#t)
+    t(key, params) {
+        return this.engine.t(key, params);
+    }
 
-function saveUserData(username, data) {
-    localStorage.setItem(`${theme.storagePrefix}_${username}`, JSON.stringify(data));
-}
+    // Background animation, page language, DB load, multiplayer name fields and the remembered username
+    start() {
+        this.createStars();
+        this.applyLocale();
+        this.initDatabase();
+        if (this.$('playerNames')) {
+            for (let i = 0; i < this.engine.playerLimits.min; i++) this.addPlayerInput();
+        }
 
-// Select 20 questions with priority: unseen > incorrect > correct
-function selectSessionQuestions() {
-    const allIndices = questions.map((_, i) => i);
-    const seen = new Set(userStats.seenQuestions);
-    const correct = new Set(userStats.correctQuestions);
+        const lastUser = this.engine.lastUser();
+        if (lastUser) {
+            this.$('username').value = lastUser;
+        }
+        this.showAnalyticsToggle();
+    }
 
-    // Categorize questions
-    const unseen = allIndices.filter(i => !seen.has(i));
-    const seenIncorrect = allIndices.filter(i => seen.has(i) && !correct.has(i));
-    const seenCorrect = allIndices.filter(i => correct.has(i));
+    // The analytics opt-out checkbox: only when the engine has a tracker and the browser doesn't already
+    // ask not to be tracked
+    showAnalyticsToggle() {
+        const toggle = this.$('analyticsToggle');
+        if (!toggle) return;
+        const analytics = this.engine.analytics;
+        const offered = Boolean(analytics) && !analytics.doNotTrack;
+        toggle.style.display = offered ? '' : 'none';
+        if (offered) this.$('analyticsOptIn').checked = !analytics.optedOut;
+    }
 
-    // Shuffle each category
-    shuffle(unseen);
-    shuffle(seenIncorrect);
-    shuffle(seenCorrect);
+    // Load the question DB and enable the Start button
+    async initDatabase() {
+        try {
+            await this.engine.initDatabase();
+            this.populateFilters();
+            this.populateSessionLengths();
+            this.$('startBtn').disabled = false;
+            ['dailyBtn', 'multiplayerStartBtn'].forEach(id => {
+                const button = this.$(id);
+                if (button) button.disabled = false;
+            });
 
-    // Build session: prioritize unseen, then incorrect, then correct
-    const selected = [];
+            this.showLoadReport();
+        } catch (err) {
+            this.showLoadError(err);
+            console.error('Database load error:', err);
+        }
+    }
 
-    // Add unseen questions first
-    for (const i of unseen) {
-        if (selected.length >= QUESTIONS_PER_GAME) break;
-        selected.push(i);
+    // Keep the loading indicator up as a notice when broken rows had to be left out, else hide it
+    showLoadReport() {
+        const loadingIndicator = this.$('loadingIndicator');
+        const { skipped } = this.engine.loadReport;
+        if (skipped.length > 0) {
+            loadingIndicator.innerHTML = `<span>${escapeHtml(this.t('login.skipped', { count: skipped.length }))}</span>`;
+            loadingIndicator.style.display = '';
+        } else {
+            loadingIndicator.style.display = 'none';
+        }
     }
 
-    // Add incorrect questions
-    for (const i of seenIncorrect) {
-        if (selected.length >= QUESTIONS_PER_GAME) break;
-        selected.push(i);
+    showLoadError(err) {
+        const loadingIndicator = this.$('loadingIndicator');
+        loadingIndicator.innerHTML = `<span style="color: #ef4444;">${escapeHtml(this.t('login.loadFailed', { error: err.message }))}</span>`;
+        loadingIndicator.style.display = '';
     }
 
-    // Add correct questions if still need more
-    for (const i of seenCorrect) {
-        if (selected.length >= QUESTIONS_PER_GAME) break;
-        selected.push(i);
+    // Put the page in the engine's language: lang and dir, markup text (data-i18n*, data-theme-*), the page
+    // title and the language switcher. The markup's own text is kept as the quiz's untranslated wording.
+    applyLocale() {
+        const engine = this.engine;
+        const pageRoot = this.root === document ? document.documentElement : this.root;
+        pageRoot.lang = engine.locale;
+        pageRoot.dir = engine.textDirection();
+
+        this.root.querySelectorAll('[data-i18n]').forEach(el => {
+            el.textContent = this.t(el.dataset.i18n);
+        });
+        this.root.querySelectorAll('[data-i18n-label]').forEach(el => {
+            el.setAttribute('aria-label', this.t(el.dataset.i18nLabel));
+        });
+        this.root.querySelectorAll('[data-theme-text]').forEach(el => {
+            if (el.dataset.themeDefault === undefined) el.dataset.themeDefault = el.textContent.trim();
+            el.textContent = engine.themeText(el.dataset.themeText, el.dataset.themeDefault);
+        });
+        this.root.querySelectorAll('[data-theme-placeholder]').forEach(el => {
+            if (el.dataset.themeDefault === undefined) el.dataset.themeDefault = el.placeholder;
+            el.placeholder = engine.themeText(el.dataset.themePlaceholder, el.dataset.themeDefault);
+        });
+        if (this.root === document) {
+            if (this.pageTitle === undefined) this.pageTitle = document.title;
+            document.title = engine.themeText('title', this.pageTitle);
+        }
+        this.populateLanguages();
     }
 
-    // Shuffle the final selection so it's not predictable
-    shuffle(selected);
+    // Language switcher on the login screen, each language named in itself; hidden when the quiz has only one
+    populateLanguages() {
+        const select = this.$('languageSelect');
+        if (!select) return;
+        const locales = this.engine.availableLocales();
+        select.innerHTML = '';
+        locales.forEach(locale => {
+            const option = createElement('option', null, languageName(locale));
+            option.value = locale;
+            option.lang = locale;
+            option.selected = locale === this.engine.locale;
+            select.appendChild(option);
+        });
+        select.closest('.input-group').style.display = locales.length > 1 ? '' : 'none';
+    }
 
-    return selected;
-}
+    // Switch the quiz to another language from the login screen: the questions reload in it (see
+    // QuizEngine#setLocale) and the page is redrawn. A language that fails to load leaves the previous one.
+    async changeLanguage(locale) {
+        this.hideResumePrompt();
+        try {
+            await this.engine.setLocale(locale);
+            this.showLoadReport();
+        } catch (err) {
+            this.showLoadError(err);
+            console.error('Database load error:', err);
+        }
+        this.applyLocale();
+        this.populateFilters();
+        this.populateSessionLengths();
+        if (this.$('playerNames')) this.updatePlayerInputs();
+    }
 
-// Fisher-Yates shuffle
-function shuffle(array) {
-    for (let i = array.length - 1; i > 0; i--) {
-        const j = Math.floor(Math.random() * (i + 1));
-        [array[i], array[j]] = [array[j], array[i]];
+    // Initialize background animation (static stars and no lightning flashes with reduced motion)
+    createStars() {
+        const bg = this.$('bgAnimation');
+        if (!bg) return;
+        const reducedMotion = prefersReducedMotion();
+        for (let i = 0; i < 100; i++) {
+            const star = document.createElement('div');
+            star.className = 'star';
+            star.style.left = Math.random() * 100 + '%';
+            star.style.top = Math.random() * 100 + '%';
+            star.style.animationDelay = Math.random() * 3 + 's';
+            bg.appendChild(star);
+        }
+
+        // Add lightning bolts
+        if (reducedMotion) return;
+        for (let i = 0; i < 5; i++) {
+            const bolt = document.createElement('div');
+            bolt.className = 'lightning-bolt';
+            bolt.style.left = Math.random() * 100 + '%';
+            bolt.style.top = Math.random() * 50 + '%';
+            bolt.style.animationDelay = Math.random() * 8 + 's';
+            bg.appendChild(bolt);
+        }
     }
-    return array;
-}
 
-// Screen management
-function showScreen(screenId) {
-    document.querySelectorAll('.screen').forEach(s => s.classList.remove('active'));
-    document.getElementById(screenId).classList.add('active');
-
-    // Hide header and greeting during game to maximize space
-    const header = document.querySelector('.header');
-    const greeting = document.querySelector('.user-greeting');
-    if (screenId === 'gameScreen') {
-        header.classList.add('hidden');
-        greeting.classList.add('hidden');
-    } else {
-        header.classList.remove('hidden');
-        if (greeting) greeting.classList.remove('hidden');
+    // Fill the topic/difficulty pickers on the login screen; hide a picker when the DB has no values for it
+    populateFilters() {
+        [['category', 'categorySelect'], ['difficulty', 'difficultySelect']].forEach(([field, selectId]) => {
+            const select = this.$(selectId);
+            if (!select) return;
+            // Refill after a bank update, keeping the first ("All …") entry and the current choice
+            const previous = select.value;
+            while (select.options.length > 1) select.remove(1);
+            const values = this.engine.distinctValues(field);
+            values.forEach(value => {
+                const option = document.createElement('option');
+                option.value = value;
+                option.textContent = value;
+                select.appendChild(option);
+            });
+            select.value = values.includes(previous) ? previous : '';
+            select.closest('.input-group').style.display = values.length > 0 ? '' : 'none';
+        });
     }
-}
 
-// Start game
-function startGame() {
-    const usernameInput = document.getElementById('username');
-    const username = usernameInput.value.trim();
+    // Fill the session length picker from theme.sessionLengths; hidden when the quiz doesn't offer a choice
+    populateSessionLengths() {
+        const select = this.$('lengthSelect');
+        if (!select) return;
+        const previous = select.value;
+        select.innerHTML = '';
+        this.theme.sessionLengths.forEach(length => {
+            const option = document.createElement('option');
+            option.value = String(length);
+            option.textContent = length === 'all' ? this.t('login.lengthAll', { count: this.engine.questions.length }) : String(length);
+            option.selected = previous ? option.value === previous : length === this.theme.questionsPerGame;
+            select.appendChild(option);
+        });
+        select.closest('.input-group').style.display = this.theme.sessionLengths.length > 0 ? '' : 'none';
+    }
 
-    if (!username) {
-        usernameInput.style.borderColor = '#ef4444';
-        usernameInput.style.animation = 'shake 0.5s ease-out';
+    // Read the chosen session length (Infinity for 'all'); falls back to theme.questionsPerGame
+    readSessionLength() {
+        const select = this.$('lengthSelect');
+        if (!select || !select.value) return this.theme.questionsPerGame === 'all' ? Infinity : this.theme.questionsPerGame;
+        return select.value === 'all' ? Infinity : Number(select.value);
+    }
+
+    // Read the chosen topic/difficulty from the login screen pickers
+    readFilters() {
+        const categorySelect = this.$('categorySelect');
+        const difficultySelect = this.$('difficultySelect');
+        return {
+            category: categorySelect ? categorySelect.value : '',
+            difficulty: difficultySelect ? difficultySelect.value : ''
+        };
+    }
+
+    // Screen management
+    showScreen(screenId) {
+        this.root.querySelectorAll('.screen').forEach(s => s.classList.remove('active'));
+        this.$(screenId).classList.add('active');
+
+        // Hide header and greeting during game to maximize space
+        const header = this.root.querySelector('.header');
+        const greeting = this.root.querySelector('.user-greeting');
+        if (['gameScreen', 'statsScreen', 'reviewScreen', 'leaderboardScreen', 'trophyScreen'].includes(screenId)) {
+            if (header) header.classList.add('hidden');
+            if (greeting) greeting.classList.add('hidden');
+        } else {
+            if (header) header.classList.remove('hidden');
+            if (greeting) greeting.classList.remove('hidden');
+        }
+    }
+
+    // Flag an input as needing attention
+    shakeInput(input) {
+        input.style.borderColor = '#ef4444';
+        input.style.animation = 'shake 0.5s ease-out';
         setTimeout(() => {
-            usernameInput.style.borderColor = '';
-            usernameInput.style.animation = '';
+            input.style.borderColor = '';
+            input.style.animation = '';
         }, 500);
-        return;
     }
 
-    currentUser = username;
-    localStorage.setItem(`${theme.storagePrefix}_lastUser`, username);
-    userStats = getUserData(username);
+    // Start game
+    startGame() {
+        if (this.engine.questions.length === 0) return; // DB not loaded yet (needed to migrate old records)
+        const usernameInput = this.$('username');
+        const username = usernameInput.value.trim();
 
-    // Reset session state
-    sessionScore = 0;
-    sessionAnswered = 0;
-    streak = 0;
-    answerHistory = [];
-    viewingIndex = 0;
-    browseReturnPosition = null;
+        if (!username) {
+            this.shakeInput(usernameInput);
+            return;
+        }
 
-    // Select 20 questions for this session
-    sessionQuestions = selectSessionQuestions();
+        this.engine.login(username);
+        this.$('displayName').textContent = username;
 
-    document.getElementById('displayName').textContent = username;
+        // Offer to resume an interrupted session
+        const saved = this.engine.resumableSession();
+        if (saved) {
+            this.showResumePrompt(saved);
+            return;
+        }
 
-    updateStats();
-    showScreen('gameScreen');
-    loadNextQuestion();
-}
+        this.beginSession();
+    }
 
-// Load next question
-function loadNextQuestion() {
-    hideModal();
-    if (sessionAnswered >= QUESTIONS_PER_GAME) {
-        showCompletionScreen();
-        return;
+    // Start a fresh session with the filters and length chosen on the login screen
+    beginSession() {
+        const loadingIndicator = this.$('loadingIndicator');
+        if (!this.engine.beginSession(this.readFilters(), this.readSessionLength())) {
+            loadingIndicator.innerHTML = `<span>${escapeHtml(this.t('login.noMatch'))}</span>`;
+            loadingIndicator.style.display = '';
+            return;
+        }
+        loadingIndicator.style.display = 'none';
     }
 
-    viewingIndex = sessionAnswered;
-    currentQuestionIndex = sessionQuestions[sessionAnswered];
-    const question = questions[currentQuestionIndex];
+    // Start today's daily challenge for the typed name (a saved game is discarded, as with a new game)
+    startDailyChallenge() {
+        if (this.engine.questions.length === 0) return; // DB not loaded yet (needed to migrate old records)
+        const usernameInput = this.$('username');
+        const username = usernameInput.value.trim();
 
-    // Shuffle options to randomize answer positions
-    currentShuffledOptions = [0, 1, 2, 3];
-    shuffle(currentShuffledOptions);
-    currentCorrectShuffled = currentShuffledOptions.indexOf(question.correct);
+        if (!username) {
+            this.shakeInput(usernameInput);
+            return;
+        }
 
-    document.getElementById('questionNumber').textContent = `Question ${sessionAnswered + 1} of ${QUESTIONS_PER_GAME}`;
-    document.getElementById('questionText').textContent = question.question;
+        this.hideResumePrompt();
+        this.engine.login(username);
+        this.$('displayName').textContent = username;
+        this.engine.beginDailySession();
+        this.$('loadingIndicator').style.display = 'none';
+    }
 
-    const optionsContainer = document.getElementById('optionsContainer');
-    optionsContainer.innerHTML = '';
+    showResumePrompt(saved) {
+        const position = Math.min(saved.answered + 1, saved.questionIds.length);
+        this.$('resumeBtn').textContent = this.t('resume.button', { position, total: saved.questionIds.length });
+        this.$('resumePrompt').style.display = '';
+        this.$('startBtn').style.display = 'none';
+    }
 
-    currentShuffledOptions.forEach((originalIndex, displayIndex) => {
-        const optionEl = document.createElement('div');
-        optionEl.className = 'option';
-        optionEl.textContent = question.options[originalIndex];
-        optionEl.onclick = () => selectAnswer(displayIndex);
-        optionsContainer.appendChild(optionEl);
-    });
+    hideResumePrompt() {
+        const prompt = this.$('resumePrompt');
+        if (!prompt) return;
+        prompt.style.display = 'none';
+        this.$('startBtn').style.display = '';
+    }
 
-    document.getElementById('resultContainer').innerHTML = '';
-    document.getElementById('nextBtn').style.display = 'none';
+    // Restore the saved session and show the question (or answer) the player was on
+    resumeGame() {
+        this.hideResumePrompt();
+        this.engine.resumeGame();
+        this.updateStreak();
+    }
 
-    updateNavButtons();
-    updateStats();
-}
+    // Discard the saved session and start a new one
+    startNewGame() {
+        this.hideResumePrompt();
+        this.beginSession();
+    }
 
-// Select answer
-function selectAnswer(selectedIndex) {
-    const question = questions[currentQuestionIndex];
-    const options = document.querySelectorAll('.option');
-    const isCorrect = selectedIndex === currentCorrectShuffled;
-
-    // Disable all options
-    options.forEach((opt, i) => {
-        opt.classList.add('disabled');
-        opt.onclick = null;
-        if (i === currentCorrectShuffled) {
-            opt.classList.add('correct');
-        } else if (i === selectedIndex && !isCorrect) {
-            opt.classList.add('incorrect');
+    // Multiplayer setup: add a player name field (up to the engine's playerLimits.max)
+    addPlayerInput() {
+        const list = this.$('playerNames');
+        if (list.children.length >= this.engine.playerLimits.max) return;
+
+        const row = createElement('div', 'input-group player-name-row');
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.maxLength = 30;
+        input.autocomplete = 'off';
+        const remove = createElement('button', 'btn btn-secondary btn-small', '✕');
+        remove.type = 'button';
+        remove.onclick = () => {
+            row.remove();
+            this.updatePlayerInputs();
+        };
+        row.append(input, remove);
+        list.appendChild(row);
+        this.updatePlayerInputs();
+        if (list.children.length > this.engine.playerLimits.min) input.focus();
+    }
+
+    // Number the name fields and show the remove/add buttons while players can be removed/added
+    updatePlayerInputs() {
+        const { min, max } = this.engine.playerLimits;
+        const rows = [...this.$('playerNames').children];
+        rows.forEach((row, i) => {
+            const input = row.querySelector('input');
+            input.placeholder = this.t('multiplayer.player', { number: i + 1 });
+            input.setAttribute('aria-label', this.t('multiplayer.playerName', { number: i + 1 }));
+            const remove = row.querySelector('button');
+            remove.setAttribute('aria-label', this.t('multiplayer.removePlayer', { number: i + 1 }));
+            remove.style.display = rows.length > min ? '' : 'none';
+        });
+        this.$('addPlayerBtn').style.display = rows.length < max ? '' : 'none';
+    }
+
+    // Start a multiplayer game with the names, mode, filters and length chosen on the login screen
+    startMultiplayerGame() {
+        if (this.engine.questions.length === 0) return; // DB not loaded yet (needed to migrate old records)
+        const inputs = [...this.$('playerNames').querySelectorAll('input')];
+        const empty = inputs.filter(input => !input.value.trim());
+        if (empty.length > 0) {
+            empty.forEach(input => this.shakeInput(input));
+            return;
         }
-    });
 
-    // Update score and streak
-    if (isCorrect) {
-        sessionScore++;
-        streak++;
-        fireConfetti();
-
-        // Track correct answer (add if not already there)
-        if (!userStats.correctQuestions.includes(currentQuestionIndex)) {
-            userStats.correctQuestions.push(currentQuestionIndex);
-        }
-        userStats.totalCorrect++;
-    } else {
-        streak = 0;
-
-        // Remove from correct if previously correct (they got it wrong this time)
-        const correctIdx = userStats.correctQuestions.indexOf(currentQuestionIndex);
-        if (correctIdx > -1) {
-            userStats.correctQuestions.splice(correctIdx, 1);
-        }
-    }
-
-    updateStreak();
-
-    // Track that question was seen
-    if (!userStats.seenQuestions.includes(currentQuestionIndex)) {
-        userStats.seenQuestions.push(currentQuestionIndex);
-    }
-    userStats.totalAnswered++;
-
-    // Store in answer history before incrementing sessionAnswered
-    answerHistory[viewingIndex] = {
-        questionIndex: currentQuestionIndex,
-        selectedIndex: selectedIndex,
-        isCorrect: isCorrect,
-        shuffledOptions: [...currentShuffledOptions],
-        correctShuffled: currentCorrectShuffled
-    };
-
-    sessionAnswered++;
-
-    // Save to localStorage
-    saveUserData(currentUser, userStats);
-
-    // Show result
-    const resultContainer = document.getElementById('resultContainer');
-    const wikiLink = question.wiki ? `<a href="${question.wiki}" target="_blank" rel="noopener" class="wiki-link">📖 Learn more on Wikipedia →</a>` : '';
-    const wikiLinkSmall = question.wiki ? `<a href="${question.wiki}" target="_blank" rel="noopener" class="wiki-link-small">[wiki]</a>` : '';
-    resultContainer.innerHTML = `
-        <div class="result-message ${isCorrect ? 'correct' : 'incorrect'}">
-            ${isCorrect ? theme.correctMessage : '❌ Incorrect! The correct answer was: ' + question.options[question.correct] + wikiLinkSmall}
-        </div>
-        <div class="fun-fact">
-            <strong>${theme.funFactLabel}</strong> ${question.funFact}
-            ${wikiLink}
-        </div>
-    `;
-
-    document.getElementById('nextBtn').style.display = 'inline-block';
-    document.getElementById('nextBtn').textContent = sessionAnswered < QUESTIONS_PER_GAME ? 'Next Question →' : 'View Results 🏆';
-
-    updateNavButtons();
-    updateStats();
-    showModal();
-}
+        const names = inputs.map(input => input.value.trim());
+        const loadingIndicator = this.$('loadingIndicator');
+        try {
+            if (!this.engine.beginMultiplayerSession(names, this.$('multiplayerMode').value, this.readFilters(), this.readSessionLength())) {
+                loadingIndicator.innerHTML = `<span>${escapeHtml(this.t('multiplayer.noMatch'))}</span>`;
+                loadingIndicator.style.display = '';
+                return;
+            }
+        } catch (err) {
+            loadingIndicator.innerHTML = `<span>${escapeHtml(err.message)}</span>`;
+            loadingIndicator.style.display = '';
+            return;
+        }
+        // Nothing changes for the signed-in player until the game has started
+        this.hideResumePrompt();
+        this.$('displayName').textContent = names.join(', ');
+        loadingIndicator.style.display = 'none';
+    }
 
-// Update stats display
-function updateStats() {
-    const accuracy = sessionAnswered > 0 ? Math.round((sessionScore / sessionAnswered) * 100) : 0;
-    const remaining = QUESTIONS_PER_GAME - sessionAnswered;
+    // Multiplayer: whose turn it is (or whose answer is being reviewed); hidden in single-player
+    renderTurn(text) {
+        const banner = this.$('turnBanner');
+        if (!banner) return;
+        banner.textContent = text || '';
+        banner.style.display = text ? '' : 'none';
+    }
 
-    document.getElementById('scoreDisplay').textContent = sessionScore;
-    document.getElementById('answeredDisplay').textContent = sessionAnswered;
-    document.getElementById('remainingDisplay').textContent = remaining;
-    document.getElementById('accuracyDisplay').textContent = accuracy + '%';
+    // Draw a new, unanswered question (engine `questionShown`)
+    renderQuestion({ position, question, shuffledOptions, player }) {
+        this.hideModal();
+        this.showScreen('gameScreen');
+
+        const { number, total } = this.engine.displayProgress(position);
+        this.$('questionNumber').textContent = this.t('game.questionNumber', { number, total });
+        this.$('questionText').textContent = question.question;
+        this.renderMedia(question);
+        this.renderTurn(player && this.t('multiplayer.turn', { name: player }));
+
+        const optionsContainer = this.$('optionsContainer');
+        optionsContainer.innerHTML = '';
+
+        if (question.type === 'text') {
+            const input = this.createTextInput(question);
+            input.placeholder = this.t('game.typeAnswer');
+            input.autocomplete = 'off';
+            input.addEventListener('keypress', e => {
+                if (e.key === 'Enter') this.submitAnswer();
+            });
+            optionsContainer.appendChild(input);
+            input.focus();
+        } else {
+            shuffledOptions.forEach((originalIndex, displayIndex) => {
+                const optionEl = this.createOptionElement(question.options[originalIndex], question.optionImages[originalIndex]);
+                if (question.type === 'multi') {
+                    optionEl.setAttribute('aria-pressed', 'false');
+                    optionEl.onclick = () => this.toggleOption(displayIndex);
+                } else {
+                    optionEl.onclick = () => this.engine.selectAnswer(displayIndex);
+                }
+                optionsContainer.appendChild(optionEl);
+            });
+            optionsContainer.querySelector('.option').focus({ preventScroll: true });
+        }
 
-    const progress = (sessionAnswered / QUESTIONS_PER_GAME) * 100;
-    document.getElementById('progressBar').style.width = progress + '%';
-}
+        if (question.type === 'multi') {
+            optionsContainer.prepend(createElement('div', 'option-hint', this.t('game.selectAll')));
+        }
 
-// Update streak indicator
-function updateStreak() {
-    const indicator = document.getElementById('streakIndicator');
-    const countEl = document.getElementById('streakCount');
+        this.$('resultContainer').innerHTML = '';
+        const submitBtn = this.$('submitBtn');
+        if (submitBtn) submitBtn.style.display = (question.type === 'multi' || question.type === 'text') ? 'inline-block' : 'none';
+        const timerEl = this.$('questionTimer');
+        if (timerEl) timerEl.style.display = this.theme.timeLimit > 0 ? '' : 'none';
 
-    if (streak >= 2) {
-        countEl.textContent = streak;
-        indicator.classList.add('visible');
-    } else {
-        indicator.classList.remove('visible');
+        this.updateNavButtons();
+        this.updateStats();
+        this.updateStreak(); // Multiplayer: the new player's streak
     }
-}
 
-// Fire confetti
-function fireConfetti() {
-    confetti({
-        particleCount: 100,
-        spread: 70,
-        origin: { y: 0.6 },
-        colors: theme.confettiColors
-    });
+    // Free-text answer input, labelled by the question for screen readers. The id is this renderer's own, and the
+    // label is the question text itself rather than a reference to the questionText id, which other quizzes on the
+    // page share.
+    createTextInput(question) {
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.className = 'text-answer';
+        input.id = `${this.idPrefix}textAnswer`;
+        input.setAttribute('aria-label', question.question);
+        return input;
+    }
 
-    if (streak >= 3) {
-        setTimeout(() => {
-            confetti({
-                particleCount: 50,
-                angle: 60,
-                spread: 55,
-                origin: { x: 0 },
-                colors: theme.confettiStreakColors
-            });
-            confetti({
-                particleCount: 50,
-                angle: 120,
-                spread: 55,
-                origin: { x: 1 },
-                colors: theme.confettiStreakColors
+    // Answer option as a focusable button, with its image (if any) above the text
+    createOptionElement(text, image) {
+        const optionEl = createElement('button', 'option', text);
+        optionEl.type = 'button';
+        if (image) {
+            const img = this.createMediaElement('img', 'option-image', image);
+            img.alt = ''; // The option text labels the button
+            optionEl.prepend(img);
+        }
+        return optionEl;
+    }
+
+    // The question's image, audio clip and code block, under the question text
+    renderMedia(question) {
+        const container = this.$('questionMedia');
+        if (!container) return;
+        container.innerHTML = '';
+
+        if (question.image) {
+            const img = this.createMediaElement('img', 'question-image', question.image);
+            img.alt = question.imageAlt;
+            container.appendChild(img);
+        }
+        if (question.audio) {
+            const audio = this.createMediaElement('audio', 'question-audio', question.audio);
+            audio.controls = true;
+            audio.setAttribute('aria-label', this.t('game.audio'));
+            container.appendChild(audio);
+        }
+        if (question.code) {
+            const pre = createElement('pre', 'question-code');
+            pre.appendChild(createElement('code', null, question.code));
+            container.appendChild(pre);
+        }
+    }
+
+    // Lazily loaded <img> or <audio>; its src is set once the engine has resolved the media reference
+    // (see QuizEngine#mediaSrc), and it is removed when the reference is unusable
+    createMediaElement(tag, className, ref) {
+        const el = createElement(tag, className);
+        if (tag === 'img') {
+            el.setAttribute('loading', 'lazy');
+            el.setAttribute('decoding', 'async');
+        } else {
+            el.setAttribute('preload', 'none');
+        }
+        this.engine.mediaSrc(ref).then(src => {
+            if (src) el.src = src;
+            else el.remove();
+        });
+        return el;
+    }
+
+    // Multi-select: tick or untick an option
+    toggleOption(displayIndex) {
+        const optionEl = this.root.querySelectorAll('.option')[displayIndex];
+        if (!optionEl || optionEl.classList.contains('disabled')) return;
+        const selected = optionEl.classList.toggle('selected');
+        optionEl.setAttribute('aria-pressed', String(selected));
+    }
+
+    // Submit the current selection for question types that need an explicit submit (multi, text)
+    submitAnswer() {
+        const question = this.engine.questionsById.get(this.engine.currentQuestionId);
+        if (question.type === 'text') {
+            const value = this.$(`${this.idPrefix}textAnswer`).value.trim();
+            if (!value) return;
+            this.engine.selectAnswer(value);
+        } else {
+            const selected = [];
+            this.root.querySelectorAll('.option').forEach((opt, i) => {
+                if (opt.classList.contains('selected')) selected.push(i);
             });
-        }, 250);
+            if (selected.length === 0) return;
+            this.engine.selectAnswer(selected);
+        }
     }
-}
 
-// Result modal helpers (mobile bottom sheet)
-function showModal() {
-    const overlay = document.getElementById('resultModalOverlay');
-    if (!overlay) return;
-    document.getElementById('modalContent').innerHTML = document.getElementById('resultContainer').innerHTML;
-
-    // Sync modal nav buttons with inline nav buttons
-    const modalNextBtn = document.getElementById('modalNextBtn');
-    const modalBackBtn = document.getElementById('modalBackBtn');
-    const modalFwdBtn = document.getElementById('modalFwdBtn');
-    if (modalNextBtn) {
-        modalNextBtn.style.display = document.getElementById('nextBtn').style.display;
-        modalNextBtn.textContent = document.getElementById('nextBtn').textContent;
-    }
-    if (modalBackBtn) modalBackBtn.style.display = document.getElementById('backBtn').style.display;
-    if (modalFwdBtn) modalFwdBtn.style.display = document.getElementById('fwdBtn').style.display;
-
-    overlay.classList.add('visible');
-    document.getElementById('gameScreen').classList.add('modal-active');
-}
+    // Mark options (or the free-text input) as correct/incorrect and make them read-only
+    markAnswer(question, selected, isCorrect, correctShuffled) {
+        if (question.type === 'text') {
+            const input = this.$(`${this.idPrefix}textAnswer`);
+            input.value = selected === null ? '' : selected;
+            input.disabled = true;
+            input.classList.add(isCorrect ? 'correct' : 'incorrect');
+            return;
+        }
 
-function hideModal() {
-    const overlay = document.getElementById('resultModalOverlay');
-    if (!overlay) return;
-    overlay.classList.remove('visible');
-    document.getElementById('gameScreen').classList.remove('modal-active');
-}
+        const picked = Array.isArray(selected) ? selected : [selected];
+        this.root.querySelectorAll('.option').forEach((opt, i) => {
+            opt.classList.add('disabled');
+            opt.classList.remove('selected');
+            opt.removeAttribute('aria-pressed');
+            opt.setAttribute('aria-disabled', 'true');
+            opt.onclick = null;
+            if (correctShuffled.includes(i)) {
+                opt.classList.add('correct');
+                opt.appendChild(srOnly(' ' + this.t(picked.includes(i) ? 'game.yourAnswerCorrect' : 'game.correctAnswer')));
+            } else if (picked.includes(i)) {
+                opt.classList.add('incorrect');
+                opt.appendChild(srOnly(' ' + this.t('game.yourAnswerIncorrect')));
+            }
+        });
+    }
 
-// Show a previously answered question in read-only mode
-function showReviewQuestion(position) {
-    const entry = answerHistory[position];
-    const question = questions[entry.questionIndex];
+    // Timed mode countdown (engine `tick`)
+    renderTimer({ remainingMs, timeLimit }) {
+        const timerEl = this.$('questionTimer');
+        if (!timerEl) return;
+        this.$('timerText').textContent = Math.ceil(remainingMs / 1000);
+        this.$('timerBar').style.width = (remainingMs / (timeLimit * 10)) + '%';
+        timerEl.classList.toggle('urgent', remainingMs <= 5000);
+    }
+
+    // Show the result of the answer just given (engine `answered`).
+    // In 'together' mode the result waits until every player has answered (`reveal`).
+    renderAnswer({ position, question, entry, reveal }) {
+        const submitBtn = this.$('submitBtn');
+        if (submitBtn) submitBtn.style.display = 'none';
+        if (!reveal) {
+            this.showLockedIn(position);
+            this.updateNavButtons();
+            this.showModal();
+            return;
+        }
 
-    document.getElementById('questionNumber').textContent = `Question ${position + 1} of ${QUESTIONS_PER_GAME}`;
-    document.getElementById('questionText').textContent = question.question;
+        this.markAnswer(question, entry.selected, entry.isCorrect, entry.correctShuffled);
+        if (entry.isCorrect) this.fireConfetti();
 
-    const optionsContainer = document.getElementById('optionsContainer');
-    optionsContainer.innerHTML = '';
+        this.updateStreak();
+        this.showResult(question, entry);
+        if (this.engine.multiplayer && this.engine.multiplayer.mode === 'together') this.showRoundAnswers(question, position);
+        this.updateNavButtons();
+        this.updateStats();
+        this.showModal();
+    }
 
-    entry.shuffledOptions.forEach((originalIndex, displayIndex) => {
-        const optionEl = document.createElement('div');
-        optionEl.className = 'option disabled';
-        optionEl.textContent = question.options[originalIndex];
-        if (displayIndex === entry.correctShuffled) {
-            optionEl.classList.add('correct');
-        } else if (displayIndex === entry.selectedIndex && !entry.isCorrect) {
-            optionEl.classList.add('incorrect');
+    // 'together' mode: take the answer without showing it (or whether it was right) to the next player
+    showLockedIn(position) {
+        const engine = this.engine;
+        this.root.querySelectorAll('.option').forEach(opt => {
+            opt.classList.add('disabled');
+            opt.classList.remove('selected');
+            opt.removeAttribute('aria-pressed');
+            opt.setAttribute('aria-disabled', 'true');
+            opt.onclick = null;
+        });
+        const input = this.$(`${this.idPrefix}textAnswer`);
+        if (input) {
+            input.value = '';
+            input.disabled = true;
         }
-        optionsContainer.appendChild(optionEl);
-    });
 
-    // Show result and fun fact
-    const wikiLink = question.wiki ? `<a href="${question.wiki}" target="_blank" rel="noopener" class="wiki-link">📖 Learn more on Wikipedia →</a>` : '';
-    const wikiLinkSmall = question.wiki ? `<a href="${question.wiki}" target="_blank" rel="noopener" class="wiki-link-small">[wiki]</a>` : '';
-    const resultContainer = document.getElementById('resultContainer');
-    resultContainer.innerHTML = `
-        <div class="result-message ${entry.isCorrect ? 'correct' : 'incorrect'}">
-            ${entry.isCorrect ? theme.correctMessage : '❌ Incorrect! The correct answer was: ' + question.options[question.correct] + wikiLinkSmall}
-        </div>
-        <div class="fun-fact">
-            <strong>${theme.funFactLabel}</strong> ${question.funFact}
-            ${wikiLink}
-        </div>
-    `;
-
-    document.getElementById('nextBtn').style.display = 'none';
-    updateNavButtons();
-}
+        const next = engine.multiplayer.players[engine.playerAt(position + 1)].name;
+        const resultContainer = this.$('resultContainer');
+        resultContainer.innerHTML = `<div class="result-message locked-in">${escapeHtml(this.t('multiplayer.lockedIn', { name: next }))}</div>`;
+        this.announce(resultContainer.textContent);
+    }
 
-// Navigate back to a previous question
-function goBack() {
-    if (viewingIndex <= 0) return;
-    if (browseReturnPosition === null) {
-        browseReturnPosition = viewingIndex;
+    // 'together' mode: what everyone picked, under the revealed result
+    showRoundAnswers(question, position) {
+        const list = createElement('ul', 'round-answers');
+        this.engine.roundAnswers(position).forEach(({ name, entry }) => {
+            const pick = entry.selected === null ? this.t('multiplayer.noAnswer') : this.pickText(question, entry);
+            list.appendChild(createElement('li', entry.isCorrect ? 'correct' : 'incorrect',
+                `${entry.isCorrect ? '✅' : '❌'} ${name}: ${pick}`));
+        });
+        this.$('resultContainer').querySelector('.result-message').after(list);
     }
-    viewingIndex--;
-    showReviewQuestion(viewingIndex);
-    showModal();
-}
 
-// Navigate forward toward the current question
-function goForward() {
-    if (browseReturnPosition === null) return;
-    viewingIndex++;
-    if (viewingIndex >= browseReturnPosition) {
-        // Returned to where we were — exit browse mode
-        const returnPos = browseReturnPosition;
-        browseReturnPosition = null;
-        viewingIndex = returnPos;
-        // If we're at an unanswered question, load it fresh; otherwise show the answered one
-        if (viewingIndex >= sessionAnswered) {
-            loadNextQuestion();
+    // Text of the option(s) picked in an answered entry (or the typed answer)
+    pickText(question, entry) {
+        if (question.type === 'text') return entry.selected;
+        const picked = Array.isArray(entry.selected) ? entry.selected : [entry.selected];
+        return picked.map(i => question.options[entry.shuffledOptions[i]]).join(', ');
+    }
+
+    // Render the result message and fun fact for an answered question into resultContainer.
+    // DB text is escaped; theme strings come from quizzes.toml and may contain markup; catalog text is escaped.
+    showResult(question, entry) {
+        const engine = this.engine;
+        const wiki = escapeHtml(safeUrl(question.wiki));
+        const wikiLink = wiki ? `<a href="${wiki}" target="_blank" rel="noopener" class="wiki-link">${escapeHtml(this.t('result.learnMore'))}</a>` : '';
+        const wikiLinkSmall = wiki ? `<a href="${wiki}" target="_blank" rel="noopener" class="wiki-link-small">${escapeHtml(this.t('result.wikiLink'))}</a>` : '';
+        const incorrectMessage = this.t(entry.selected === null ? 'result.timeUp' : 'result.incorrect', { answer: engine.correctAnswerText(question) });
+        const points = engine.totalPoints(entry.points);
+        const pointsEarned = points > 0 ? ` <span class="points-earned">+${points}</span>` : '';
+        const reported = this.reportedIds.has(question.id);
+        const resultContainer = this.$('resultContainer');
+        resultContainer.innerHTML = `
+            <div class="result-message ${entry.isCorrect ? 'correct' : 'incorrect'}">
+                ${entry.isCorrect ? engine.themeText('correctMessage') + pointsEarned : escapeHtml(incorrectMessage) + wikiLinkSmall}
+            </div>
+            <div class="fun-fact">
+                <strong>${engine.themeText('funFactLabel')}</strong> ${formatFunFact(question.funFact)}
+                ${wikiLink}
+            </div>
+            <button type="button" class="report-link" data-action="reportQuestion" data-question-id="${escapeHtml(question.id)}"${reported ? ' disabled' : ''}>${escapeHtml(this.t(reported ? 'report.thanks' : 'report.button'))}</button>
+        `;
+        this.resultQuestionId = question.id;
+        const spoken = [...resultContainer.querySelectorAll('.result-message, .fun-fact')].map(el => el.textContent).join(' ');
+        this.announce(spoken.replace(this.t('result.wikiLink'), ''));
+    }
+
+    // Read a message out through the live region (cleared first so repeats are announced too)
+    announce(text) {
+        const announcer = this.$('announcer');
+        if (!announcer) return;
+        announcer.textContent = '';
+        setTimeout(() => {
+            announcer.textContent = text.replace(/\s+/g, ' ').trim();
+        }, 50);
+    }
+
+    // Update stats display (multiplayer: the scoreboard replaces the single-player stats)
+    updateStats() {
+        const engine = this.engine;
+        const total = engine.sessionQuestions.length;
+        const accuracy = engine.sessionAnswered > 0 ? Math.round((engine.sessionScore / engine.sessionAnswered) * 100) : 0;
+
+        const scoreboard = this.$('scoreboard');
+        if (scoreboard) {
+            scoreboard.style.display = engine.multiplayer ? '' : 'none';
+            this.$('statsBar').style.display = engine.multiplayer ? 'none' : '';
+            if (engine.multiplayer) this.renderScoreboard(scoreboard);
+        }
+
+        this.$('scoreDisplay').textContent = this.theme.timeLimit > 0 ? engine.totalPoints(engine.sessionPoints) : engine.sessionScore;
+        this.$('answeredDisplay').textContent = engine.sessionAnswered;
+        this.$('remainingDisplay').textContent = total - engine.sessionAnswered;
+        this.$('accuracyDisplay').textContent = accuracy + '%';
+
+        const progress = total > 0 ? (engine.sessionAnswered / total) * 100 : 0;
+        const progressBar = this.$('progressBar');
+        progressBar.style.width = progress + '%';
+        progressBar.setAttribute('aria-valuenow', Math.round(progress));
+    }
+
+    // Multiplayer scoreboard: one stat per player, the player whose turn it is highlighted
+    renderScoreboard(scoreboard) {
+        scoreboard.innerHTML = '';
+        this.engine.playerScores().forEach(({ name, score, points, active }) => {
+            const stat = createElement('div', active ? 'stat active' : 'stat');
+            if (active) stat.setAttribute('aria-current', 'true');
+            stat.append(
+                createElement('div', 'stat-value', this.theme.timeLimit > 0 ? points : score),
+                createElement('div', 'stat-label', name));
+            scoreboard.appendChild(stat);
+        });
+    }
+
+    // Update streak indicator
+    updateStreak() {
+        const indicator = this.$('streakIndicator');
+        const countEl = this.$('streakCount');
+
+        if (this.engine.streak >= 2) {
+            countEl.textContent = this.engine.streak;
+            indicator.classList.add('visible');
         } else {
-            showReviewQuestion(viewingIndex);
-            // Show Next button since this is the latest answered question
-            document.getElementById('nextBtn').style.display = 'inline-block';
-            document.getElementById('nextBtn').textContent = sessionAnswered < QUESTIONS_PER_GAME ? 'Next Question →' : 'View Results 🏆';
-            updateNavButtons();
-            showModal();
+            indicator.classList.remove('visible');
         }
-    } else {
-        showReviewQuestion(viewingIndex);
-        showModal();
     }
-}
 
-// Update visibility of back/forward/next buttons
-function updateNavButtons() {
-    const backBtn = document.getElementById('backBtn');
-    const fwdBtn = document.getElementById('fwdBtn');
-    const nextBtn = document.getElementById('nextBtn');
+    // Fire confetti
+    fireConfetti() {
+        if (typeof confetti !== 'function' || prefersReducedMotion()) return;
+        confetti({
+            particleCount: 100,
+            spread: 70,
+            origin: { y: 0.6 },
+            colors: this.theme.confettiColors
+        });
 
-    if (!backBtn || !fwdBtn) return;
+        if (this.engine.streak >= 3) {
+            setTimeout(() => {
+                confetti({
+                    particleCount: 50,
+                    angle: 60,
+                    spread: 55,
+                    origin: { x: 0 },
+                    colors: this.theme.confettiStreakColors
+                });
+                confetti({
+                    particleCount: 50,
+                    angle: 120,
+                    spread: 55,
+                    origin: { x: 1 },
+                    colors: this.theme.confettiStreakColors
+                });
+            }, 250);
+        }
+    }
 
-    // Back: visible when there are previous answered questions to review
-    backBtn.style.display = (viewingIndex > 0) ? 'inline-block' : 'none';
+    // Result modal helpers (mobile bottom sheet)
+    showModal() {
+        const overlay = this.$('resultModalOverlay');
+        if (!overlay) return;
+        this.$('modalContent').innerHTML = this.$('resultContainer').innerHTML;
+
+        // Sync modal nav buttons with inline nav buttons
+        [['modalNextBtn', 'nextBtn'], ['modalBackBtn', 'backBtn'], ['modalFwdBtn', 'fwdBtn']].forEach(([modalId, inlineId]) => {
+            const modalBtn = this.$(modalId);
+            if (!modalBtn) return;
+            modalBtn.style.display = this.$(inlineId).style.display;
+            modalBtn.textContent = this.$(inlineId).textContent;
+        });
 
-    // Forward: visible only when browsing (browseReturnPosition is set) and not at the return position
-    fwdBtn.style.display = (browseReturnPosition !== null && viewingIndex < browseReturnPosition) ? 'inline-block' : 'none';
+        overlay.classList.add('visible');
+        this.$('gameScreen').classList.add('modal-active');
 
-    // Next: hide when browsing old questions
-    if (browseReturnPosition !== null) {
-        nextBtn.style.display = 'none';
+        // The bottom sheet only displays on small screens; elsewhere the inline buttons take focus
+        const sheetShown = getComputedStyle(overlay).display !== 'none';
+        if (sheetShown && !overlay.contains(document.activeElement)) this.modalReturnFocus = document.activeElement;
+        const buttons = [...(sheetShown ? overlay : this.$('navButtons')).querySelectorAll('button')]
+            .filter(btn => btn.style.display !== 'none');
+        const target = buttons.find(btn => btn.classList.contains('btn-primary')) || buttons[0];
+        if (target) target.focus({ preventScroll: true });
     }
-}
 
-// Next question
-function nextQuestion() {
-    hideModal();
-    browseReturnPosition = null;
-    if (sessionAnswered >= QUESTIONS_PER_GAME) {
-        showCompletionScreen();
-    } else {
-        loadNextQuestion();
+    hideModal() {
+        const overlay = this.$('resultModalOverlay');
+        if (!overlay) return;
+        const hadFocus = overlay.contains(document.activeElement);
+        overlay.classList.remove('visible');
+        this.$('gameScreen').classList.remove('modal-active');
+        if (hadFocus && this.modalReturnFocus && document.contains(this.modalReturnFocus)) {
+            this.modalReturnFocus.focus({ preventScroll: true });
+        }
+        this.modalReturnFocus = null;
     }
-}
 
-// Show completion screen
-function showCompletionScreen() {
-    hideModal();
-    showScreen('completionScreen');
-    document.getElementById('completionName').textContent = currentUser;
-    document.getElementById('finalScore').textContent = `${sessionScore}/${QUESTIONS_PER_GAME}`;
+    // Keep Tab focus inside the report form or the bottom sheet while it is open
+    trapModalFocus(e) {
+        const overlay = this.isReportOpen() ? this.$('reportDialog') : this.$('resultModalOverlay');
+        if (e.key !== 'Tab' || !overlay || !overlay.classList.contains('visible') || getComputedStyle(overlay).display === 'none') return;
+        const focusable = [...overlay.querySelectorAll('button, a[href], select, textarea')].filter(el => el.style.display !== 'none');
+        if (focusable.length === 0) return;
+        const first = focusable[0];
+        const last = focusable[focusable.length - 1];
+        if (e.shiftKey && document.activeElement === first) {
+            e.preventDefault();
+            last.focus();
+        } else if (!e.shiftKey && document.activeElement === last) {
+            e.preventDefault();
+            first.focus();
+        } else if (!overlay.contains(document.activeElement)) {
+            e.preventDefault();
+            first.focus();
+        }
+    }
+
+    // Show a previously answered question in read-only mode (engine `reviewShown`)
+    showReviewQuestion({ position, question, entry }) {
+        const engine = this.engine;
+        this.showScreen('gameScreen');
+        const { number, total } = engine.displayProgress(position);
+        this.$('questionNumber').textContent = this.t('game.questionNumber', { number, total });
+        this.$('questionText').textContent = question.question;
+        this.renderMedia(question);
+        this.renderTurn(engine.multiplayer && this.t('multiplayer.answerOf', { name: engine.multiplayer.players[entry.player].name }));
+
+        const optionsContainer = this.$('optionsContainer');
+        optionsContainer.innerHTML = '';
+
+        if (question.type === 'text') {
+            optionsContainer.appendChild(this.createTextInput(question));
+        } else {
+            entry.shuffledOptions.forEach(originalIndex => {
+                optionsContainer.appendChild(this.createOptionElement(question.options[originalIndex], question.optionImages[originalIndex]));
+            });
+        }
+        this.markAnswer(question, entry.selected, entry.isCorrect, entry.correctShuffled);
+
+        // Show result and fun fact
+        this.showResult(question, entry);
+
+        const submitBtn = this.$('submitBtn');
+        if (submitBtn) submitBtn.style.display = 'none';
+        const timerEl = this.$('questionTimer');
+        if (timerEl) timerEl.style.display = 'none';
+        this.updateNavButtons();
+        this.updateStats();
+        this.showModal();
+    }
+
+    goBack() {
+        this.engine.goBack();
+    }
+
+    goForward() {
+        this.engine.goForward();
+    }
+
+    // Update visibility of back/forward/next buttons from the engine's navigation state
+    updateNavButtons() {
+        const engine = this.engine;
+        const backBtn = this.$('backBtn');
+        const fwdBtn = this.$('fwdBtn');
+        const nextBtn = this.$('nextBtn');
+
+        if (backBtn) backBtn.style.display = engine.canGoBack() ? 'inline-block' : 'none';
+        if (fwdBtn) fwdBtn.style.display = engine.canGoForward() ? 'inline-block' : 'none';
+        nextBtn.style.display = engine.canGoNext() ? 'inline-block' : 'none';
+        if (engine.isSessionOver()) nextBtn.textContent = this.t('game.viewResults');
+        else nextBtn.textContent = this.t(engine.revealsAnswer(engine.sessionAnswered - 1) ? 'game.nextQuestion' : 'game.nextPlayer');
+    }
+
+    // Next question
+    nextQuestion() {
+        this.hideModal();
+        this.engine.nextQuestion();
+    }
+
+    // Show completion screen (engine `sessionComplete`)
+    showCompletionScreen(results) {
+        this.hideModal();
+        this.showScreen('completionScreen');
+        this.renderTurn(null);
+
+        // Multiplayer: a podium instead of one player's score, rank and lifetime progress
+        const multiplayer = results.players !== null;
+        this.updateReviewTools(multiplayer);
+        ['finalScore', 'rankDisplay', 'categoryMastery', 'progressTools', 'dailyResult'].forEach(id => {
+            const el = this.$(id);
+            if (el) el.style.display = multiplayer ? 'none' : '';
+        });
+        const podium = this.$('podium');
+        if (podium) podium.style.display = multiplayer ? '' : 'none';
+        if (multiplayer) {
+            const winners = results.players.filter(player => player.place === 1).map(player => player.name);
+            this.$('completionName').textContent = winners.join(' & ');
+            this.showPodium(results.players);
+            this.$('scoreBreakdown').style.display = 'none';
+            this.fireConfetti();
+            return;
+        }
+
+        this.$('completionName').textContent = this.engine.currentUser;
+        this.$('finalScore').textContent = `${results.score}/${results.total}`;
+
+        // Fire confetti for top scores
+        if (results.percentage === 100) {
+            this.fireConfetti();
+            setTimeout(() => this.fireConfetti(), 500);
+            setTimeout(() => this.fireConfetti(), 1000);
+        } else if (results.percentage >= 90) {
+            this.fireConfetti();
+        }
+
+        // Add lifetime stats
+        const mastered = this.t('completion.mastered', { mastered: results.mastered, total: results.questionCount, percent: results.masteryPercent });
+        this.$('rankDisplay').innerHTML = results.rank +
+            `<br><small style="font-size: 0.7em; opacity: 0.8;">${escapeHtml(mastered)}</small>`;
+        this.showCategoryMastery();
+        this.showScoreBreakdown(results.points);
+        this.showDailyResult(results.daily);
+    }
 
-    const percentage = Math.round((sessionScore / QUESTIONS_PER_GAME) * 100);
-    let rank = '';
+    // Daily challenge: the shareable ✅/❌ grid and whether this round counted toward the daily streak
+    showDailyResult(daily) {
+        const container = this.$('dailyResult');
+        if (!container) return;
+        container.style.display = daily ? '' : 'none';
+        if (!daily) return;
+
+        this.$('dailyGrid').textContent = this.engine.dailyShareText(document.title);
+        this.$('dailyNote').textContent = daily.counted
+            ? this.t('daily.counted', { streak: daily.streak, count: daily.streak, best: daily.bestStreak })
+            : this.t('daily.replayed');
+        this.$('shareBtn').textContent = this.t('daily.copy');
+    }
 
-    // Find matching rank (ranks are sorted high-to-low by min)
-    for (const r of theme.ranks) {
-        if (percentage >= r.min) {
-            rank = r.label;
-            break;
+    // Copy the daily result to the clipboard; where that isn't allowed, select it for copying by hand
+    async shareDailyResult() {
+        const grid = this.$('dailyGrid');
+        const button = this.$('shareBtn');
+        try {
+            await navigator.clipboard.writeText(grid.textContent);
+            button.textContent = this.t('daily.copied');
+        } catch (err) {
+            const range = document.createRange();
+            range.selectNodeContents(grid);
+            const selection = window.getSelection();
+            selection.removeAllRanges();
+            selection.addRange(range);
+            button.textContent = this.t('daily.copyByHand');
         }
     }
 
-    // Fire confetti for top scores
-    if (percentage === 100) {
-        fireConfetti();
-        setTimeout(fireConfetti, 500);
-        setTimeout(fireConfetti, 1000);
-    } else if (percentage >= 90) {
-        fireConfetti();
+    // Completion screen: Review mistakes when the round had any, weak-spot practice when the player has some
+    updateReviewTools(multiplayer) {
+        const mistakesBtn = this.$('mistakesBtn');
+        if (mistakesBtn) mistakesBtn.style.display = this.engine.sessionMistakes().length > 0 ? '' : 'none';
+        const weakSpotsBtn = this.$('weakSpotsBtn');
+        if (weakSpotsBtn) weakSpotsBtn.style.display = !multiplayer && this.engine.weakSpotIds().length > 0 ? '' : 'none';
     }
 
-    // Add lifetime stats
-    const masteryPercent = Math.round((userStats.correctQuestions.length / questions.length) * 100);
-    rank += `<br><small style="font-size: 0.7em; opacity: 0.8;">Mastered: ${userStats.correctQuestions.length}/${questions.length} questions (${masteryPercent}%)</small>`;
+    // Multiplayer: every player's place, score and theme rank, best first
+    showPodium(players) {
+        const podium = this.$('podium');
+        const medals = ['🥇', '🥈', '🥉'];
+        podium.innerHTML = '';
+        players.forEach(player => {
+            const item = createElement('li', `podium-place podium-place-${player.place}`);
+            item.append(
+                createElement('span', 'podium-medal', medals[player.place - 1] || `${player.place}.`),
+                createElement('span', 'podium-name', player.name),
+                createElement('span', 'podium-score', this.theme.timeLimit > 0 ? this.t('completion.points', { points: player.points }) : `${player.score}/${player.total}`),
+                createElement('span', 'podium-rank', player.rank));
+            podium.appendChild(item);
+        });
+    }
 
-    document.getElementById('rankDisplay').innerHTML = rank;
-}
+    // Timed mode: base / speed / streak points on the completion screen
+    showScoreBreakdown(points) {
+        const container = this.$('scoreBreakdown');
+        if (!container) return;
+        container.style.display = this.theme.timeLimit > 0 ? '' : 'none';
+        if (this.theme.timeLimit <= 0) return;
+
+        const label = key => escapeHtml(this.t(key));
+        container.innerHTML = `
+            <div><span>${label('completion.correctAnswers')}</span><span>${points.base}</span></div>
+            <div><span>${label('completion.speedBonus')}</span><span>+${points.speed}</span></div>
+            <div><span>${label('completion.streakBonus')}</span><span>+${points.streak}</span></div>
+            <div class="score-breakdown-total"><span>${label('completion.total')}</span><span>${escapeHtml(this.t('completion.points', { points: points.total }))}</span></div>
+        `;
+    }
 
-// Reset progress (full reset)
-function resetProgress() {
-    if (confirm('Are you sure you want to reset ALL progress? This cannot be undone.')) {
-        userStats = { seenQuestions: [], correctQuestions: [], totalCorrect: 0, totalAnswered: 0 };
-        saveUserData(currentUser, userStats);
+    // Per-category mastery breakdown on the completion screen
+    showCategoryMastery() {
+        const container = this.$('categoryMastery');
+        if (!container) return;
+        container.innerHTML = '';
+
+        this.engine.categoryMastery().forEach(({ category, mastered, total }) => {
+            const row = createElement('div', 'category-mastery-row');
+            const bar = createElement('div', 'category-mastery-bar');
+            const fill = createElement('div', 'category-mastery-fill');
+            fill.style.width = Math.round((mastered / total) * 100) + '%';
+            bar.appendChild(fill);
+            row.append(
+                createElement('span', 'category-mastery-name', category),
+                bar,
+                createElement('span', 'category-mastery-count', `${mastered}/${total}`));
+            container.appendChild(row);
+        });
+    }
 
-        // Start a new game
-        sessionScore = 0;
-        sessionAnswered = 0;
-        streak = 0;
-        answerHistory = [];
-        viewingIndex = 0;
-        browseReturnPosition = null;
-        sessionQuestions = selectSessionQuestions();
+    // Lifetime statistics dashboard
+    showStats() {
+        this.statsReturnScreen = this.root.querySelector('.screen.active').id;
+        this.renderStats();
+        this.showScreen('statsScreen');
+    }
 
-        showScreen('gameScreen');
-        loadNextQuestion();
+    hideStats() {
+        this.showScreen(this.statsReturnScreen);
     }
-}
 
-// Play again (new session, keep progress)
-function playAgain() {
-    sessionScore = 0;
-    sessionAnswered = 0;
-    streak = 0;
-    answerHistory = [];
-    viewingIndex = 0;
-    browseReturnPosition = null;
-    sessionQuestions = selectSessionQuestions();
-
-    showScreen('gameScreen');
-    loadNextQuestion();
-}
+    // Bar chart of the last `days` days; `valueOf(day)` returns a 0-1 bar height, `labelOf(day)` the tooltip
+    renderDayChart(container, days, valueOf, labelOf) {
+        container.innerHTML = '';
+        this.engine.recentDays(days).forEach(day => {
+            const bar = createElement('div', 'stats-chart-bar');
+            bar.style.height = (day.answered > 0 ? Math.max(4, valueOf(day) * 100) : 0) + '%';
+            bar.title = day.answered > 0 ? labelOf(day) : this.t('stats.noActivity', { day: day.day });
+            container.appendChild(bar);
+        });
+    }
 
-// Logout
-function logout() {
-    hideModal();
-    currentUser = null;
-    sessionScore = 0;
-    streak = 0;
-    sessionQuestions = [];
-    sessionAnswered = 0;
-    answerHistory = [];
-    viewingIndex = 0;
-    browseReturnPosition = null;
-    userStats = { seenQuestions: [], correctQuestions: [], totalCorrect: 0, totalAnswered: 0 };
-    document.getElementById('username').value = '';
-    document.getElementById('streakIndicator').classList.remove('visible');
-    showScreen('loginScreen');
-}
+    renderStats() {
+        const stats = this.engine.lifetimeStats();
+
+        const summary = this.$('statsSummary');
+        summary.innerHTML = '';
+        [
+            [stats.answered, 'stats.answered'],
+            [stats.accuracy + '%', 'stats.accuracy'],
+            [stats.bestStreak, 'stats.bestStreak'],
+            [stats.daysPlayed, 'stats.daysPlayed'],
+            [`${stats.mastered}/${stats.questionCount}`, 'stats.mastered']
+        ].forEach(([value, label]) => {
+            const stat = createElement('div', 'stat');
+            stat.append(createElement('div', 'stat-value', value), createElement('div', 'stat-label', this.t(label)));
+            summary.appendChild(stat);
+        });
+
+        // Per-day activity (relative to the busiest day) and accuracy
+        const busiest = Math.max(1, ...Object.values(this.engine.userStats.history.daily).map(pair => pair[0]));
+        this.renderDayChart(this.$('activityChart'), 30,
+            day => day.answered / busiest,
+            day => this.t('stats.dayAnswered', { day: day.day, count: day.answered }));
+        this.renderDayChart(this.$('accuracyChart'), 30,
+            day => day.correct / day.answered,
+            day => this.t('stats.dayAccuracy', { day: day.day, percent: Math.round((day.correct / day.answered) * 100) }));
+
+        const hardestList = this.$('hardestQuestions');
+        hardestList.innerHTML = '';
+        stats.hardest.forEach(({ question, answered, correct }) => {
+            const item = createElement('li', null, question.question);
+            item.appendChild(createElement('span', 'stats-list-detail', this.t('stats.hardestDetail', { correct, answered })));
+            hardestList.appendChild(item);
+        });
+        if (stats.hardest.length === 0) hardestList.appendChild(createElement('li', 'stats-empty', this.t('stats.hardestEmpty')));
+
+        const distractorList = this.$('missedDistractors');
+        distractorList.innerHTML = '';
+        stats.distractors.forEach(({ question, option, count }) => {
+            const item = createElement('li', null, `“${question.options[option]}”`);
+            item.appendChild(createElement('span', 'stats-list-detail', this.t('stats.distractorDetail', { count, question: question.question })));
+            distractorList.appendChild(item);
+        });
+        if (stats.distractors.length === 0) distractorList.appendChild(createElement('li', 'stats-empty', this.t('stats.distractorsEmpty')));
+
+        this.renderReportSummary();
+    }
+
+    // How many question reports this device holds; the export buttons only show when there are some
+    async renderReportSummary() {
+        const tools = this.$('reportTools');
+        if (!tools) return;
+        let reports = [];
+        try {
+            reports = await this.engine.getReports();
+        } catch (err) { /* no IndexedDB — nothing to export */ }
+        tools.style.display = reports.length > 0 ? '' : 'none';
+        this.$('reportSummary').textContent = this.t('report.summary', { count: reports.length });
+    }
+
+    // This round's wrong answers
+    showMistakes() {
+        this.showReview(this.t('review.mistakes'), this.engine.sessionMistakes(), this.t('review.noMistakes'));
+    }
 
-// Handle Enter key on login
-document.getElementById('username').addEventListener('keypress', function(e) {
-    if (e.key === 'Enter') {
-        startGame();
+    // Every question the player has missed and not answered correctly since
+    showMissedQuestions() {
+        this.showReview(this.t('review.missed'), this.engine.missedQuestions(), this.t('review.noMissed'));
     }
-});
 
-// Initialize
-createStars();
-initDatabase();
+    // Review screen: `items` from QuizEngine#sessionMistakes or #missedQuestions, or `emptyText` when there are none
+    showReview(title, items, emptyText) {
+        this.reviewReturnScreen = this.root.querySelector('.screen.active').id;
+        this.$('reviewTitle').textContent = title;
+        this.renderReview(items, emptyText);
+        const practiceBtn = this.$('reviewPracticeBtn');
+        if (practiceBtn) practiceBtn.style.display = !this.engine.multiplayer && this.engine.weakSpotIds().length > 0 ? '' : 'none';
+        this.showScreen('reviewScreen');
+    }
+
+    hideReview() {
+        this.showScreen(this.reviewReturnScreen);
+    }
+
+    // Each wrong answer: the question, what was picked (and by whom), the right answer and the fun fact
+    renderReview(items, emptyText) {
+        const engine = this.engine;
+        const list = this.$('reviewList');
+        list.innerHTML = '';
+        items.forEach(({ question, choice, player }) => {
+            const item = createElement('li');
+            item.appendChild(createElement('div', 'review-question', question.question));
+            if (choice !== undefined) {
+                const who = Number.isInteger(player) ? this.t('multiplayer.answerOf', { name: engine.multiplayer.players[player].name }) : this.t('review.yourAnswer');
+                const answer = choice === null ? this.t('review.noAnswer') : engine.choiceText(question, choice);
+                item.appendChild(createElement('div', 'review-pick', this.t('review.pick', { who, answer })));
+            }
+            item.appendChild(createElement('div', 'review-correct', this.t('review.correct', { answer: engine.correctAnswerText(question) })));
+
+            const wiki = escapeHtml(safeUrl(question.wiki));
+            const funFact = createElement('div', 'fun-fact');
+            funFact.innerHTML = `<strong>${engine.themeText('funFactLabel')}</strong> ${formatFunFact(question.funFact)}` +
+                (wiki ? ` <a href="${wiki}" target="_blank" rel="noopener" class="wiki-link-small">${escapeHtml(this.t('result.wikiLink'))}</a>` : '');
+            item.appendChild(funFact);
+
+            const reported = this.reportedIds.has(question.id);
+            const reportBtn = createElement('button', 'report-link', this.t(reported ? 'report.thanks' : 'report.button'));
+            reportBtn.type = 'button';
+            reportBtn.dataset.questionId = question.id;
+            reportBtn.disabled = reported;
+            reportBtn.onclick = () => this.openReport(question.id);
+            item.appendChild(reportBtn);
+            list.appendChild(item);
+        });
+        if (items.length === 0) list.appendChild(createElement('li', 'stats-empty', emptyText));
+    }
+
+    // Report the question whose result is shown
+    reportQuestion() {
+        if (this.resultQuestionId !== null) this.openReport(this.resultQuestionId);
+    }
+
+    // Open the report form for a question (the result sheet steps aside until it closes)
+    openReport(questionId) {
+        const dialog = this.$('reportDialog');
+        const question = this.engine.questionsById.get(questionId);
+        if (!dialog || !question) return;
+        const overlay = this.$('resultModalOverlay');
+        this.reportReopensModal = Boolean(overlay && overlay.classList.contains('visible'));
+        this.reportReturnFocus = document.activeElement;
+        this.hideModal();
+
+        this.reportingQuestionId = questionId;
+        this.$('reportQuestionText').textContent = question.question;
+        this.$('reportReason').selectedIndex = 0;
+        this.$('reportComment').value = '';
+        dialog.classList.add('visible');
+        this.$('reportReason').focus();
+    }
+
+    closeReport() {
+        const dialog = this.$('reportDialog');
+        if (!dialog || !this.isReportOpen()) return;
+        dialog.classList.remove('visible');
+        this.reportingQuestionId = null;
+        if (this.reportReopensModal) {
+            this.showModal();
+        } else if (this.reportReturnFocus && document.contains(this.reportReturnFocus)) {
+            this.reportReturnFocus.focus({ preventScroll: true });
+        }
+        this.reportReopensModal = false;
+        this.reportReturnFocus = null;
+    }
+
+    isReportOpen() {
+        const dialog = this.$('reportDialog');
+        return Boolean(dialog && dialog.classList.contains('visible'));
+    }
+
+    // Save the report from the form; its report buttons then turn into a thank-you
+    async submitReport() {
+        const questionId = this.reportingQuestionId;
+        if (questionId === null) return;
+        try {
+            await this.engine.reportQuestion(questionId, this.$('reportReason').value, this.$('reportComment').value);
+        } catch (err) {
+            alert(this.t('report.failed', { error: err.message }));
+            return;
+        }
+
+        this.reportedIds.add(questionId);
+        this.root.querySelectorAll('.report-link').forEach(button => {
+            if (button.dataset.questionId !== String(questionId)) return;
+            button.disabled = true;
+            button.textContent = this.t('report.thanks');
+        });
+        this.closeReport();
+        this.announce(this.t('report.thanks'));
+    }
+
+    // Start a round of the player's weak spots, with the last round's filters and the chosen length
+    practiceWeakSpots() {
+        if (this.engine.multiplayer) return;
+        if (!this.engine.beginWeakSpotSession(this.engine.sessionFilters, this.readSessionLength())) {
+            alert(this.t('review.noWeakSpots'));
+        }
+    }
+
+    // Pop up newly earned achievements (naming the player in multiplayer); achievements earned while the toast
+    // is up join it, and it stays ACHIEVEMENT_TOAST_MS after the last one
+    showAchievementToast({ name, achievements }) {
+        const toast = this.$('achievementToast');
+        if (!toast) return;
+        if (!toast.classList.contains('visible')) toast.innerHTML = '';
+        const title = this.engine.multiplayer ? this.t('achievements.unlockedBy', { name }) : this.t('achievements.unlocked');
+        achievements.forEach(achievement => {
+            const item = createElement('div', 'achievement-toast-item');
+            item.append(createElement('span', 'achievement-toast-title', title), createElement('strong', null, achievement.label));
+            toast.appendChild(item);
+        });
+        toast.classList.add('visible');
+        clearTimeout(this.toastTimer);
+        this.toastTimer = setTimeout(() => toast.classList.remove('visible'), ACHIEVEMENT_TOAST_MS);
+    }
+
+    // Trophy case: the current player's achievements
+    showTrophies() {
+        this.trophyReturnScreen = this.root.querySelector('.screen.active').id;
+        this.renderTrophies();
+        this.showScreen('trophyScreen');
+    }
+
+    hideTrophies() {
+        this.showScreen(this.trophyReturnScreen);
+    }
+
+    // Earned achievements first with the day they were earned, then the ones still to get
+    renderTrophies() {
+        const achievements = this.engine.achievementList();
+        const earned = achievements.filter(achievement => achievement.earnedAt);
+        this.$('trophySummary').textContent = this.t('achievements.summary', { earned: earned.length, total: achievements.length });
+
+        const list = this.$('trophyList');
+        list.innerHTML = '';
+        [...earned, ...achievements.filter(achievement => !achievement.earnedAt)].forEach(achievement => {
+            const item = createElement('li', achievement.earnedAt ? 'trophy earned' : 'trophy locked');
+            const status = achievement.earnedAt
+                ? this.t('achievements.earnedOn', { date: new Date(achievement.earnedAt).toLocaleDateString(this.engine.locale) })
+                : this.t('achievements.locked');
+            item.append(
+                createElement('div', 'trophy-name', achievement.label),
+                createElement('div', 'trophy-description', achievement.description),
+                createElement('span', 'trophy-earned', status));
+            list.appendChild(item);
+        });
+        if (achievements.length === 0) list.appendChild(createElement('li', 'stats-empty', this.t('achievements.empty')));
+    }
+
+    // Leaderboard of every player with progress for this quiz on this device
+    showLeaderboard() {
+        if (this.engine.questions.length === 0) return; // DB not loaded yet (needed to migrate old records)
+        this.leaderboardReturnScreen = this.root.querySelector('.screen.active').id;
+        this.renderLeaderboard();
+        this.showScreen('leaderboardScreen');
+    }
+
+    hideLeaderboard() {
+        this.showScreen(this.leaderboardReturnScreen);
+    }
+
+    sortLeaderboard(sortBy) {
+        this.leaderboardSort = sortBy;
+        this.renderLeaderboard();
+    }
+
+    // One row per player: best round (points when timed), best streak, accuracy, mastery, rename and delete
+    renderLeaderboard() {
+        const engine = this.engine;
+        const tbody = this.$('leaderboardRows');
+        tbody.innerHTML = '';
+        const rows = engine.leaderboard(this.leaderboardSort);
+
+        rows.forEach(row => {
+            const tr = createElement('tr', row.name === engine.currentUser ? 'current' : null);
+            const nameCell = createElement('th', null, row.name);
+            nameCell.scope = 'row';
+            const best = row.bestSession;
+            const bestText = !best ? '—' : this.theme.timeLimit > 0 ? this.t('completion.points', { points: best.points }) : `${best.score}/${best.total} (${best.percentage}%)`;
+            tr.append(
+                nameCell,
+                createElement('td', null, bestText),
+                createElement('td', null, String(row.bestStreak)),
+                createElement('td', null, row.answered > 0 ? `${row.accuracy}%` : '—'),
+                createElement('td', null, `${row.mastered} (${row.masteryPercent}%)`));
+
+            const actions = createElement('td', 'leaderboard-actions');
+            if (!engine.isPlaying(row.name)) {
+                [['✏️', this.t('leaderboard.rename', { name: row.name }), () => this.renamePlayer(row.name)],
+                    ['🗑️', this.t('leaderboard.delete', { name: row.name }), () => this.deletePlayer(row.name)]].forEach(([icon, label, handler]) => {
+                    const button = createElement('button', null, icon);
+                    button.type = 'button';
+                    button.title = label;
+                    button.setAttribute('aria-label', label);
+                    button.onclick = handler;
+                    actions.appendChild(button);
+                });
+            }
+            tr.appendChild(actions);
+            tbody.appendChild(tr);
+        });
+
+        this.$('leaderboardEmpty').style.display = rows.length > 0 ? 'none' : '';
+        this.root.querySelectorAll('[data-sort]').forEach(button => {
+            const order = this.leaderboardSort === 'name' ? 'ascending' : 'descending';
+            button.closest('th').setAttribute('aria-sort', button.dataset.sort === this.leaderboardSort ? order : 'none');
+        });
+    }
+
+    // Rename a player from the leaderboard (their progress moves to the new name)
+    renamePlayer(name) {
+        const newName = prompt(this.t('leaderboard.newName', { name }), name);
+        if (newName === null) return;
+        try {
+            this.engine.renamePlayer(name, newName);
+        } catch (err) {
+            alert(this.t('leaderboard.renameFailed', { name, error: err.message }));
+            return;
+        }
+        const username = this.$('username');
+        if (username.value.trim() === name) username.value = newName.trim();
+        this.renderLeaderboard();
+    }
+
+    // Delete a player's progress from the leaderboard
+    deletePlayer(name) {
+        if (!confirm(this.t('leaderboard.confirmDelete', { name }))) return;
+        try {
+            this.engine.deletePlayer(name);
+        } catch (err) {
+            alert(this.t('leaderboard.deleteFailed', { name, error: err.message }));
+            return;
+        }
+        this.renderLeaderboard();
+    }
+
+    // Export the current (or named) user's progress as a JSON file download
+    exportProgress() {
+        if (this.engine.questions.length === 0) return; // DB not loaded yet (needed to migrate old records)
+        const username = this.engine.currentUser || this.$('username').value.trim();
+        if (!username) {
+            this.shakeInput(this.$('username'));
+            return;
+        }
+
+        const file = this.engine.exportProgress(username);
+        this.downloadFile(JSON.stringify(file, null, 2), 'application/json', `${this.theme.storagePrefix}-${username}-progress.json`);
+    }
+
+    // Export the question reports on this device as a file download (see QuizEngine#exportReports)
+    exportReportsJson() {
+        return this.exportReports('json');
+    }
+
+    exportReportsCsv() {
+        return this.exportReports('csv');
+    }
+
+    async exportReports(format) {
+        const text = await this.engine.exportReports(format);
+        this.downloadFile(text, format === 'csv' ? 'text/csv' : 'application/json', `${this.theme.storagePrefix}-reports.${format}`);
+    }
+
+    // Offer `text` as a file download
+    downloadFile(text, type, filename) {
+        const blob = new Blob([text], { type });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        URL.revokeObjectURL(link.href);
+    }
+
+    // Open the file picker for importProgress
+    chooseImportFile() {
+        this.$('importFile').click();
+    }
+
+    // Import a progress file and merge it into the current (or named) user's progress
+    async importProgress(fileBlob) {
+        if (!fileBlob || this.engine.questions.length === 0) return;
+
+        try {
+            const file = JSON.parse(await fileBlob.text());
+            const username = this.engine.currentUser || this.$('username').value.trim() || file.username;
+            const merged = this.engine.importProgress(username, file);
+            if (!this.engine.currentUser) this.$('username').value = username;
+            alert(this.t('progress.imported', { name: username, count: merged.correctQuestions.length }));
+        } catch (err) {
+            alert(this.t('progress.importFailed', { error: err instanceof SyntaxError ? this.t('progress.invalidJson') : err.message }));
+        }
+    }
+
+    // Reset progress (full reset)
+    resetProgress() {
+        if (confirm(this.t('progress.confirmReset'))) {
+            this.engine.resetProgress();
+        }
+    }
+
+    // Play again (new session, keep progress) with the topic, difficulty and length pickers. When a newer bank
+    // has nothing for them, go back to the login screen to pick others.
+    playAgain() {
+        if (this.engine.playAgain(this.readFilters(), this.readSessionLength())) return;
+        const loadingIndicator = this.$('loadingIndicator');
+        loadingIndicator.innerHTML = `<span>${escapeHtml(this.t('login.noMatch'))}</span>`;
+        loadingIndicator.style.display = '';
+        this.showScreen('loginScreen');
+    }
+
+    // Logout
+    logout() {
+        this.hideModal();
+        this.hideResumePrompt();
+        this.engine.logout();
+        this.$('username').value = '';
+        this.$('streakIndicator').classList.remove('visible');
+        this.showScreen('loginScreen');
+    }
+
+    // Game screen keyboard controls: 1-9 / A-Z pick an option, Enter submits or continues,
+    // ←/→ browse answered questions, Escape closes the report form or the result sheet
+    handleGameKeys(e) {
+        this.trapModalFocus(e);
+        if (this.isReportOpen()) {
+            if (e.key === 'Escape') this.closeReport();
+            return;
+        }
+        if (!this.$('gameScreen').classList.contains('active')) return;
+        if (e.ctrlKey || e.metaKey || e.altKey) return;
+        const engine = this.engine;
+        const typing = ['INPUT', 'TEXTAREA', 'SELECT'].includes(e.target.tagName);
+        const visible = id => {
+            const el = this.$(id);
+            return el && el.style.display !== 'none';
+        };
+
+        if (e.key === 'ArrowLeft' && !typing && engine.canGoBack()) {
+            e.preventDefault();
+            this.goBack();
+        } else if (e.key === 'ArrowRight' && !typing && engine.canGoForward()) {
+            e.preventDefault();
+            this.goForward();
+        } else if (e.key === 'Escape') {
+            this.hideModal();
+        } else if (e.key === 'Enter' && !typing && e.target.tagName !== 'BUTTON' && e.target.tagName !== 'A') {
+            if (engine.canGoNext()) this.nextQuestion();
+            else if (visible('submitBtn')) this.submitAnswer();
+        } else if (!typing && /^[1-9a-z]$/i.test(e.key) && engine.viewingIndex >= engine.sessionAnswered && engine.browseReturnPosition === null) {
+            const question = engine.questionsById.get(engine.currentQuestionId);
+            if (!question || question.type === 'text') return;
+            const displayIndex = /\d/.test(e.key) ? Number(e.key) - 1 : e.key.toLowerCase().charCodeAt(0) - 97;
+            if (displayIndex >= question.options.length) return;
+            e.preventDefault();
+            if (question.type === 'multi') this.toggleOption(displayIndex);
+            else engine.selectAnswer(displayIndex);
+        }
+    }
+}
+
+// Standard quiz page: one engine drawn into the whole document
+if (typeof QUIZ_DB_URL !== 'undefined') {
+    const analyticsUrl = typeof QUIZ_ANALYTICS_URL !== 'undefined' && typeof QuizAnalytics !== 'undefined' ? QUIZ_ANALYTICS_URL : null;
+    const engine = new QuizEngine({
+        dbUrl: QUIZ_DB_URL,
+        dbUrls: typeof QUIZ_DB_URLS !== 'undefined' ? QUIZ_DB_URLS : undefined,
+        theme: typeof QUIZ_THEME !== 'undefined' ? QUIZ_THEME : {},
+        sqlJsPath: typeof QUIZ_SQL_JS_PATH !== 'undefined' ? QUIZ_SQL_JS_PATH : undefined,
+        reportUrl: typeof QUIZ_REPORT_URL !== 'undefined' ? QUIZ_REPORT_URL : undefined,
+        analytics: analyticsUrl ? new QuizAnalytics({
+            adapter: analyticsUrl === 'console' ? QuizAnalytics.consoleAdapter() : QuizAnalytics.beaconAdapter(analyticsUrl)
+        }) : undefined
+    });
+    window.quiz = new QuizRenderer(engine);
+    window.quiz.start();
+}
 
-// Restore remembered username
-const lastUser = localStorage.getItem(`${theme.storagePrefix}_lastUser`);
-if (lastUser) {
-    document.getElementById('username').value = lastUser;
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { QuizRenderer, escapeHtml, safeUrl, formatFunFact };
 }
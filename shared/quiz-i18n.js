@@ -0,0 +1,791 @@
+/**
+ * Quiz I18n
+ *
+ * Locale catalogs for the text the engine and renderer show, with plural rules and text direction.
+ * Every message is looked up by key, e.g. translate('es', 'game.questionNumber', { number: 3, total: 20 }).
+ *
+ * Messages:
+ * - Strings with `{name}` placeholders, filled from the params
+ * - Or plural forms, picked by Intl.PluralRules on the `count` param: { one: '…', other: '…' }
+ *   (Arabic also uses zero, two, few and many; a missing form falls back to `other`)
+ *
+ * Lookup: the quiz's own translations (theme.translations), then the catalog — for the locale, then its
+ * base language ('es-MX' → 'es'), then English — then the key itself. Add a language by adding a
+ * catalog here, or per quiz in theme.translations.
+ *
+ * Loads as a plain browser script before quiz-core.js (defines QuizI18n) or as a CommonJS module under Node.
+ */
+
+// Language of the catalog every other one falls back to; it must hold every key
+const FALLBACK_LOCALE = 'en';
+
+// Languages written right to left
+const RTL_LANGUAGES = ['ar', 'fa', 'he', 'ur'];
+
+const LOCALE_CATALOGS = {
+    en: {
+        // Quiz texts a quiz usually sets itself (see QuizEngine#themeText); used for languages it doesn't translate
+        loginHeading: 'Welcome!',
+        usernameLabel: 'Enter your name:',
+        usernamePlaceholder: 'Your name...',
+        startButton: 'Start Quiz',
+        logoutButton: 'Change User',
+        playAgain: 'Play Again',
+        correctMessage: '✨ Correct!',
+        funFactLabel: '📜 Did you know?',
+
+        'streak.label': 'Streak!',
+        'login.language': 'Language:',
+        'login.topic': 'Topic:',
+        'login.allTopics': 'All topics',
+        'login.difficulty': 'Difficulty:',
+        'login.anyDifficulty': 'Any difficulty',
+        'login.length': 'Questions:',
+        'login.lengthAll': 'All ({count})',
+        'login.loading': 'Loading questions...',
+        'login.loadFailed': 'Failed to load questions: {error}',
+        'login.skipped': {
+            one: '⚠️ {count} broken question has been left out of this quiz.',
+            other: '⚠️ {count} broken questions have been left out of this quiz.'
+        },
+        'login.noMatch': 'No questions match this topic and difficulty.',
+        'daily.button': '📅 Daily Challenge',
+        'resume.button': 'Resume your game (question {position} of {total})',
+        'resume.newGame': 'Start a new game',
+
+        'multiplayer.summary': '👥 Play with friends (2–6 players)',
+        'multiplayer.addPlayer': '+ Add player',
+        'multiplayer.player': 'Player {number}',
+        'multiplayer.playerName': 'Player {number} name',
+        'multiplayer.removePlayer': 'Remove player {number}',
+        'multiplayer.mode': 'How to play:',
+        'multiplayer.turns': 'Take turns',
+        'multiplayer.together': 'Everyone answers every question',
+        'multiplayer.start': 'Start multiplayer game',
+        'multiplayer.noMatch': 'Not enough questions match this topic and difficulty for every player.',
+        'multiplayer.turn': '🎯 {name}\'s turn',
+        'multiplayer.answerOf': '{name}\'s answer',
+        'multiplayer.lockedIn': '🔒 Locked in! Pass the device to {name}.',
+        'multiplayer.noAnswer': 'no answer',
+
+        'game.welcome': 'Welcome,',
+        'game.progress': 'Session progress',
+        'game.questionNumber': 'Question {number} of {total}',
+        'game.typeAnswer': 'Type your answer...',
+        'game.selectAll': 'Select all that apply',
+        'game.audio': 'Audio clip for this question',
+        'game.checkAnswer': 'Check Answer',
+        'game.back': '← Back',
+        'game.forward': 'Forward →',
+        'game.nextQuestion': 'Next Question →',
+        'game.nextPlayer': 'Next Player →',
+        'game.viewResults': 'View Results 🏆',
+        'game.yourAnswerCorrect': '(your answer, correct)',
+        'game.yourAnswerIncorrect': '(your answer, incorrect)',
+        'game.correctAnswer': '(correct answer)',
+        'game.true': 'True',
+        'game.false': 'False',
+
+        'result.label': 'Answer result',
+        'result.incorrect': '❌ Incorrect! The correct answer was: {answer}',
+        'result.timeUp': '⏰ Time\'s up! The correct answer was: {answer}',
+        'result.learnMore': '📖 Learn more on Wikipedia →',
+        'result.wikiLink': '[wiki]',
+
+        'stats.score': 'Score',
+        'stats.answered': 'Answered',
+        'stats.remaining': 'Remaining',
+        'stats.accuracy': 'Accuracy',
+        'stats.bestStreak': 'Best Streak',
+        'stats.daysPlayed': 'Days Played',
+        'stats.mastered': 'Mastered',
+        'stats.open': '📊 My Stats',
+        'stats.title': '📊 Your Stats',
+        'stats.activity': 'Activity — last 30 days',
+        'stats.accuracyChart': 'Accuracy — last 30 days',
+        'stats.noActivity': '{day}: no activity',
+        'stats.dayAnswered': '{day}: {count} answered',
+        'stats.dayAccuracy': '{day}: {percent}% correct',
+        'stats.hardest': 'Hardest questions',
+        'stats.hardestDetail': '{correct}/{answered} correct',
+        'stats.hardestEmpty': 'Nothing yet — keep playing!',
+        'stats.distractors': 'Most-picked wrong answers',
+        'stats.distractorDetail': 'picked {count}× for: {question}',
+        'stats.distractorsEmpty': 'No wrong answers yet!',
+
+        'completion.title': 'Round Complete!',
+        'completion.wellDone': 'Well done,',
+        'completion.wellDoneEnd': '!',
+        'completion.mastered': 'Mastered: {mastered}/{total} questions ({percent}%)',
+        'completion.points': '{points} pts',
+        'completion.correctAnswers': 'Correct answers',
+        'completion.speedBonus': '⚡ Speed bonus',
+        'completion.streakBonus': '🔥 Streak bonus',
+        'completion.total': 'Total',
+
+        'daily.share': '{title} — Daily {day}',
+        'daily.counted': 'Come back tomorrow to keep your {streak}-day streak going! (Best: {best})',
+        'daily.replayed': 'You already played this daily challenge; replays don\'t count toward your streak.',
+        'daily.copy': '📋 Copy result',
+        'daily.copied': '✅ Copied!',
+        'daily.copyByHand': 'Press Ctrl+C to copy',
+
+        'review.mistakes': '📖 Review mistakes',
+        'review.noMistakes': 'No mistakes this round!',
+        'review.missed': '📖 Missed questions',
+        'review.noMissed': 'No missed questions — nothing to review!',
+        'review.practice': '🎯 Practice my weak spots',
+        'review.noWeakSpots': 'No weak spots to practice — you answered every question you have seen correctly last time!',
+        'review.yourAnswer': 'Your answer',
+        'review.pick': '❌ {who}: {answer}',
+        'review.noAnswer': '⏰ no answer in time',
+        'review.correct': '✅ Correct answer: {answer}',
+
+        'leaderboard.open': '🏅 Leaderboard',
+        'leaderboard.player': 'Player',
+        'leaderboard.bestRound': 'Best Round',
+        'leaderboard.actions': 'Rename or delete',
+        'leaderboard.empty': 'No players yet — be the first!',
+        'leaderboard.rename': 'Rename {name}',
+        'leaderboard.delete': 'Delete {name}',
+        'leaderboard.newName': 'New name for {name}:',
+        'leaderboard.renameFailed': 'Could not rename {name}: {error}',
+        'leaderboard.confirmDelete': 'Delete all of {name}\'s progress? This cannot be undone.',
+        'leaderboard.deleteFailed': 'Could not delete {name}: {error}',
+
+        'achievements.open': '🏆 Trophies',
+        'achievements.title': '🏆 Trophy Case',
+        'achievements.summary': '{earned} of {total} earned',
+        'achievements.earnedOn': 'Earned {date}',
+        'achievements.locked': '🔒 Not earned yet',
+        'achievements.empty': 'This quiz has no achievements.',
+        'achievements.unlocked': '🏆 Achievement unlocked!',
+        'achievements.unlockedBy': '🏆 {name} unlocked an achievement!',
+        // Generic name and description per achievement type, for achievements the theme doesn't word itself
+        'achievements.streak': '🔥 {count} in a Row',
+        'achievements.streakDetail': {
+            one: 'Answer a question correctly.',
+            other: 'Answer {count} questions in a row correctly.'
+        },
+        'achievements.perfectRound': '💯 Perfect Round',
+        'achievements.perfectRoundDetail': {
+            one: 'Get every answer in a round right.',
+            other: 'Get every answer right in a round of {count} or more questions.'
+        },
+        'achievements.answered': { one: '📚 First Answer', other: '📚 {count} Answers' },
+        'achievements.answeredDetail': { one: 'Answer a question.', other: 'Answer {count} questions.' },
+        'achievements.correct': { one: '✅ First Correct Answer', other: '✅ {count} Correct Answers' },
+        'achievements.correctDetail': {
+            one: 'Answer a question correctly.',
+            other: 'Answer {count} questions correctly.'
+        },
+        'achievements.mastery': '🎓 {count}% Mastered',
+        'achievements.masteryDetail': 'Master {count}% of the questions.',
+        'achievements.daysInARow': { one: '📅 First Day', other: '📅 {count}-Day Habit' },
+        'achievements.daysInARowDetail': { one: 'Play on any day.', other: 'Play {count} days in a row.' },
+        'achievements.dailyStreak': { one: '🗓️ First Daily Challenge', other: '🗓️ {count}-Day Daily Streak' },
+        'achievements.dailyStreakDetail': {
+            one: 'Complete a daily challenge.',
+            other: 'Complete the daily challenge {count} days in a row.'
+        },
+
+        'report.button': '🚩 Report this question',
+        'report.title': '🚩 Report a problem with this question',
+        'report.reason': 'What\'s wrong?',
+        'report.wrongAnswer': 'The answer is wrong',
+        'report.typo': 'There is a typo',
+        'report.ambiguous': 'The question is ambiguous',
+        'report.brokenLink': 'A link is broken',
+        'report.comment': 'Anything to add? (optional)',
+        'report.cancel': 'Cancel',
+        'report.send': 'Send report',
+        'report.thanks': '✅ Reported — thank you!',
+        'report.failed': 'Could not save the report: {error}',
+        'report.heading': 'Reported questions',
+        'report.summary': {
+            one: 'You have reported {count} question problem.',
+            other: 'You have reported {count} question problems.'
+        },
+        'report.exportJson': 'Export reports (JSON)',
+        'report.exportCsv': 'Export reports (CSV)',
+
+        'analytics.share': '📊 Share anonymous gameplay statistics',
+
+        'progress.export': 'Export Progress',
+        'progress.import': 'Import Progress',
+        'progress.imported': {
+            one: 'Imported progress for {name}: {count} question mastered.',
+            other: 'Imported progress for {name}: {count} questions mastered.'
+        },
+        'progress.importFailed': 'Could not import progress: {error}',
+        'progress.invalidJson': 'the file is not valid JSON.',
+        'progress.reset': 'Reset All Progress',
+        'progress.confirmReset': 'Are you sure you want to reset ALL progress? This cannot be undone.',
+
+        'error.download': 'Could not download the questions ({reason}).',
+        'error.notSqlite': 'The downloaded file is not a SQLite database.',
+        'error.noQuestionsTable': 'The database has no "questions" table.',
+        'error.missingColumns': 'The questions table is missing required columns: {columns}.',
+        'error.nonePlayable': {
+            one: 'The only question in the database can\'t be played.',
+            other: 'None of the {count} questions in the database can be played.'
+        },
+        'error.noQuestions': 'The database has no questions.',
+        'error.notLoaded': 'The questions have not loaded yet.',
+        'error.emptyName': 'The new name is empty.',
+        'error.playing': '{name} is playing right now.',
+        'error.nameTaken': 'There is already a player called {name}.',
+        'error.notProgressFile': 'This is not a quiz progress file.',
+        'error.progressVersion': 'Unsupported progress file version: {version}.',
+        'error.otherQuiz': 'This progress file was made for a different quiz.',
+        'error.damagedProgress': 'The progress file is damaged or incomplete.',
+        'error.reportQuestion': 'That question is not in this quiz.',
+        'error.reportReason': 'Unknown report reason "{reason}".',
+        'error.playerCount': 'Multiplayer needs {min} to {max} players with different names.',
+        'error.multiplayerMode': 'Unknown multiplayer mode "{mode}".'
+    },
+
+    es: {
+        loginHeading: '¡Bienvenido!',
+        usernameLabel: 'Escribe tu nombre:',
+        usernamePlaceholder: 'Tu nombre...',
+        startButton: 'Empezar',
+        logoutButton: 'Cambiar de jugador',
+        playAgain: 'Jugar otra vez',
+        correctMessage: '✨ ¡Correcto!',
+        funFactLabel: '📜 ¿Sabías que...?',
+
+        'streak.label': '¡Racha!',
+        'login.language': 'Idioma:',
+        'login.topic': 'Tema:',
+        'login.allTopics': 'Todos los temas',
+        'login.difficulty': 'Dificultad:',
+        'login.anyDifficulty': 'Cualquier dificultad',
+        'login.length': 'Preguntas:',
+        'login.lengthAll': 'Todas ({count})',
+        'login.loading': 'Cargando preguntas...',
+        'login.loadFailed': 'No se pudieron cargar las preguntas: {error}',
+        'login.skipped': {
+            one: '⚠️ Se ha dejado fuera {count} pregunta defectuosa.',
+            other: '⚠️ Se han dejado fuera {count} preguntas defectuosas.'
+        },
+        'login.noMatch': 'Ninguna pregunta coincide con este tema y dificultad.',
+        'daily.button': '📅 Reto diario',
+        'resume.button': 'Continuar tu partida (pregunta {position} de {total})',
+        'resume.newGame': 'Empezar una partida nueva',
+
+        'multiplayer.summary': '👥 Jugar con amigos (2–6 jugadores)',
+        'multiplayer.addPlayer': '+ Añadir jugador',
+        'multiplayer.player': 'Jugador {number}',
+        'multiplayer.playerName': 'Nombre del jugador {number}',
+        'multiplayer.removePlayer': 'Quitar al jugador {number}',
+        'multiplayer.mode': 'Cómo jugar:',
+        'multiplayer.turns': 'Por turnos',
+        'multiplayer.together': 'Todos responden cada pregunta',
+        'multiplayer.start': 'Empezar partida multijugador',
+        'multiplayer.noMatch': 'No hay suficientes preguntas de este tema y dificultad para todos los jugadores.',
+        'multiplayer.turn': '🎯 Turno de {name}',
+        'multiplayer.answerOf': 'Respuesta de {name}',
+        'multiplayer.lockedIn': '🔒 ¡Respuesta guardada! Pasa el dispositivo a {name}.',
+        'multiplayer.noAnswer': 'sin respuesta',
+
+        'game.welcome': 'Hola,',
+        'game.progress': 'Progreso de la partida',
+        'game.questionNumber': 'Pregunta {number} de {total}',
+        'game.typeAnswer': 'Escribe tu respuesta...',
+        'game.selectAll': 'Marca todas las correctas',
+        'game.audio': 'Audio de esta pregunta',
+        'game.checkAnswer': 'Comprobar',
+        'game.back': '← Atrás',
+        'game.forward': 'Adelante →',
+        'game.nextQuestion': 'Siguiente pregunta →',
+        'game.nextPlayer': 'Siguiente jugador →',
+        'game.viewResults': 'Ver resultados 🏆',
+        'game.yourAnswerCorrect': '(tu respuesta, correcta)',
+        'game.yourAnswerIncorrect': '(tu respuesta, incorrecta)',
+        'game.correctAnswer': '(respuesta correcta)',
+        'game.true': 'Verdadero',
+        'game.false': 'Falso',
+
+        'result.label': 'Resultado de la respuesta',
+        'result.incorrect': '❌ ¡Incorrecto! La respuesta correcta era: {answer}',
+        'result.timeUp': '⏰ ¡Se acabó el tiempo! La respuesta correcta era: {answer}',
+        'result.learnMore': '📖 Más información en Wikipedia →',
+        'result.wikiLink': '[wiki]',
+
+        'stats.score': 'Puntos',
+        'stats.answered': 'Respondidas',
+        'stats.remaining': 'Restantes',
+        'stats.accuracy': 'Aciertos',
+        'stats.bestStreak': 'Mejor racha',
+        'stats.daysPlayed': 'Días jugados',
+        'stats.mastered': 'Dominadas',
+        'stats.open': '📊 Mis estadísticas',
+        'stats.title': '📊 Tus estadísticas',
+        'stats.activity': 'Actividad — últimos 30 días',
+        'stats.accuracyChart': 'Aciertos — últimos 30 días',
+        'stats.noActivity': '{day}: sin actividad',
+        'stats.dayAnswered': {
+            one: '{day}: {count} respondida',
+            other: '{day}: {count} respondidas'
+        },
+        'stats.dayAccuracy': '{day}: {percent}% de aciertos',
+        'stats.hardest': 'Preguntas más difíciles',
+        'stats.hardestDetail': '{correct}/{answered} correctas',
+        'stats.hardestEmpty': 'Nada todavía — ¡sigue jugando!',
+        'stats.distractors': 'Respuestas incorrectas más elegidas',
+        'stats.distractorDetail': 'elegida {count}× en: {question}',
+        'stats.distractorsEmpty': '¡Aún no hay respuestas incorrectas!',
+
+        'completion.title': '¡Ronda completada!',
+        'completion.wellDone': '¡Bien hecho,',
+        'completion.wellDoneEnd': '!',
+        'completion.mastered': 'Dominadas: {mastered}/{total} preguntas ({percent}%)',
+        'completion.points': '{points} pts',
+        'completion.correctAnswers': 'Respuestas correctas',
+        'completion.speedBonus': '⚡ Bonus de velocidad',
+        'completion.streakBonus': '🔥 Bonus de racha',
+        'completion.total': 'Total',
+
+        'daily.share': '{title} — Reto diario {day}',
+        'daily.counted': {
+            one: '¡Vuelve mañana para mantener tu racha de {streak} día! (Mejor: {best})',
+            other: '¡Vuelve mañana para mantener tu racha de {streak} días! (Mejor: {best})'
+        },
+        'daily.replayed': 'Ya jugaste el reto de hoy; repetirlo no cuenta para tu racha.',
+        'daily.copy': '📋 Copiar resultado',
+        'daily.copied': '✅ ¡Copiado!',
+        'daily.copyByHand': 'Pulsa Ctrl+C para copiar',
+
+        'review.mistakes': '📖 Repasar errores',
+        'review.noMistakes': '¡Ningún error en esta ronda!',
+        'review.missed': '📖 Preguntas falladas',
+        'review.noMissed': 'No hay preguntas falladas — ¡nada que repasar!',
+        'review.practice': '🎯 Practicar mis puntos débiles',
+        'review.noWeakSpots': 'No tienes puntos débiles: ¡la última vez acertaste todas las preguntas que has visto!',
+        'review.yourAnswer': 'Tu respuesta',
+        'review.pick': '❌ {who}: {answer}',
+        'review.noAnswer': '⏰ sin respuesta a tiempo',
+        'review.correct': '✅ Respuesta correcta: {answer}',
+
+        'leaderboard.open': '🏅 Clasificación',
+        'leaderboard.player': 'Jugador',
+        'leaderboard.bestRound': 'Mejor ronda',
+        'leaderboard.actions': 'Renombrar o borrar',
+        'leaderboard.empty': 'Aún no hay jugadores — ¡sé el primero!',
+        'leaderboard.rename': 'Renombrar a {name}',
+        'leaderboard.delete': 'Borrar a {name}',
+        'leaderboard.newName': 'Nuevo nombre para {name}:',
+        'leaderboard.renameFailed': 'No se pudo renombrar a {name}: {error}',
+        'leaderboard.confirmDelete': '¿Borrar todo el progreso de {name}? No se puede deshacer.',
+        'leaderboard.deleteFailed': 'No se pudo borrar a {name}: {error}',
+
+        'achievements.open': '🏆 Trofeos',
+        'achievements.title': '🏆 Vitrina de trofeos',
+        'achievements.summary': '{earned} de {total} conseguidos',
+        'achievements.earnedOn': 'Conseguido el {date}',
+        'achievements.locked': '🔒 Aún no conseguido',
+        'achievements.empty': 'Este quiz no tiene logros.',
+        'achievements.unlocked': '🏆 ¡Logro desbloqueado!',
+        'achievements.unlockedBy': '🏆 ¡{name} ha desbloqueado un logro!',
+        'achievements.streak': '🔥 {count} seguidas',
+        'achievements.streakDetail': { one: 'Acierta una pregunta.', other: 'Acierta {count} preguntas seguidas.' },
+        'achievements.perfectRound': '💯 Ronda perfecta',
+        'achievements.perfectRoundDetail': {
+            one: 'Acierta todas las preguntas de una ronda.',
+            other: 'Acierta todas las preguntas de una ronda de {count} o más.'
+        },
+        'achievements.answered': { one: '📚 Primera respuesta', other: '📚 {count} respuestas' },
+        'achievements.answeredDetail': { one: 'Responde una pregunta.', other: 'Responde {count} preguntas.' },
+        'achievements.correct': { one: '✅ Primer acierto', other: '✅ {count} aciertos' },
+        'achievements.correctDetail': { one: 'Acierta una pregunta.', other: 'Acierta {count} preguntas.' },
+        'achievements.mastery': '🎓 {count}% dominado',
+        'achievements.masteryDetail': 'Domina el {count}% de las preguntas.',
+        'achievements.daysInARow': { one: '📅 Primer día', other: '📅 {count} días seguidos' },
+        'achievements.daysInARowDetail': { one: 'Juega cualquier día.', other: 'Juega {count} días seguidos.' },
+        'achievements.dailyStreak': { one: '🗓️ Primer reto diario', other: '🗓️ Racha diaria de {count} días' },
+        'achievements.dailyStreakDetail': {
+            one: 'Completa un reto diario.',
+            other: 'Completa el reto diario {count} días seguidos.'
+        },
+
+        'report.button': '🚩 Informar de un problema',
+        'report.title': '🚩 Informar de un problema con esta pregunta',
+        'report.reason': '¿Qué falla?',
+        'report.wrongAnswer': 'La respuesta es incorrecta',
+        'report.typo': 'Hay una errata',
+        'report.ambiguous': 'La pregunta es ambigua',
+        'report.brokenLink': 'Un enlace no funciona',
+        'report.comment': '¿Algo más? (opcional)',
+        'report.cancel': 'Cancelar',
+        'report.send': 'Enviar',
+        'report.thanks': '✅ Enviado — ¡gracias!',
+        'report.failed': 'No se pudo guardar el informe: {error}',
+        'report.heading': 'Preguntas con problemas',
+        'report.summary': {
+            one: 'Has informado de {count} problema.',
+            other: 'Has informado de {count} problemas.'
+        },
+        'report.exportJson': 'Exportar informes (JSON)',
+        'report.exportCsv': 'Exportar informes (CSV)',
+
+        'analytics.share': '📊 Compartir estadísticas de juego anónimas',
+
+        'progress.export': 'Exportar progreso',
+        'progress.import': 'Importar progreso',
+        'progress.imported': {
+            one: 'Progreso importado para {name}: {count} pregunta dominada.',
+            other: 'Progreso importado para {name}: {count} preguntas dominadas.'
+        },
+        'progress.importFailed': 'No se pudo importar el progreso: {error}',
+        'progress.invalidJson': 'el archivo no es JSON válido.',
+        'progress.reset': 'Borrar todo el progreso',
+        'progress.confirmReset': '¿Seguro que quieres borrar TODO el progreso? No se puede deshacer.',
+
+        'error.download': 'No se pudieron descargar las preguntas ({reason}).',
+        'error.notSqlite': 'El archivo descargado no es una base de datos SQLite.',
+        'error.noQuestionsTable': 'La base de datos no tiene la tabla "questions".',
+        'error.missingColumns': 'A la tabla questions le faltan columnas obligatorias: {columns}.',
+        'error.nonePlayable': {
+            one: 'La única pregunta de la base de datos no se puede jugar.',
+            other: 'Ninguna de las {count} preguntas de la base de datos se puede jugar.'
+        },
+        'error.noQuestions': 'La base de datos no tiene preguntas.',
+        'error.notLoaded': 'Las preguntas aún no se han cargado.',
+        'error.emptyName': 'El nombre nuevo está vacío.',
+        'error.playing': '{name} está jugando ahora mismo.',
+        'error.nameTaken': 'Ya hay un jugador llamado {name}.',
+        'error.notProgressFile': 'Este archivo no es un progreso de quiz.',
+        'error.progressVersion': 'Versión de archivo de progreso no compatible: {version}.',
+        'error.otherQuiz': 'Este archivo de progreso es de otro quiz.',
+        'error.damagedProgress': 'El archivo de progreso está dañado o incompleto.',
+        'error.reportQuestion': 'Esa pregunta no está en este quiz.',
+        'error.reportReason': 'Motivo de informe desconocido: "{reason}".',
+        'error.playerCount': 'El multijugador necesita de {min} a {max} jugadores con nombres distintos.',
+        'error.multiplayerMode': 'Modo multijugador desconocido "{mode}".'
+    },
+
+    ar: {
+        loginHeading: 'أهلًا بك!',
+        usernameLabel: 'اكتب اسمك:',
+        usernamePlaceholder: 'اسمك...',
+        startButton: 'ابدأ الاختبار',
+        logoutButton: 'تغيير اللاعب',
+        playAgain: 'العب مرة أخرى',
+        correctMessage: '✨ إجابة صحيحة!',
+        funFactLabel: '📜 هل تعلم؟',
+
+        'streak.label': 'سلسلة!',
+        'login.language': 'اللغة:',
+        'login.topic': 'الموضوع:',
+        'login.allTopics': 'كل المواضيع',
+        'login.difficulty': 'الصعوبة:',
+        'login.anyDifficulty': 'أي صعوبة',
+        'login.length': 'الأسئلة:',
+        'login.lengthAll': 'الكل ({count})',
+        'login.loading': 'جارٍ تحميل الأسئلة...',
+        'login.loadFailed': 'تعذّر تحميل الأسئلة: {error}',
+        'login.skipped': {
+            one: '⚠️ استُبعد سؤال واحد معطوب من هذا الاختبار.',
+            two: '⚠️ استُبعد سؤالان معطوبان من هذا الاختبار.',
+            few: '⚠️ استُبعدت {count} أسئلة معطوبة من هذا الاختبار.',
+            many: '⚠️ استُبعد {count} سؤالًا معطوبًا من هذا الاختبار.',
+            other: '⚠️ استُبعد {count} سؤال معطوب من هذا الاختبار.'
+        },
+        'login.noMatch': 'لا توجد أسئلة تطابق هذا الموضوع وهذه الصعوبة.',
+        'daily.button': '📅 تحدي اليوم',
+        'resume.button': 'تابع لعبتك (السؤال {position} من {total})',
+        'resume.newGame': 'ابدأ لعبة جديدة',
+
+        'multiplayer.summary': '👥 العب مع أصدقائك (2–6 لاعبين)',
+        'multiplayer.addPlayer': '+ أضف لاعبًا',
+        'multiplayer.player': 'اللاعب {number}',
+        'multiplayer.playerName': 'اسم اللاعب {number}',
+        'multiplayer.removePlayer': 'احذف اللاعب {number}',
+        'multiplayer.mode': 'طريقة اللعب:',
+        'multiplayer.turns': 'بالتناوب',
+        'multiplayer.together': 'الجميع يجيب عن كل سؤال',
+        'multiplayer.start': 'ابدأ اللعب الجماعي',
+        'multiplayer.noMatch': 'لا توجد أسئلة كافية لهذا الموضوع وهذه الصعوبة لكل اللاعبين.',
+        'multiplayer.turn': '🎯 دور {name}',
+        'multiplayer.answerOf': 'إجابة {name}',
+        'multiplayer.lockedIn': '🔒 سُجّلت الإجابة! أعطِ الجهاز إلى {name}.',
+        'multiplayer.noAnswer': 'بلا إجابة',
+
+        'game.welcome': 'مرحبًا،',
+        'game.progress': 'تقدّم الجولة',
+        'game.questionNumber': 'السؤال {number} من {total}',
+        'game.typeAnswer': 'اكتب إجابتك...',
+        'game.selectAll': 'اختر كل الإجابات الصحيحة',
+        'game.audio': 'مقطع صوتي لهذا السؤال',
+        'game.checkAnswer': 'تحقّق من الإجابة',
+        'game.back': '→ رجوع',
+        'game.forward': 'تقدّم ←',
+        'game.nextQuestion': 'السؤال التالي ←',
+        'game.nextPlayer': 'اللاعب التالي ←',
+        'game.viewResults': 'اعرض النتائج 🏆',
+        'game.yourAnswerCorrect': '(إجابتك، صحيحة)',
+        'game.yourAnswerIncorrect': '(إجابتك، خاطئة)',
+        'game.correctAnswer': '(الإجابة الصحيحة)',
+        'game.true': 'صح',
+        'game.false': 'خطأ',
+
+        'result.label': 'نتيجة الإجابة',
+        'result.incorrect': '❌ إجابة خاطئة! الإجابة الصحيحة: {answer}',
+        'result.timeUp': '⏰ انتهى الوقت! الإجابة الصحيحة: {answer}',
+        'result.learnMore': '📖 اقرأ المزيد في ويكيبيديا ←',
+        'result.wikiLink': '[ويكي]',
+
+        'stats.score': 'النقاط',
+        'stats.answered': 'أُجيب عنها',
+        'stats.remaining': 'المتبقية',
+        'stats.accuracy': 'الدقة',
+        'stats.bestStreak': 'أفضل سلسلة',
+        'stats.daysPlayed': 'أيام اللعب',
+        'stats.mastered': 'المتقنة',
+        'stats.open': '📊 إحصاءاتي',
+        'stats.title': '📊 إحصاءاتك',
+        'stats.activity': 'النشاط — آخر 30 يومًا',
+        'stats.accuracyChart': 'الدقة — آخر 30 يومًا',
+        'stats.noActivity': '{day}: لا نشاط',
+        'stats.dayAnswered': '{day}: أُجيب عن {count}',
+        'stats.dayAccuracy': '{day}: {percent}% صحيحة',
+        'stats.hardest': 'أصعب الأسئلة',
+        'stats.hardestDetail': '{correct}/{answered} صحيحة',
+        'stats.hardestEmpty': 'لا شيء بعد — واصل اللعب!',
+        'stats.distractors': 'أكثر الإجابات الخاطئة اختيارًا',
+        'stats.distractorDetail': 'اختيرت {count}× في: {question}',
+        'stats.distractorsEmpty': 'لا إجابات خاطئة بعد!',
+
+        'completion.title': 'اكتملت الجولة!',
+        'completion.wellDone': 'أحسنت يا',
+        'completion.wellDoneEnd': '!',
+        'completion.mastered': 'المتقنة: {mastered}/{total} سؤالًا ({percent}%)',
+        'completion.points': '{points} نقطة',
+        'completion.correctAnswers': 'الإجابات الصحيحة',
+        'completion.speedBonus': '⚡ مكافأة السرعة',
+        'completion.streakBonus': '🔥 مكافأة السلسلة',
+        'completion.total': 'المجموع',
+
+        'daily.share': '{title} — تحدي اليوم {day}',
+        'daily.counted': 'عد غدًا لتحافظ على سلسلتك ({streak} يوم)! (الأفضل: {best})',
+        'daily.replayed': 'لعبت تحدي اليوم من قبل؛ الإعادة لا تُحسب في سلسلتك.',
+        'daily.copy': '📋 انسخ النتيجة',
+        'daily.copied': '✅ نُسخت!',
+        'daily.copyByHand': 'اضغط Ctrl+C للنسخ',
+
+        'review.mistakes': '📖 راجع أخطاءك',
+        'review.noMistakes': 'لا أخطاء في هذه الجولة!',
+        'review.missed': '📖 الأسئلة التي أخطأت فيها',
+        'review.noMissed': 'لا أسئلة أخطأت فيها — لا شيء للمراجعة!',
+        'review.practice': '🎯 تدرّب على نقاط ضعفي',
+        'review.noWeakSpots': 'لا نقاط ضعف للتدرّب عليها — أجبت آخر مرة إجابة صحيحة عن كل سؤال رأيته!',
+        'review.yourAnswer': 'إجابتك',
+        'review.pick': '❌ {who}: {answer}',
+        'review.noAnswer': '⏰ لم تُجب في الوقت',
+        'review.correct': '✅ الإجابة الصحيحة: {answer}',
+
+        'leaderboard.open': '🏅 لوحة الصدارة',
+        'leaderboard.player': 'اللاعب',
+        'leaderboard.bestRound': 'أفضل جولة',
+        'leaderboard.actions': 'إعادة التسمية أو الحذف',
+        'leaderboard.empty': 'لا لاعبين بعد — كن الأول!',
+        'leaderboard.rename': 'أعد تسمية {name}',
+        'leaderboard.delete': 'احذف {name}',
+        'leaderboard.newName': 'الاسم الجديد لـ {name}:',
+        'leaderboard.renameFailed': 'تعذّرت إعادة تسمية {name}: {error}',
+        'leaderboard.confirmDelete': 'أتريد حذف كل تقدّم {name}؟ لا يمكن التراجع عن ذلك.',
+        'leaderboard.deleteFailed': 'تعذّر حذف {name}: {error}',
+
+        'achievements.open': '🏆 الجوائز',
+        'achievements.title': '🏆 خزانة الجوائز',
+        'achievements.summary': 'حصلت على {earned} من {total}',
+        'achievements.earnedOn': 'حصلت عليه في {date}',
+        'achievements.locked': '🔒 لم تحصل عليه بعد',
+        'achievements.empty': 'لا توجد إنجازات في هذا الاختبار.',
+        'achievements.unlocked': '🏆 إنجاز جديد!',
+        'achievements.unlockedBy': '🏆 حقق {name} إنجازًا جديدًا!',
+        'achievements.streak': '🔥 {count} على التوالي',
+        'achievements.streakDetail': {
+            one: 'أجب عن سؤال إجابة صحيحة.',
+            few: 'أجب عن {count} أسئلة متتالية إجابة صحيحة.',
+            many: 'أجب عن {count} سؤالًا متتاليًا إجابة صحيحة.',
+            other: 'أجب عن {count} سؤال متتالٍ إجابة صحيحة.'
+        },
+        'achievements.perfectRound': '💯 جولة مثالية',
+        'achievements.perfectRoundDetail': {
+            one: 'أجب عن كل أسئلة جولة إجابة صحيحة.',
+            few: 'أجب عن كل أسئلة جولة من {count} أسئلة أو أكثر إجابة صحيحة.',
+            many: 'أجب عن كل أسئلة جولة من {count} سؤالًا أو أكثر إجابة صحيحة.',
+            other: 'أجب عن كل أسئلة جولة من {count} سؤال أو أكثر إجابة صحيحة.'
+        },
+        'achievements.answered': {
+            one: '📚 الإجابة الأولى',
+            few: '📚 {count} إجابات',
+            other: '📚 {count} إجابة'
+        },
+        'achievements.answeredDetail': {
+            one: 'أجب عن سؤال.',
+            few: 'أجب عن {count} أسئلة.',
+            many: 'أجب عن {count} سؤالًا.',
+            other: 'أجب عن {count} سؤال.'
+        },
+        'achievements.correct': {
+            one: '✅ أول إجابة صحيحة',
+            few: '✅ {count} إجابات صحيحة',
+            other: '✅ {count} إجابة صحيحة'
+        },
+        'achievements.correctDetail': {
+            one: 'أجب عن سؤال إجابة صحيحة.',
+            few: 'أجب عن {count} أسئلة إجابة صحيحة.',
+            many: 'أجب عن {count} سؤالًا إجابة صحيحة.',
+            other: 'أجب عن {count} سؤال إجابة صحيحة.'
+        },
+        'achievements.mastery': '🎓 إتقان {count}%',
+        'achievements.masteryDetail': 'أتقن {count}% من الأسئلة.',
+        'achievements.daysInARow': {
+            one: '📅 اليوم الأول',
+            few: '📅 {count} أيام متتالية',
+            many: '📅 {count} يومًا متتاليًا',
+            other: '📅 {count} يوم متتالٍ'
+        },
+        'achievements.daysInARowDetail': {
+            one: 'العب في أي يوم.',
+            few: 'العب {count} أيام متتالية.',
+            many: 'العب {count} يومًا متتاليًا.',
+            other: 'العب {count} يوم متتالٍ.'
+        },
+        'achievements.dailyStreak': {
+            one: '🗓️ أول تحدٍّ يومي',
+            few: '🗓️ تحدي اليوم {count} أيام متتالية',
+            many: '🗓️ تحدي اليوم {count} يومًا متتاليًا',
+            other: '🗓️ تحدي اليوم {count} يوم متتالٍ'
+        },
+        'achievements.dailyStreakDetail': {
+            one: 'أكمل تحدي اليوم مرة.',
+            few: 'أكمل تحدي اليوم {count} أيام متتالية.',
+            many: 'أكمل تحدي اليوم {count} يومًا متتاليًا.',
+            other: 'أكمل تحدي اليوم {count} يوم متتالٍ.'
+        },
+
+        'report.button': '🚩 أبلغ عن هذا السؤال',
+        'report.title': '🚩 أبلغ عن مشكلة في هذا السؤال',
+        'report.reason': 'ما المشكلة؟',
+        'report.wrongAnswer': 'الإجابة خاطئة',
+        'report.typo': 'يوجد خطأ إملائي',
+        'report.ambiguous': 'السؤال غامض',
+        'report.brokenLink': 'رابط لا يعمل',
+        'report.comment': 'هل تريد إضافة شيء؟ (اختياري)',
+        'report.cancel': 'إلغاء',
+        'report.send': 'أرسل البلاغ',
+        'report.thanks': '✅ تم الإبلاغ — شكرًا لك!',
+        'report.failed': 'تعذّر حفظ البلاغ: {error}',
+        'report.heading': 'الأسئلة المبلّغ عنها',
+        'report.summary': {
+            one: 'أبلغت عن مشكلة واحدة.',
+            two: 'أبلغت عن مشكلتين.',
+            few: 'أبلغت عن {count} مشكلات.',
+            many: 'أبلغت عن {count} مشكلة.',
+            other: 'أبلغت عن {count} مشكلة.'
+        },
+        'report.exportJson': 'صدّر البلاغات (JSON)',
+        'report.exportCsv': 'صدّر البلاغات (CSV)',
+
+        'analytics.share': '📊 شارك إحصاءات لعب مجهولة الهوية',
+
+        'progress.export': 'صدّر التقدّم',
+        'progress.import': 'استورد التقدّم',
+        'progress.imported': 'استُورد تقدّم {name}: {count} من الأسئلة المتقنة.',
+        'progress.importFailed': 'تعذّر استيراد التقدّم: {error}',
+        'progress.invalidJson': 'الملف ليس بصيغة JSON صالحة.',
+        'progress.reset': 'امسح كل التقدّم',
+        'progress.confirmReset': 'هل أنت متأكد أنك تريد مسح كل التقدّم؟ لا يمكن التراجع عن ذلك.',
+
+        'error.download': 'تعذّر تنزيل الأسئلة ({reason}).',
+        'error.notSqlite': 'الملف الذي نُزّل ليس قاعدة بيانات SQLite.',
+        'error.noQuestionsTable': 'قاعدة البيانات لا تحتوي على جدول "questions".',
+        'error.missingColumns': 'تنقص جدولَ questions أعمدةٌ مطلوبة: {columns}.',
+        'error.nonePlayable': 'لا يمكن لعب أي من أسئلة قاعدة البيانات ({count}).',
+        'error.noQuestions': 'لا توجد أسئلة في قاعدة البيانات.',
+        'error.notLoaded': 'لم يتم تحميل الأسئلة بعد.',
+        'error.emptyName': 'الاسم الجديد فارغ.',
+        'error.playing': '{name} يلعب الآن.',
+        'error.nameTaken': 'يوجد لاعب باسم {name} من قبل.',
+        'error.notProgressFile': 'هذا ليس ملف تقدّم للاختبار.',
+        'error.progressVersion': 'إصدار ملف التقدّم غير مدعوم: {version}.',
+        'error.otherQuiz': 'ملف التقدّم هذا لاختبار آخر.',
+        'error.damagedProgress': 'ملف التقدّم تالف أو ناقص.',
+        'error.reportQuestion': 'هذا السؤال ليس في هذا الاختبار.',
+        'error.reportReason': 'سبب بلاغ غير معروف: "{reason}".',
+        'error.playerCount': 'اللعب الجماعي يحتاج من {min} إلى {max} لاعبين بأسماء مختلفة.',
+        'error.multiplayerMode': 'نمط لعب جماعي غير معروف "{mode}".'
+    }
+};
+
+// 'es-MX' → 'es'
+function baseLanguage(locale) {
+    return String(locale).split('-')[0].toLowerCase();
+}
+
+// First of `preferred` (e.g. navigator.languages) that `available` offers: the same locale, else one in the same
+// language. Null when none match.
+function matchLocale(preferred, available) {
+    for (const wanted of preferred) {
+        if (!wanted) continue;
+        const exact = available.find(locale => locale.toLowerCase() === wanted.toLowerCase());
+        if (exact) return exact;
+        const sameLanguage = available.find(locale => baseLanguage(locale) === baseLanguage(wanted));
+        if (sameLanguage) return sameLanguage;
+    }
+    return null;
+}
+
+// Raw message for `key`: from `overrides` ({locale: {key: message}}) or the catalogs, for the locale and its
+// base language — then English unless `fallback` is false. Undefined when nothing has it.
+function findMessage(locale, key, overrides = {}, fallback = true) {
+    const locales = [locale, baseLanguage(locale)];
+    if (fallback) locales.push(FALLBACK_LOCALE);
+    for (const code of locales) {
+        for (const source of [overrides, LOCALE_CATALOGS]) {
+            const messages = source[code];
+            if (messages && messages[key] !== undefined) return messages[key];
+        }
+    }
+    return undefined;
+}
+
+// Pick the plural form for `params.count` and fill in the `{name}` placeholders (unknown ones are left as they are)
+function formatMessage(locale, message, params = {}) {
+    if (message && typeof message === 'object') {
+        let category = 'other';
+        try { category = new Intl.PluralRules(locale).select(params.count); } catch (e) { /* unknown locale */ }
+        message = message[category] !== undefined ? message[category] : message.other;
+    }
+    return String(message).replace(/\{(\w+)\}/g, (match, name) => params[name] !== undefined ? String(params[name]) : match);
+}
+
+// Message for `key` in `locale` (see findMessage), formatted with `params`; the key itself when no catalog has it
+function translate(locale, key, params = {}, overrides = {}) {
+    const message = findMessage(locale, key, overrides);
+    return message === undefined ? key : formatMessage(locale, message, params);
+}
+
+// 'rtl' for languages written right to left, else 'ltr'
+function localeDirection(locale) {
+    return RTL_LANGUAGES.includes(baseLanguage(locale)) ? 'rtl' : 'ltr';
+}
+
+const QuizI18n = {
+    FALLBACK_LOCALE,
+    LOCALE_CATALOGS,
+    baseLanguage,
+    matchLocale,
+    findMessage,
+    formatMessage,
+    translate,
+    localeDirection
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = QuizI18n;
+}
@@ -0,0 +1,116 @@
+/**
+ * Service worker for Beyblade X Quiz
+ *
+ * Generated by render.py — edit templates/sw.js.j2, not sites/<prefix>/sw.js.
+ *
+ * Makes the quiz installable and playable offline:
+ * - Pre-caches the page, engine, styles, sql.js, canvas-confetti and the question DB on install
+ * - Page navigations and the DB: network first, cached copy when offline
+ * - Everything else pre-cached, plus Google Fonts: served from cache, refreshed in the background
+ *
+ * The engine keeps its own IndexedDB copy of the DB and revalidates it with conditional
+ * requests; those pass straight through to the network.
+ */
+
+// Versioned by SW_CACHE_VERSION in render.py; this quiz's older caches are deleted on activate
+const CACHE_NAME = 'quizhive-beyblade-x-v2';
+
+const DB_URL = 'https://assets.quizhive.org/beyblade-x.db';
+// Site files are relative to this worker (the quiz's directory); shared assets are absolute
+const PRECACHE_URLS = [
+    "./",
+    "theme.css",
+    "manifest.webmanifest",
+    "https://fonts.googleapis.com/css2?family=Cinzel:wght@400;700;900&family=Spectral:ital,wght@0,400;1,400&display=swap",
+    "https://cdn.jsdelivr.net/npm/canvas-confetti@1.9.2/dist/confetti.browser.min.js",
+    "https://assets.quizhive.org/sql.js/sql-wasm.js",
+    "https://assets.quizhive.org/sql.js/sql-wasm.wasm",
+    "https://assets.quizhive.org/styles.css",
+    "https://assets.quizhive.org/quiz-i18n.js",
+    "https://assets.quizhive.org/quiz-analytics.js",
+    "https://assets.quizhive.org/quiz-core.js",
+    "https://assets.quizhive.org/quiz-engine.js",
+    "https://assets.quizhive.org/icon.svg",
+    "https://assets.quizhive.org/beyblade-x.db"
+].map(url => new URL(url, self.location).href);
+const RUNTIME_CACHE_ORIGINS = ['https://fonts.googleapis.com', 'https://fonts.gstatic.com'];
+
+// Fetch for the cache: CORS when the server allows it (needed for fetch() callers such as sql.js),
+// otherwise an opaque response that still works for <script> and <link> tags
+async function fetchForCache(url) {
+    try {
+        const response = await fetch(url, { mode: 'cors', credentials: 'omit' });
+        if (response.ok) return response;
+    } catch (e) { /* no CORS headers — retry opaque */ }
+    return fetch(url, { mode: 'no-cors' });
+}
+
+self.addEventListener('install', event => {
+    event.waitUntil((async () => {
+        const cache = await caches.open(CACHE_NAME);
+        await Promise.all(PRECACHE_URLS.map(async url => {
+            const response = await fetchForCache(url);
+            if (response.ok || response.type === 'opaque') await cache.put(url, response);
+        }));
+        await self.skipWaiting();
+    })());
+});
+
+self.addEventListener('activate', event => {
+    event.waitUntil((async () => {
+        const names = await caches.keys();
+        await Promise.all(names
+            .filter(name => name.startsWith('quizhive-beyblade-x-') && name !== CACHE_NAME)
+            .map(name => caches.delete(name)));
+        await self.clients.claim();
+    })());
+});
+
+// Network first, falling back to the cache (fresh responses are cached)
+async function networkFirst(request, cacheKey) {
+    const cache = await caches.open(CACHE_NAME);
+    try {
+        const response = await fetch(request);
+        if (response.ok) await cache.put(cacheKey, response.clone());
+        return response;
+    } catch (err) {
+        const cached = await cache.match(cacheKey);
+        if (cached) return cached;
+        throw err;
+    }
+}
+
+// Cached copy right away, refreshed from the network for next time
+async function staleWhileRevalidate(request) {
+    const cache = await caches.open(CACHE_NAME);
+    const cached = await cache.match(request, { ignoreVary: true });
+    const refresh = fetch(request)
+        .then(async response => {
+            if (response.ok || response.type === 'opaque') await cache.put(request, response.clone());
+            return response;
+        })
+        .catch(() => cached);
+    return cached || refresh;
+}
+
+self.addEventListener('fetch', event => {
+    const { request } = event;
+    if (request.method !== 'GET') return;
+    const url = new URL(request.url);
+
+    if (request.mode === 'navigate') {
+        event.respondWith(networkFirst(request, new URL('./', self.location).href));
+        return;
+    }
+
+    if (url.href === DB_URL) {
+        // Conditional revalidation requests from the engine go to the network as they are
+        if (request.headers.has('If-None-Match') || request.headers.has('If-Modified-Since')) return;
+        event.respondWith(networkFirst(request, DB_URL));
+        return;
+    }
+
+    if (PRECACHE_URLS.includes(url.href) || RUNTIME_CACHE_ORIGINS.includes(url.origin)) {
+        event.respondWith(staleWhileRevalidate(request));
+    }
+});
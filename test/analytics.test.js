@@ -0,0 +1,113 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const QuizAnalytics = require('../shared/quiz-analytics.js');
+const { buildDb, createStorage, createEngine, seedCache } = require('./helpers.js');
+
+// An adapter that keeps every batch it is given (or refuses them while `accept` is false)
+function recordingAdapter() {
+    const adapter = { batches: [], accept: true, send: batch => adapter.accept && adapter.batches.push(batch) > 0 };
+    return adapter;
+}
+
+describe('QuizAnalytics', () => {
+    it('sends events in batches, and keeps a refused batch for the next try', (t) => {
+        t.mock.timers.enable({ apis: ['setTimeout'] });
+        const adapter = recordingAdapter();
+        const analytics = new QuizAnalytics({ adapter, storage: createStorage(), doNotTrack: false, batchSize: 3, flushMs: 1000 });
+
+        analytics.track('answer', { questionId: 1 });
+        analytics.track('answer', { questionId: 2 });
+        assert.equal(adapter.batches.length, 0);
+        analytics.track('answer', { questionId: 3 });
+        assert.deepEqual(adapter.batches[0].events.map(event => event.questionId), [1, 2, 3]);
+        assert.equal(adapter.batches[0].visit, analytics.visit);
+
+        analytics.track('browseBack');
+        t.mock.timers.tick(1000);
+        assert.deepEqual(adapter.batches[1].events.map(event => event.name), ['browseBack'], 'a batch that doesn\'t fill goes out after flushMs');
+
+        adapter.accept = false;
+        analytics.track('sessionEnd');
+        assert.equal(analytics.flush(), false);
+        assert.equal(analytics.queue.length, 1);
+        adapter.accept = true;
+        t.mock.timers.tick(1000);
+        assert.equal(adapter.batches[2].events[0].name, 'sessionEnd');
+        assert.equal(analytics.queue.length, 0);
+    });
+
+    it('collects nothing under Do Not Track or after the player opts out', () => {
+        const adapter = recordingAdapter();
+        const storage = createStorage();
+        new QuizAnalytics({ adapter, storage, doNotTrack: true, batchSize: 1 }).track('answer');
+        assert.equal(adapter.batches.length, 0);
+
+        const analytics = new QuizAnalytics({ adapter, storage, doNotTrack: false, batchSize: 2 });
+        analytics.track('answer');
+        analytics.setOptOut(true);
+        assert.equal(analytics.queue.length, 0, 'opting out drops what was queued');
+        analytics.track('answer');
+        analytics.track('answer');
+        assert.equal(adapter.batches.length, 0);
+        assert.equal(new QuizAnalytics({ storage, doNotTrack: false }).isEnabled(), false, 'the opt-out is remembered');
+
+        assert.equal(QuizAnalytics.browserDoNotTrack({ doNotTrack: '1' }), true);
+        assert.equal(QuizAnalytics.browserDoNotTrack({ globalPrivacyControl: true }), true);
+        assert.equal(QuizAnalytics.browserDoNotTrack({ doNotTrack: 'unspecified' }, {}), false);
+    });
+});
+
+describe('engine analytics events', () => {
+    // A tracker that records [name, fields] without batching
+    function recordingTracker() {
+        const events = [];
+        return { events, track: (name, fields) => events.push([name, fields]) };
+    }
+
+    it('reports the DB load, session start and end, answers and browsing back', async () => {
+        const bytes = await buildDb([{}, {}]);
+        const analytics = recordingTracker();
+        const engine = createEngine({ bytes, analytics });
+        await engine.initDatabase();
+        engine.login('tester');
+        engine.beginSession({}, 2);
+        engine.selectAnswer(engine.currentCorrectShuffled[0]);
+        engine.nextQuestion();
+        engine.selectAnswer(null);
+        engine.goBack();
+        engine.goForward();
+        engine.nextQuestion();
+
+        assert.deepEqual(analytics.events.map(([name]) => name), ['dbLoaded', 'sessionStart', 'answer', 'answer', 'browseBack', 'sessionEnd']);
+        const [dbLoaded, sessionStart, firstAnswer, secondAnswer, browseBack, sessionEnd] = analytics.events.map(([, fields]) => fields);
+        assert.deepEqual([dbLoaded.cache, dbLoaded.questions, dbLoaded.quiz, dbLoaded.locale], ['miss', 2, 'test', 'en']);
+        assert.deepEqual([sessionStart.mode, sessionStart.questions, sessionStart.resumed], ['regular', 2, false]);
+        assert.deepEqual([firstAnswer.position, firstAnswer.correct, firstAnswer.timedOut], [0, true, false]);
+        assert.equal(typeof firstAnswer.latencyMs, 'number');
+        assert.deepEqual([secondAnswer.correct, secondAnswer.timedOut], [false, true]);
+        assert.deepEqual([browseBack.position, browseBack.from], [0, 1]);
+        assert.deepEqual([sessionEnd.completed, sessionEnd.answered, sessionEnd.correct], [true, 2, 1]);
+        assert.ok(!JSON.stringify(analytics.events).includes('tester'), 'no player names');
+    });
+
+    it('reports a cache hit, and a session left unfinished', async (t) => {
+        t.mock.method(console, 'warn', () => {});
+        const bytes = await buildDb([{}, {}]);
+        const analytics = recordingTracker();
+        const engine = createEngine({ bytes, analytics });
+        await seedCache(engine, bytes, 0);
+        await engine.initDatabase();
+        assert.equal(analytics.events[0][1].cache, 'hit');
+
+        engine.login('tester');
+        engine.beginDailySession();
+        engine.logout();
+        assert.deepEqual(analytics.events.at(-1), ['sessionEnd', {
+            quiz: 'test', locale: 'en', mode: 'daily', completed: false, answered: 0, correct: 0, questions: 2
+        }]);
+
+        engine.analytics = { track: () => { throw new Error('broken tracker'); } };
+        engine.beginSession({}, 1);
+        assert.equal(engine.sessionQuestions.length, 1, 'a failing tracker doesn\'t stop the game');
+    });
+});
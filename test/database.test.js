@@ -0,0 +1,392 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const { SHARED_DIR, loadSqlJs, bundledDb, buildDb, fakeFetch, createEngine, seedCache, cachedUrls, recordEvents } = require('./helpers.js');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe('initDatabase caching', () => {
+    it('downloads the DB and caches it with its validators when nothing is cached', async () => {
+        const bytes = await buildDb([{}, {}]);
+        const engine = createEngine({ fetch: fakeFetch(bytes, { etag: '"v1"', lastModified: 'Tue, 01 Sep 2026 10:00:00 GMT' }) });
+        const events = recordEvents(engine, ['loaded']);
+
+        await engine.initDatabase();
+
+        assert.equal(engine.fetch.calls, 1);
+        assert.deepEqual(engine.fetch.requests[0], {}, 'first download is unconditional');
+        assert.equal(engine.questions.length, 2);
+        assert.equal(events.length, 1);
+        assert.equal(await engine.revalidation, false);
+        const cached = await engine.getCachedDB();
+        assert.equal(cached.bytes.byteLength, bytes.byteLength);
+        assert.equal(cached.etag, '"v1"');
+        assert.equal(cached.lastModified, 'Tue, 01 Sep 2026 10:00:00 GMT');
+        assert.equal(cached.owner, 'test');
+    });
+
+    it('plays the cached copy and revalidates it with a conditional request', async () => {
+        const bytes = await buildDb([{}, {}, {}]);
+        const engine = createEngine({ fetch: fakeFetch(bytes, { etag: '"v1"' }) });
+        await seedCache(engine, bytes, 200 * DAY_MS, { etag: '"v1"', lastModified: 'Tue, 01 Sep 2026 10:00:00 GMT' });
+        const events = recordEvents(engine, ['loaded', 'bankUpdated']);
+
+        await engine.initDatabase();
+        assert.equal(engine.questions.length, 3);
+        assert.equal(await engine.revalidation, false);
+
+        assert.deepEqual(engine.fetch.requests[0], { 'If-None-Match': '"v1"', 'If-Modified-Since': 'Tue, 01 Sep 2026 10:00:00 GMT' });
+        assert.deepEqual(events.map(([name]) => name), ['loaded']);
+        const cached = await engine.getCachedDB();
+        assert.ok(Date.now() - cached.cachedAt < DAY_MS, 'a 304 marks the copy as checked');
+    });
+
+    it('swaps in a changed DB and keeps progress for questions that still exist', async () => {
+        const engine = createEngine({ fetch: fakeFetch(await buildDb([{}, { question: 'Fixed 2' }, {}, {}]), { etag: '"v2"' }) });
+        await seedCache(engine, await buildDb([{}, {}, {}]), DAY_MS, { etag: '"v1"' });
+        const events = recordEvents(engine, ['loaded', 'bankUpdated']);
+
+        await engine.initDatabase();
+        engine.login('tester');
+        engine.userStats.correctQuestions = [1, 2];
+        assert.equal(await engine.revalidation, true);
+
+        assert.deepEqual(events.map(([name, detail]) => [name, detail.questions.length]), [['loaded', 3], ['bankUpdated', 4]]);
+        assert.equal(engine.questionsById.get(2).question, 'Fixed 2');
+        assert.equal(engine.sessionResults().mastered, 2);
+        assert.equal((await engine.getCachedDB()).etag, '"v2"');
+    });
+
+    it('ignores a 200 response with the same bytes', async () => {
+        const bytes = await buildDb([{}, {}]);
+        const engine = createEngine({ fetch: fakeFetch(bytes) });
+        await seedCache(engine, bytes, DAY_MS);
+
+        await engine.initDatabase();
+
+        assert.equal(await engine.revalidation, false);
+        assert.equal(engine.pendingBank, null);
+    });
+
+    it('waits for the session in progress to end before swapping banks', async () => {
+        // The server answers only once the player has started
+        let release;
+        const gate = new Promise(resolve => { release = resolve; });
+        const serve = fakeFetch(await buildDb([{}, {}, {}, {}, {}]), { etag: '"v2"' });
+        const engine = createEngine({ fetch: async (url, init) => { await gate; return serve(url, init); } });
+        await seedCache(engine, await buildDb([{}, {}, {}]), DAY_MS);
+        const events = recordEvents(engine, ['bankUpdated']);
+
+        await engine.initDatabase();
+        engine.login('tester');
+        engine.beginSession({}, 2);
+        release();
+
+        assert.equal(await engine.revalidation, true);
+        assert.equal(engine.questions.length, 3, 'still playing the old bank');
+        for (let i = 0; i < 2; i++) {
+            engine.selectAnswer(0);
+            engine.nextQuestion();
+        }
+        assert.equal(events.length, 0);
+
+        engine.beginSession({}, 2);
+        assert.equal(events.length, 1);
+        assert.equal(engine.questions.length, 5);
+    });
+
+    it('swaps banks when the player picks Play Again', async () => {
+        let release;
+        const gate = new Promise(resolve => { release = resolve; });
+        const serve = fakeFetch(await buildDb([{}, {}, {}, {}, {}]), { etag: '"v2"' });
+        const engine = createEngine({ fetch: async (url, init) => { await gate; return serve(url, init); } });
+        await seedCache(engine, await buildDb([{}, {}, {}]), DAY_MS);
+        const events = recordEvents(engine, ['bankUpdated', 'sessionComplete']);
+
+        await engine.initDatabase();
+        engine.login('tester');
+        engine.beginSession({}, 'all');
+        release();
+
+        assert.equal(await engine.revalidation, true);
+        for (let i = 0; i < 3; i++) {
+            engine.selectAnswer(0);
+            engine.nextQuestion();
+        }
+        assert.deepEqual(events.map(([name]) => name), ['sessionComplete']);
+
+        engine.playAgain();
+        assert.equal(events.at(-1)[0], 'bankUpdated');
+        assert.equal(engine.questions.length, 5);
+        assert.equal(engine.sessionQuestions.length, 5, 'the new round draws from the new bank');
+    });
+
+    it('starts nothing on Play Again when the new bank has no questions for the topic', async () => {
+        let release;
+        const gate = new Promise(resolve => { release = resolve; });
+        const serve = fakeFetch(await buildDb([{ category: 'Heroes' }, { category: 'Heroes' }]), { etag: '"v2"' });
+        const engine = createEngine({ fetch: async (url, init) => { await gate; return serve(url, init); } });
+        await seedCache(engine, await buildDb([{ category: 'Gods' }, { category: 'Gods' }]), DAY_MS);
+
+        await engine.initDatabase();
+        engine.login('tester');
+        engine.beginSession({ category: 'Gods' }, 1);
+        release();
+        assert.equal(await engine.revalidation, true);
+        engine.selectAnswer(0);
+        engine.nextQuestion();
+
+        const events = recordEvents(engine, ['questionShown', 'sessionComplete']);
+        assert.equal(engine.playAgain(), false);
+        assert.deepEqual(events, []);
+        assert.equal(engine.isSessionInProgress(), false);
+    });
+
+    it('keeps playing the cached copy when revalidation fails', async (t) => {
+        const warn = t.mock.method(console, 'warn', () => {});
+        const engine = createEngine({ fetch: fakeFetch(new Error('offline')) });
+        await seedCache(engine, await buildDb([{}, {}]), 200 * DAY_MS);
+
+        await engine.initDatabase();
+
+        assert.equal(engine.questions.length, 2);
+        assert.equal(await engine.revalidation, false);
+        assert.equal(engine.fetch.calls, 1);
+        assert.equal(warn.mock.callCount(), 1);
+    });
+
+    it('rejects with the HTTP status when nothing is cached', async () => {
+        const fetch = async () => ({ ok: false, status: 404, statusText: 'Not Found', headers: new Headers() });
+        await assert.rejects(createEngine({ fetch }).initDatabase(), /404 Not Found/);
+    });
+
+    it('rejects when the download fails and nothing is cached', async () => {
+        const engine = createEngine({ fetch: fakeFetch(new Error('offline')) });
+        const events = recordEvents(engine, ['loaded']);
+
+        await assert.rejects(engine.initDatabase(), /offline/);
+        assert.equal(events.length, 0);
+    });
+
+    it('downloads again when the cached copy is unusable', async (t) => {
+        t.mock.method(console, 'warn', () => {});
+        const engine = createEngine({ bytes: await buildDb([{}]) });
+        await seedCache(engine, new Uint8Array(64).buffer, DAY_MS);
+
+        await engine.initDatabase();
+
+        assert.equal(engine.fetch.calls, 1);
+        assert.equal(engine.questions.length, 1);
+    });
+
+    it("evicts this quiz's old DB URLs and other quizzes' long-unchecked copies", async () => {
+        const engine = createEngine({ bytes: await buildDb([{}]) });
+        const bytes = await buildDb([{}]);
+        await seedCache(engine, bytes, DAY_MS, {}, 'https://assets.example.org/test-old.db');
+        await seedCache(engine, bytes, DAY_MS, { owner: 'other' }, 'https://assets.example.org/other.db');
+        await seedCache(engine, bytes, 100 * DAY_MS, { owner: 'gone' }, 'https://assets.example.org/gone.db');
+
+        await engine.initDatabase();
+        assert.deepEqual(await engine.evictCachedDBs(), []);
+
+        assert.deepEqual((await cachedUrls(engine)).sort(), ['https://assets.example.org/other.db', 'https://assets.example.org/test.db']);
+    });
+});
+
+describe('sql.js location', () => {
+    async function wasmUrl(options) {
+        let locateFile;
+        const engine = createEngine(Object.assign({
+            bytes: await buildDb([{}]),
+            initSqlJs: config => { locateFile = config.locateFile; return loadSqlJs(); }
+        }, options));
+        await engine.initDatabase();
+        return locateFile('sql-wasm.wasm');
+    }
+
+    it('defaults to cdnjs', async () => {
+        assert.equal(await wasmUrl({}), 'https://cdnjs.cloudflare.com/ajax/libs/sql.js/1.11.0/sql-wasm.wasm');
+    });
+
+    it('can be served from our own assets', async () => {
+        assert.equal(await wasmUrl({ sqlJsPath: '/assets/sql.js/' }), '/assets/sql.js/sql-wasm.wasm');
+    });
+});
+
+describe('question bank validation', () => {
+    async function dbFromSql(sql) {
+        const SQL = await loadSqlJs();
+        const db = new SQL.Database();
+        db.run(sql);
+        const bytes = db.export();
+        db.close();
+        return bytes.buffer;
+    }
+
+    it('rejects a DB without a questions table', async () => {
+        const engine = createEngine({ bytes: await dbFromSql('CREATE TABLE quiz (id INTEGER)') });
+        await assert.rejects(engine.initDatabase(), /no "questions" table/);
+    });
+
+    it('names the required columns a DB is missing', async () => {
+        const engine = createEngine({ bytes: await dbFromSql('CREATE TABLE questions (id INTEGER, question TEXT, option_a TEXT, option_b TEXT)') });
+        await assert.rejects(engine.initDatabase(), /missing required columns: option_c, option_d, correct/);
+    });
+
+    it('rejects a file that is not SQLite', async () => {
+        const engine = createEngine({ bytes: new TextEncoder().encode('<!doctype html><title>Not found</title>'.repeat(20)).buffer });
+        await assert.rejects(engine.initDatabase(), /not a SQLite database/);
+    });
+
+    it('loads a DB without the fun_fact and wiki_url columns', async () => {
+        const engine = createEngine({ bytes: await dbFromSql(`
+            CREATE TABLE questions (id INTEGER, question TEXT, option_a TEXT, option_b TEXT, option_c TEXT, option_d TEXT, correct INTEGER);
+            INSERT INTO questions VALUES (1, 'Q', 'A', 'B', 'C', 'D', 2);`) });
+        await engine.initDatabase();
+        assert.deepEqual(engine.questions[0].correct, [2]);
+        assert.equal(engine.questions[0].funFact, '');
+    });
+
+    it('skips unplayable rows and reports them', async (t) => {
+        t.mock.method(console, 'warn', () => {});
+        const engine = createEngine({ bytes: await buildDb([
+            {},
+            { correct: 4 },
+            { options: ['A', 'B', null, 'D'], correct: 2 },
+            { options: ['Yes', 'yes ', 'No', 'Maybe'] },
+            { question: '' },
+            { options: ['A', null, null, null] },
+            { type: 'truefalse', options: [null, null, null, null], correct: 1 },
+            { options: ['A', 'B', 'C', null], correct: '0,5', type: 'multi' }
+        ]) });
+        const events = recordEvents(engine, ['loaded']);
+
+        await engine.initDatabase();
+
+        assert.deepEqual(engine.questions.map(q => q.id), [1, 7]);
+        assert.deepEqual(engine.loadReport.skipped.map(({ id, reason }) => [id, reason]), [
+            [2, 'correct answer out of range (4 options)'],
+            [3, 'correct answer out of range (3 options)'],
+            [4, 'duplicate options'],
+            [5, 'missing question text'],
+            [6, 'only 1 option(s)'],
+            [8, 'correct answer out of range (3 options)']
+        ]);
+        assert.equal(engine.loadReport.total, 8);
+        assert.equal(events[0][1].skipped, engine.loadReport.skipped);
+    });
+
+    it('warns about duplicate questions but keeps both', async (t) => {
+        const warn = t.mock.method(console, 'warn', () => {});
+        const engine = createEngine({ bytes: await buildDb([{ question: 'Who is king of the gods?' }, { question: 'who is  King of the gods? ' }]) });
+
+        await engine.initDatabase();
+
+        assert.equal(engine.questions.length, 2);
+        assert.deepEqual(engine.loadReport.warnings, ['Question 2 duplicates question 1']);
+        assert.equal(warn.mock.callCount(), 1);
+    });
+
+    it('fails when no row can be played', async (t) => {
+        t.mock.method(console, 'warn', () => {});
+        const engine = createEngine({ bytes: await buildDb([{ correct: 7 }, { correct: -1 }]) });
+        await assert.rejects(engine.initDatabase(), /None of the 2 questions/);
+    });
+
+    it('reads question media, option images and media stored in the DB', async (t) => {
+        const warn = t.mock.method(console, 'warn', () => {});
+        const engine = createEngine({ bytes: await dbFromSql(`
+            CREATE TABLE questions (id INTEGER, question TEXT, option_a TEXT, option_b TEXT, option_c TEXT, option_d TEXT,
+                correct INTEGER, image TEXT, image_alt TEXT, audio TEXT, code TEXT);
+            INSERT INTO questions VALUES (1, 'Which part is this?', 'A', 'B', 'C', 'D', 0, 'dranzer', 'A blue attack ring', 'media/launch.mp3', NULL);
+            INSERT INTO questions VALUES (2, 'What does this print?', '1', '2', NULL, NULL, 1, 'media/chart.png', NULL, NULL, 'print(1 + 1)');
+            CREATE TABLE options (question_id INTEGER, position INTEGER, text TEXT, is_correct INTEGER, image TEXT);
+            INSERT INTO options VALUES (1, 0, 'Dranzer', 1, 'media/dranzer.webp'), (1, 1, 'Driger', 0, NULL);
+            CREATE TABLE media (name TEXT PRIMARY KEY, type TEXT, data BLOB);
+            INSERT INTO media VALUES ('dranzer', 'image/png', X'89504E47');`) });
+
+        await engine.initDatabase();
+
+        const [first, second] = engine.questions;
+        assert.deepEqual([first.image, first.imageAlt, first.audio, first.optionImages], ['dranzer', 'A blue attack ring', 'media/launch.mp3', ['media/dranzer.webp', '']]);
+        assert.deepEqual([second.code, second.optionImages], ['print(1 + 1)', ['', '']]);
+        assert.deepEqual(engine.loadReport.warnings, ['Question 2 has an image without alt text']);
+        assert.equal(warn.mock.callCount(), 1);
+
+        assert.deepEqual((await engine.mediaCaching).sort(), [
+            'https://assets.example.org/media/chart.png',
+            'https://assets.example.org/media/dranzer.webp',
+            'https://assets.example.org/media/launch.mp3'
+        ]);
+        assert.deepEqual(await engine.cacheMedia(), [], 'already cached');
+
+        const blob = await engine.mediaSrc('dranzer');
+        assert.match(blob, /^blob:/);
+        assert.equal(await engine.mediaSrc('dranzer'), blob);
+        assert.match(await engine.mediaSrc('media/chart.png'), /^blob:/, 'linked media play from the cached copy');
+        assert.equal(await engine.mediaSrc('media/missing.png'), 'https://assets.example.org/media/missing.png');
+        assert.equal(await engine.mediaSrc('javascript:alert(1)'), null);
+    });
+
+    it('picks each question\'s row and options in the language being played', async () => {
+        const engine = createEngine({ languages: ['es-MX'], theme: { locales: ['en', 'es'] }, bytes: await dbFromSql(`
+            CREATE TABLE questions (id INTEGER, locale TEXT, question TEXT, option_a TEXT, option_b TEXT, option_c TEXT, option_d TEXT,
+                correct INTEGER, PRIMARY KEY (id, locale));
+            INSERT INTO questions VALUES (1, NULL, 'Who rules Olympus?', 'Zeus', 'Hera', NULL, NULL, 0);
+            INSERT INTO questions VALUES (1, 'es', '¿Quién gobierna el Olimpo?', 'Zeus', 'Hera', NULL, NULL, 0);
+            INSERT INTO questions VALUES (1, 'fr', 'Qui règne sur l''Olympe ?', 'Zeus', 'Héra', NULL, NULL, 0);
+            INSERT INTO questions VALUES (2, 'en', 'Who is the god of the sea?', 'A', 'B', NULL, NULL, 0);
+            CREATE TABLE options (question_id INTEGER, position INTEGER, text TEXT, is_correct INTEGER, locale TEXT);
+            INSERT INTO options VALUES (2, 0, 'Poseidon', 1, NULL), (2, 1, 'Ares', 0, NULL), (2, 0, 'Poseidón', 1, 'es'), (2, 1, 'Ares', 0, 'es');`) });
+
+        await engine.initDatabase();
+        assert.equal(engine.locale, 'es');
+        assert.deepEqual(engine.questions.map(q => q.question), ['¿Quién gobierna el Olimpo?', 'Who is the god of the sea?'],
+            'untranslated questions play in the quiz\'s own language');
+        assert.deepEqual(engine.questionsById.get(2).options, ['Poseidón', 'Ares']);
+        assert.deepEqual(engine.loadReport.skipped, []);
+
+        await engine.setLocale('en');
+        assert.deepEqual(engine.questions.map(q => q.question), ['Who rules Olympus?', 'Who is the god of the sea?']);
+        assert.deepEqual(engine.questionsById.get(2).options, ['Poseidon', 'Ares']);
+    });
+
+    it('keeps the cached bank when the new download is broken', async (t) => {
+        t.mock.method(console, 'warn', () => {});
+        const engine = createEngine({ bytes: await buildDb([{ correct: 9 }]) });
+        await seedCache(engine, await buildDb([{}, {}]), DAY_MS);
+
+        await engine.initDatabase();
+
+        assert.equal(await engine.revalidation, false);
+        assert.equal(engine.questions.length, 2);
+        assert.deepEqual(engine.loadReport.skipped, []);
+    });
+});
+
+describe('bundled question banks', () => {
+    const dbFiles = fs.readdirSync(SHARED_DIR).filter(name => name.endsWith('.db'));
+
+    it('ships at least one DB', () => {
+        assert.ok(dbFiles.length > 0);
+    });
+
+    for (const name of dbFiles) {
+        it(`${name} loads into a playable bank`, async () => {
+            const engine = createEngine({ bytes: bundledDb(name) });
+            await engine.initDatabase();
+
+            assert.ok(engine.questions.length > 0, 'has questions');
+            assert.deepEqual(engine.loadReport.skipped, [], 'every row is playable');
+            assert.equal(engine.questionsById.size, engine.questions.length, 'ids are unique');
+            for (const q of engine.questions) {
+                assert.ok(q.question, `question ${q.id} has text`);
+                if (q.type === 'text') continue;
+                assert.ok(q.options.length >= 2, `question ${q.id} has at least two options`);
+                assert.ok(q.options.every(option => option), `question ${q.id} has no empty options`);
+                assert.ok(q.correct.length > 0, `question ${q.id} has a correct answer`);
+                assert.ok(q.correct.every(i => i >= 0 && i < q.options.length), `question ${q.id} correct index in range`);
+            }
+        });
+    }
+});
@@ -0,0 +1,909 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { DEFAULT_THEME, dayKey, previousDayKey, daysInARow, csvField, mergeUserData, newUserData, isFuzzyMatch } = require('../shared/quiz-core.js');
+const { translate, localeDirection } = require('../shared/quiz-i18n.js');
+const { buildDb, createEngine, loadedEngine, cachedUrls, recordEvents } = require('./helpers.js');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const sorted = ids => [...ids].sort((a, b) => a - b);
+
+// Ten plain four-option questions, ids 1-10, option A correct
+const TEN_QUESTIONS = Array.from({ length: 10 }, () => ({}));
+
+describe('selectSessionQuestions', () => {
+    it('fills buckets in order: unseen, then incorrect, then correct', async () => {
+        const engine = await loadedEngine(TEN_QUESTIONS);
+        engine.userStats.seenQuestions = [1, 2, 3, 4, 5, 6, 7];
+        engine.userStats.correctQuestions = [5, 6, 7];
+        engine.sessionLength = 3;
+        assert.deepEqual(sorted(engine.selectSessionQuestions()), [8, 9, 10]);
+
+        engine.sessionLength = 5;
+        const withIncorrect = engine.selectSessionQuestions();
+        assert.deepEqual(sorted(withIncorrect.filter(id => id >= 8)), [8, 9, 10]);
+        assert.equal(withIncorrect.filter(id => id <= 4).length, 2);
+
+        engine.sessionLength = 9;
+        const withCorrect = engine.selectSessionQuestions();
+        assert.deepEqual(sorted(withCorrect.filter(id => id <= 4)), [1, 2, 3, 4]);
+        assert.equal(withCorrect.filter(id => id >= 5 && id <= 7).length, 2);
+    });
+
+    it('returns the whole bank when it is smaller than the session', async () => {
+        const engine = await loadedEngine('sample-quiz.db');
+        engine.sessionLength = 20;
+        assert.equal(engine.selectSessionQuestions().length, 3);
+        engine.sessionLength = Infinity;
+        assert.equal(engine.selectSessionQuestions().length, 3);
+    });
+
+    it('only draws from the chosen category and difficulty', async () => {
+        const engine = await loadedEngine([
+            { category: 'Gods', difficulty: '1' },
+            { category: 'Gods', difficulty: '2' },
+            { category: 'Heroes', difficulty: '1' },
+            { category: 'Heroes', difficulty: '2' }
+        ]);
+        assert.equal(engine.beginSession({ category: 'Gods' }, 10), true);
+        assert.deepEqual(sorted(engine.sessionQuestions), [1, 2]);
+        assert.equal(engine.beginSession({ category: 'Heroes', difficulty: '2' }, 10), true);
+        assert.deepEqual(engine.sessionQuestions, [4]);
+        assert.equal(engine.beginSession({ category: 'Monsters' }, 10), false);
+    });
+
+    it('spaced mode picks due cards (most overdue first), then unseen, then not-yet-due', async () => {
+        const engine = await loadedEngine(TEN_QUESTIONS, { theme: { selectionMode: 'spaced' } });
+        const now = Date.now();
+        const card = due => ({ ease: 2.5, interval: 1, reps: 1, lapses: 0, due });
+        engine.userStats.seenQuestions = [1, 2, 3, 4, 5, 6];
+        engine.userStats.srs = {
+            1: card(now - 3 * DAY_MS),
+            2: card(now - DAY_MS),
+            3: card(now + DAY_MS),
+            4: card(now + 5 * DAY_MS),
+            5: card(now + 2 * DAY_MS)
+            // 6: seen before the scheduler existed — counts as due
+        };
+
+        engine.sessionLength = 2;
+        assert.deepEqual(sorted(engine.selectSessionQuestions()), [1, 6]);
+        engine.sessionLength = 3;
+        assert.deepEqual(sorted(engine.selectSessionQuestions()), [1, 2, 6]);
+        engine.sessionLength = 7;
+        assert.deepEqual(sorted(engine.selectSessionQuestions()), [1, 2, 6, 7, 8, 9, 10]);
+        engine.sessionLength = 8;
+        assert.ok(engine.selectSessionQuestions().includes(3), 'soonest not-yet-due card comes next');
+    });
+});
+
+describe('selectAnswer', () => {
+    it('updates session, lifetime stats, SM-2 card and history for a correct answer', async () => {
+        const engine = await loadedEngine(TEN_QUESTIONS);
+        const events = recordEvents(engine, ['answered']);
+        engine.beginSession({}, 5);
+        const questionId = engine.currentQuestionId;
+
+        engine.selectAnswer(engine.currentCorrectShuffled[0]);
+
+        assert.equal(engine.sessionScore, 1);
+        assert.equal(engine.sessionAnswered, 1);
+        assert.equal(engine.streak, 1);
+        assert.deepEqual(engine.userStats.seenQuestions, [questionId]);
+        assert.deepEqual(engine.userStats.correctQuestions, [questionId]);
+        assert.equal(engine.userStats.totalCorrect, 1);
+        assert.equal(engine.userStats.totalAnswered, 1);
+        assert.equal(engine.userStats.srs[questionId].reps, 1);
+        assert.equal(engine.userStats.srs[questionId].interval, 1);
+        assert.deepEqual(engine.userStats.history.questions[questionId], [1, 1]);
+        assert.equal(engine.userStats.history.log.length, 1);
+
+        assert.equal(events.length, 1);
+        const { position, entry } = events[0][1];
+        assert.equal(position, 0);
+        assert.equal(entry.questionId, questionId);
+        assert.equal(entry.isCorrect, true);
+        assert.deepEqual(engine.answerHistory[0], entry);
+
+        const saved = JSON.parse(engine.storage.getItem('test_tester'));
+        assert.equal(saved.totalAnswered, 1);
+        assert.equal(saved.activeSession.answered, 1);
+    });
+
+    it('resets the streak and un-masters a question answered wrong', async () => {
+        const engine = await loadedEngine(TEN_QUESTIONS);
+        engine.beginSession({}, 5);
+        const questionId = engine.currentQuestionId;
+        engine.userStats.correctQuestions = [questionId];
+        engine.streak = 4;
+
+        const wrong = engine.currentShuffledOptions.findIndex(i => i !== 0);
+        engine.selectAnswer(wrong);
+
+        assert.equal(engine.sessionScore, 0);
+        assert.equal(engine.streak, 0);
+        assert.deepEqual(engine.userStats.correctQuestions, []);
+        assert.deepEqual(engine.userStats.seenQuestions, [questionId]);
+        assert.equal(engine.userStats.totalCorrect, 0);
+        assert.equal(engine.userStats.totalAnswered, 1);
+        assert.deepEqual(engine.userStats.history.distractors[questionId], { [engine.currentShuffledOptions[wrong]]: 1 });
+    });
+
+    it('ignores a second answer to the same question', async () => {
+        const engine = await loadedEngine(TEN_QUESTIONS);
+        engine.beginSession({}, 5);
+        engine.selectAnswer(0);
+        engine.selectAnswer(1);
+        assert.equal(engine.sessionAnswered, 1);
+        assert.equal(engine.userStats.totalAnswered, 1);
+    });
+
+    it('emits sessionComplete with the results after the last question', async () => {
+        const engine = await loadedEngine('sample-quiz.db');
+        const events = recordEvents(engine, ['questionShown', 'sessionComplete']);
+        engine.beginSession({}, 20);
+        while (!engine.isSessionOver()) {
+            engine.selectAnswer(engine.currentCorrectShuffled[0]);
+            engine.nextQuestion();
+        }
+
+        assert.equal(events.filter(([name]) => name === 'questionShown').length, 3);
+        const [name, results] = events[events.length - 1];
+        assert.equal(name, 'sessionComplete');
+        assert.equal(results.score, 3);
+        assert.equal(results.total, 3);
+        assert.equal(results.percentage, 100);
+        assert.equal(results.rank, engine.theme.ranks[0].label);
+        assert.equal(engine.userStats.activeSession, null);
+    });
+});
+
+describe('question types', () => {
+    it('accepts typed answers with a typo or two, ignoring case, accents and a leading article', () => {
+        assert.equal(isFuzzyMatch('poseidn', 'Poseidon'), true);
+        assert.equal(isFuzzyMatch('the odyssey', 'Odyssey'), true);
+        assert.equal(isFuzzyMatch('Helene', 'Hélène'), true);
+        assert.equal(isFuzzyMatch('Hermes', 'Hera'), false);
+        assert.equal(isFuzzyMatch('   ', 'Hera'), false);
+    });
+
+    it('grades a typed answer against every accepted spelling', async () => {
+        const engine = await loadedEngine([{ type: 'text', options: ['Poseidon', 'Neptune', null, null] }]);
+        engine.beginSession({}, 1);
+        engine.selectAnswer('neptun');
+        assert.equal(engine.answerHistory[0].isCorrect, true);
+    });
+
+    it('counts a pick-all-that-apply answer correct only with exactly the right options', async () => {
+        const MULTI = Array.from({ length: 3 }, () => ({ type: 'multi', correct: '0,2' }));
+        const engine = await loadedEngine(MULTI);
+        engine.beginSession({}, 3);
+        const wrongOption = () => [0, 1, 2, 3].find(i => !engine.currentCorrectShuffled.includes(i));
+
+        engine.selectAnswer([engine.currentCorrectShuffled[0]]);
+        engine.nextQuestion();
+        engine.selectAnswer([...engine.currentCorrectShuffled, wrongOption()]);
+        engine.nextQuestion();
+        engine.selectAnswer([...engine.currentCorrectShuffled].reverse());
+
+        assert.deepEqual(engine.answerHistory.map(entry => entry.isCorrect), [false, false, true]);
+        assert.equal(engine.sessionScore, 1);
+    });
+
+    it('needs numbers to match exactly, whatever the thousands separator', () => {
+        for (const typed of ['1000', '1,000', '1 000', '1\u202f000']) assert.equal(isFuzzyMatch(typed, '1000'), true, typed);
+        assert.equal(isFuzzyMatch('1000000', '1,000,000'), true);
+        assert.equal(isFuzzyMatch('1001', '1000'), false);
+        assert.equal(isFuzzyMatch('100', '1,000'), false);
+        assert.equal(isFuzzyMatch('3.14', '314'), false, 'a decimal point is not a separator');
+    });
+});
+
+describe('timed mode', () => {
+    it('scores base points, a speed bonus and a streak bonus, and times out as a wrong answer', async (t) => {
+        const engine = await loadedEngine(TEN_QUESTIONS, { theme: { timeLimit: 10 } });
+        t.mock.timers.enable({ apis: ['setInterval', 'Date'], now: 0 });
+        const events = recordEvents(engine, ['answered', 'sessionComplete']);
+        engine.beginSession({}, 3);
+
+        t.mock.timers.tick(5000);
+        engine.selectAnswer(engine.currentCorrectShuffled[0]);
+        assert.deepEqual(engine.answerHistory[0].points, { base: 100, speed: 25, streak: 0 });
+
+        engine.nextQuestion();
+        engine.selectAnswer(engine.currentCorrectShuffled[0]);
+        assert.deepEqual(engine.answerHistory[1].points, { base: 100, speed: 50, streak: 15 }, 'second in a row: x1.1');
+
+        engine.nextQuestion();
+        t.mock.timers.tick(10000);
+        assert.equal(engine.answerHistory[2].isCorrect, false, 'ran out of time');
+        assert.deepEqual(engine.answerHistory[2].points, { base: 0, speed: 0, streak: 0 });
+        assert.equal(engine.streak, 0);
+
+        engine.nextQuestion();
+        assert.deepEqual(engine.sessionPoints, { base: 200, speed: 75, streak: 15 });
+        assert.equal(engine.totalPoints(engine.sessionPoints), 290);
+        assert.equal(events.filter(([name]) => name === 'answered').length, 3);
+        assert.equal(events.at(-1)[1].points.total, 290);
+    });
+
+    it('gives no points when untimed', async () => {
+        const engine = await loadedEngine(TEN_QUESTIONS);
+        engine.beginSession({}, 1);
+        engine.selectAnswer(engine.currentCorrectShuffled[0]);
+        assert.equal(engine.totalPoints(engine.sessionPoints), 0);
+        assert.equal(engine.sessionScore, 1);
+    });
+});
+
+describe('goBack / goForward', () => {
+    it('browses answered questions and returns to the open one', async () => {
+        const engine = await loadedEngine(TEN_QUESTIONS);
+        engine.beginSession({}, 5);
+        for (let i = 0; i < 3; i++) {
+            engine.selectAnswer(0);
+            engine.nextQuestion();
+        }
+        const openQuestion = engine.currentQuestionId;
+        const events = recordEvents(engine, ['reviewShown', 'questionShown']);
+
+        assert.equal(engine.canGoForward(), false);
+        engine.goBack();
+        engine.goBack();
+        assert.equal(engine.viewingIndex, 1);
+        assert.equal(engine.browseReturnPosition, 3);
+        assert.deepEqual(events.map(([name, detail]) => [name, detail.position]), [['reviewShown', 2], ['reviewShown', 1]]);
+        assert.equal(events[1][1].entry, engine.answerHistory[1]);
+        assert.equal(engine.canGoNext(), false);
+
+        // Answering is not possible while browsing
+        engine.selectAnswer(0);
+        assert.equal(engine.sessionAnswered, 3);
+
+        engine.goForward();
+        assert.equal(engine.viewingIndex, 2);
+        assert.equal(engine.canGoForward(), true);
+        engine.goForward();
+        assert.equal(engine.viewingIndex, 3);
+        assert.equal(engine.browseReturnPosition, null);
+        assert.deepEqual(events.slice(2).map(([name, detail]) => [name, detail.position]), [['reviewShown', 2], ['questionShown', 3]]);
+        assert.equal(engine.currentQuestionId, openQuestion);
+    });
+
+    it('returns to the latest result when browsing started from it', async () => {
+        const engine = await loadedEngine(TEN_QUESTIONS);
+        engine.beginSession({}, 5);
+        engine.selectAnswer(0);
+        engine.nextQuestion();
+        engine.selectAnswer(0);
+
+        engine.goBack();
+        assert.equal(engine.viewingIndex, 0);
+        engine.goForward();
+        assert.equal(engine.viewingIndex, 1);
+        assert.equal(engine.canGoNext(), true);
+        assert.equal(engine.sessionAnswered, 2);
+    });
+
+    it('cannot go back while a timed question is open', async () => {
+        const engine = await loadedEngine(TEN_QUESTIONS, { theme: { timeLimit: 30 } });
+        engine.beginSession({}, 5);
+        engine.selectAnswer(0);
+        assert.equal(engine.canGoBack(), false, 'first question has nothing before it');
+        engine.nextQuestion();
+        assert.equal(engine.canGoBack(), false);
+        engine.selectAnswer(0);
+        assert.equal(engine.canGoBack(), true);
+        engine.stopTimer();
+    });
+});
+
+describe('multiplayer', () => {
+    // Answer the open question correctly (or with a wrong option) and move on
+    function answer(engine, correct) {
+        const wrong = [0, 1, 2, 3].find(i => !engine.currentCorrectShuffled.includes(i));
+        engine.selectAnswer(correct ? engine.currentCorrectShuffled[0] : wrong);
+        engine.nextQuestion();
+    }
+
+    it('rejects fewer than two, more than six or duplicate players', async () => {
+        const engine = await loadedEngine(TEN_QUESTIONS);
+        for (const names of [['Ann'], ['A', 'B', 'C', 'D', 'E', 'F', 'G'], ['Ann', 'ann'], ['Ann', ' ']]) {
+            assert.throws(() => engine.beginMultiplayerSession(names, 'turns', {}, 3), /2 to 6 players/);
+        }
+        assert.equal(engine.multiplayer, null);
+    });
+
+    it('leaves the signed-in player and their session alone when too few questions match', async () => {
+        const engine = await loadedEngine(TEN_QUESTIONS);
+        engine.beginSession({}, 5);
+        answer(engine, true);
+        const filters = engine.sessionFilters;
+
+        assert.equal(engine.beginMultiplayerSession(['Ann', 'Bob'], 'turns', { category: 'Nowhere' }, 3), false);
+        assert.equal(engine.multiplayer, null);
+        assert.equal(engine.currentUser, 'tester');
+        assert.equal(engine.userStats.totalCorrect, 1);
+        assert.equal(engine.sessionFilters, filters);
+        assert.equal(engine.sessionAnswered, 1);
+        assert.equal(engine.isSessionInProgress(), true);
+        assert.equal(engine.storage.getItem(`${engine.theme.storagePrefix}_Ann`), null);
+    });
+
+    it('rotates turns and saves each player under their own key', async () => {
+        const engine = await loadedEngine(TEN_QUESTIONS);
+        const events = recordEvents(engine, ['questionShown']);
+        assert.equal(engine.beginMultiplayerSession(['Ann', 'Bob', 'Cy'], 'turns', {}, 2), true);
+        assert.equal(engine.sessionQuestions.length, 6);
+        assert.equal(new Set(engine.sessionQuestions).size, 6);
+
+        [true, false, true, true, true, false].forEach(correct => answer(engine, correct));
+
+        assert.deepEqual(events.map(([, detail]) => detail.player), ['Ann', 'Bob', 'Cy', 'Ann', 'Bob', 'Cy']);
+        assert.deepEqual(engine.answerHistory.map(entry => entry.player), [0, 1, 2, 0, 1, 2]);
+        const saved = name => JSON.parse(engine.storage.getItem(`${engine.theme.storagePrefix}_${name}`));
+        assert.equal(saved('Ann').totalCorrect, 2);
+        assert.equal(saved('Bob').totalCorrect, 1);
+        assert.equal(saved('Cy').totalAnswered, 2);
+        assert.equal(saved('Cy').activeSession, null, 'multiplayer sessions are not resumable');
+        assert.equal(engine.lastUser(), 'tester', 'the remembered single-player name is kept');
+    });
+
+    it('asks everyone the same question and reveals it after the last answer', async () => {
+        const engine = await loadedEngine(TEN_QUESTIONS);
+        const events = recordEvents(engine, ['questionShown', 'answered']);
+        engine.beginMultiplayerSession(['Ann', 'Bob'], 'together', {}, 3);
+        assert.equal(engine.sessionQuestions.length, 6);
+        assert.deepEqual(engine.displayProgress(3), { number: 2, total: 3 });
+
+        answer(engine, true);
+        assert.deepEqual(engine.playerScores().map(player => player.score), [0, 0], 'unrevealed answers do not count yet');
+        assert.equal(engine.canGoBack(), false);
+        answer(engine, false);
+        assert.deepEqual(engine.playerScores().map(player => player.score), [1, 0]);
+
+        const shown = events.filter(([name]) => name === 'questionShown').map(([, detail]) => detail);
+        assert.equal(shown[0].question, shown[1].question);
+        assert.deepEqual(shown[0].shuffledOptions, shown[1].shuffledOptions);
+        assert.deepEqual(events.filter(([name]) => name === 'answered').map(([, detail]) => detail.reveal), [false, true]);
+        assert.deepEqual(engine.roundAnswers(1).map(({ name, entry }) => [name, entry.isCorrect]), [['Ann', true], ['Bob', false]]);
+    });
+
+    it('ranks players on the podium, sharing places on a tie', async () => {
+        const engine = await loadedEngine(TEN_QUESTIONS);
+        const events = recordEvents(engine, ['sessionComplete']);
+        engine.beginMultiplayerSession(['Ann', 'Bob', 'Cy'], 'turns', {}, 2);
+        [false, true, true, false, true, true].forEach(correct => answer(engine, correct));
+
+        const [[, results]] = events;
+        assert.deepEqual(results.players.map(({ name, score, place }) => [name, score, place]),
+            [['Bob', 2, 1], ['Cy', 2, 1], ['Ann', 0, 3]]);
+        assert.equal(results.players[0].percentage, 100);
+        assert.equal(results.players[0].rank, engine.theme.ranks[0].label);
+
+        engine.playAgain();
+        assert.equal(engine.currentUser, 'Ann');
+        assert.deepEqual(engine.playerScores().map(player => player.score), [0, 0, 0]);
+        engine.logout();
+        assert.equal(engine.multiplayer, null);
+    });
+});
+
+describe('daily challenge', () => {
+    // Play the whole round: correct answers where `pattern` has a 1
+    function playDaily(engine, pattern) {
+        engine.beginDailySession();
+        pattern.forEach(correct => {
+            const wrong = [0, 1, 2, 3].find(i => !engine.currentCorrectShuffled.includes(i));
+            engine.selectAnswer(correct ? engine.currentCorrectShuffled[0] : wrong);
+            engine.nextQuestion();
+        });
+    }
+
+    it('gives every player the same questions and option orders on the same day', async () => {
+        const rounds = [];
+        for (const name of ['Ann', 'Bob']) {
+            const engine = await loadedEngine(TEN_QUESTIONS, { theme: { dailyQuestions: 5 } });
+            engine.login(name);
+            const events = recordEvents(engine, ['questionShown']);
+            playDaily(engine, [1, 1, 1, 1, 1]);
+            rounds.push(events.map(([, detail]) => [detail.question.id, detail.shuffledOptions]));
+        }
+        assert.equal(rounds[0].length, 5);
+        assert.deepEqual(rounds[0], rounds[1]);
+    });
+
+    it('extends the daily streak on consecutive days and ignores replays', async () => {
+        const engine = await loadedEngine(TEN_QUESTIONS, { theme: { dailyQuestions: 6 } });
+        const events = recordEvents(engine, ['sessionComplete']);
+        const today = dayKey(Date.now());
+        Object.assign(engine.userStats.dailyChallenge, { lastDay: previousDayKey(today), streak: 4, bestStreak: 4 });
+
+        playDaily(engine, [1, 0, 1, 1, 1, 1]);
+        assert.deepEqual(events[0][1].daily, { day: today, streak: 5, bestStreak: 5, counted: true });
+        assert.deepEqual(engine.getUserData('tester').dailyChallenge.lastAnswers, [1, 0, 1, 1, 1, 1]);
+        assert.equal(engine.dailyShareText('Quiz'), `Quiz — Daily ${today}\n5/6 · 🔥 5\n✅❌✅✅✅\n✅`);
+
+        playDaily(engine, [0, 0, 0, 0, 0, 0]);
+        assert.equal(events[1][1].daily.counted, false);
+        assert.equal(engine.userStats.dailyChallenge.streak, 5);
+        assert.deepEqual(engine.userStats.dailyChallenge.lastAnswers, [1, 0, 1, 1, 1, 1]);
+    });
+
+    it('restarts the streak after a missed day and leaves daily mode on playAgain', async () => {
+        const engine = await loadedEngine(TEN_QUESTIONS, { theme: { dailyQuestions: 2 } });
+        Object.assign(engine.userStats.dailyChallenge, { lastDay: '2020-01-01', streak: 9, bestStreak: 9 });
+        playDaily(engine, [1, 1]);
+        assert.equal(engine.userStats.dailyChallenge.streak, 1);
+        assert.equal(engine.userStats.dailyChallenge.bestStreak, 9);
+
+        engine.playAgain();
+        assert.equal(engine.daily, null);
+    });
+
+    it('goes back to the topic and length the player chose on playAgain', async () => {
+        const rows = TEN_QUESTIONS.map((row, i) => ({ category: i < 6 ? 'Gods' : 'Heroes' }));
+        const engine = await loadedEngine(rows, { theme: { dailyQuestions: 2 } });
+        engine.beginSession({ category: 'Heroes' }, 3);
+        playDaily(engine, [1, 1]);
+        playDaily(engine, [1, 1]);
+
+        assert.equal(engine.playAgain(), true);
+        assert.equal(engine.sessionLength, 3);
+        assert.deepEqual(engine.sessionFilters, { category: 'Heroes', difficulty: '' });
+        assert.equal(engine.sessionQuestions.length, 3);
+        assert.ok(engine.sessionQuestions.every(id => id > 6));
+    });
+});
+
+describe('review and weak spots', () => {
+    // Answer the open question: right, or with the first wrong option. Returns the original option index picked.
+    function answer(engine, correct) {
+        const wrong = [0, 1, 2, 3].find(i => !engine.currentCorrectShuffled.includes(i));
+        const picked = correct ? engine.currentCorrectShuffled[0] : wrong;
+        const choice = engine.currentShuffledOptions[picked];
+        engine.selectAnswer(picked);
+        engine.nextQuestion();
+        return choice;
+    }
+
+    it('lists the round\'s wrong answers and every question missed so far', async () => {
+        const engine = await loadedEngine([{ options: ['Zeus', 'Hera', 'Ares', 'Hades'] }, {}, {}]);
+        engine.beginSession({}, 3);
+        const order = [...engine.sessionQuestions];
+        const wrongChoice = answer(engine, false);
+        answer(engine, true);
+        engine.selectAnswer(null);
+
+        const mistakes = engine.sessionMistakes();
+        assert.deepEqual(mistakes.map(m => [m.position, m.question.id, m.player]), [[0, order[0], null], [2, order[2], null]]);
+        assert.equal(mistakes[0].choice, wrongChoice);
+        assert.equal(mistakes[1].choice, null);
+        assert.equal(engine.choiceText(engine.questionsById.get(1), [1, 2]), 'Hera, Ares');
+
+        const missed = engine.missedQuestions();
+        assert.deepEqual(missed.map(m => m.question.id), [order[2], order[0]], 'most recent miss first');
+        assert.equal(missed[1].choice, wrongChoice);
+    });
+
+    it('practices only seen questions not answered correctly, until playAgain', async () => {
+        const engine = await loadedEngine(TEN_QUESTIONS);
+        assert.equal(engine.beginWeakSpotSession({}, 10), false, 'nothing seen yet');
+
+        Object.assign(engine.userStats, { seenQuestions: [1, 2, 3, 4], correctQuestions: [2, 4] });
+        assert.equal(engine.beginWeakSpotSession({}, 10), true);
+        assert.deepEqual(sorted(engine.sessionQuestions), [1, 3]);
+        answer(engine, true);
+
+        engine.resumeGame();
+        assert.equal(engine.weakSpots, true, 'resuming keeps weak-spot mode');
+
+        engine.playAgain();
+        assert.equal(engine.weakSpots, false);
+        assert.equal(engine.sessionQuestions.length, 10);
+    });
+});
+
+describe('leaderboard', () => {
+    // Finish a session for `name` with `correct` of the first `length` answers right
+    function playAs(engine, name, length, correct) {
+        engine.login(name);
+        engine.beginSession({}, length);
+        for (let i = 0; i < length; i++) {
+            const wrong = [0, 1, 2, 3].find(option => !engine.currentCorrectShuffled.includes(option));
+            engine.selectAnswer(i < correct ? engine.currentCorrectShuffled[0] : wrong);
+            engine.nextQuestion();
+        }
+        engine.logout();
+    }
+
+    it('lists every player of this quiz with their best round, sortable', async () => {
+        const engine = await loadedEngine(TEN_QUESTIONS);
+        engine.logout();
+        playAs(engine, 'Ann', 4, 2);
+        playAs(engine, 'Bob', 4, 3);
+        playAs(engine, 'Ann', 2, 2);
+        playAs(engine, 'Ann', 4, 1);
+        engine.storage.setItem(`${engine.theme.storagePrefix}_notes`, 'not a player');
+        engine.storage.setItem('other_quiz_Cy', JSON.stringify({ seenQuestions: [] }));
+
+        const board = engine.leaderboard();
+        assert.deepEqual(board.map(row => row.name), ['Ann', 'Bob']);
+        assert.deepEqual(board[0].bestSession && [board[0].bestSession.score, board[0].bestSession.total], [2, 2]);
+        assert.equal(board[0].accuracy, 50);
+        assert.equal(board[1].mastered, 3);
+        assert.deepEqual(engine.leaderboard('accuracy').map(row => row.name), ['Bob', 'Ann']);
+        assert.deepEqual(engine.leaderboard('name').map(row => row.name), ['Ann', 'Bob']);
+
+        // Another quiz whose prefix starts with ours, on the same device
+        const kids = createEngine({ bytes: await buildDb(TEN_QUESTIONS), storage: engine.storage, theme: { storagePrefix: 'test_kids' } });
+        await kids.initDatabase();
+        playAs(kids, 'Dee', 2, 2);
+        assert.ok(engine.storage.getItem('test_kids_Dee'));
+        assert.deepEqual(engine.knownPlayers().sort(), ['Ann', 'Bob']);
+        assert.deepEqual(kids.knownPlayers(), ['Dee']);
+    });
+
+    it('renames and deletes players, but not the one playing', async () => {
+        const engine = await loadedEngine(TEN_QUESTIONS);
+        playAs(engine, 'Ann', 2, 1);
+        playAs(engine, 'Bob', 2, 2);
+        assert.equal(engine.lastUser(), 'Bob');
+
+        engine.renamePlayer('Bob', ' Robert ');
+        assert.equal(engine.lastUser(), 'Robert');
+        assert.equal(engine.getUserData('Robert').totalCorrect, 2);
+        assert.throws(() => engine.renamePlayer('Robert', 'Ann'), /already a player called Ann/);
+
+        engine.deletePlayer('Robert');
+        assert.equal(engine.lastUser(), null);
+        assert.deepEqual(engine.leaderboard().map(row => row.name), ['Ann']);
+
+        engine.login('Ann');
+        assert.throws(() => engine.deletePlayer('Ann'), /playing right now/);
+    });
+});
+
+describe('v1 progress migration', () => {
+    const V1_RECORD = JSON.stringify({ seenQuestions: [0, 1, 2], correctQuestions: [0, 2], totalAnswered: 3, totalCorrect: 2 });
+
+    it('maps row positions to ids, counting rows the bank skipped', async (t) => {
+        t.mock.method(console, 'warn', () => {});
+        const engine = createEngine({ bytes: await buildDb([{ id: 10 }, { id: 20, correct: 9 }, { id: 30 }, { id: 40 }]) });
+        engine.storage.setItem('test_tester', V1_RECORD);
+        await engine.initDatabase();
+        assert.deepEqual(engine.questions.map(q => q.id), [10, 30, 40]);
+
+        engine.login('tester');
+        assert.deepEqual(engine.userStats.seenQuestions, [10, 20, 30]);
+        assert.deepEqual(engine.userStats.correctQuestions, [10, 30]);
+        assert.equal(engine.userStats.totalAnswered, 3);
+        assert.equal(JSON.parse(engine.storage.getItem('test_tester')).version, 2);
+    });
+
+    it('leaves the record alone until the DB has loaded', async () => {
+        const engine = createEngine({ bytes: await buildDb(TEN_QUESTIONS) });
+        engine.storage.setItem('test_tester', V1_RECORD);
+
+        assert.throws(() => engine.login('tester'), /not loaded/);
+        assert.equal(engine.currentUser, null);
+        assert.equal(engine.storage.getItem('test_tester'), V1_RECORD);
+
+        await engine.initDatabase();
+        engine.login('tester');
+        assert.deepEqual(engine.userStats.seenQuestions, [1, 2, 3]);
+    });
+});
+
+describe('progress import', () => {
+    // An export of a player halfway through a two-question round
+    async function midSessionExport() {
+        const engine = await loadedEngine(TEN_QUESTIONS);
+        engine.beginSession({}, 2);
+        engine.selectAnswer(engine.currentCorrectShuffled[0]);
+        return { engine, file: engine.exportProgress('tester') };
+    }
+
+    it('merges a file into another browser\'s progress, which can then resume the saved round', async () => {
+        const { file } = await midSessionExport();
+        const other = await loadedEngine(TEN_QUESTIONS);
+        file.userData.bestSession = { score: 4, total: 5, percentage: 80, points: 0, at: 1 };
+        Object.assign(file.userData.dailyChallenge, { lastDay: '2024-01-01', lastAnswers: [1, 0], streak: 2, bestStreak: 3 });
+        const merged = other.importProgress('tester', JSON.parse(JSON.stringify(file)));
+        assert.equal(merged.totalAnswered, 1);
+        assert.equal(merged.bestSession.score, 4);
+        assert.equal(merged.dailyChallenge.bestStreak, 3);
+        assert.ok(other.resumableSession());
+    });
+
+    it('keeps the most recently reviewed SM-2 card and the larger counters, so importing twice changes nothing', () => {
+        const existing = Object.assign(newUserData(), {
+            seenQuestions: [1, 2], correctQuestions: [1, 2], totalAnswered: 4, totalCorrect: 3,
+            srs: { 2: { ease: 2.5, interval: 6, reps: 2, lapses: 0, due: 10 * DAY_MS } } // Reviewed on day 4
+        });
+        const imported = Object.assign(newUserData(), {
+            seenQuestions: [2, 3], correctQuestions: [3], totalAnswered: 6, totalCorrect: 2,
+            srs: { 2: { ease: 2.3, interval: 0, reps: 0, lapses: 1, due: 5 * DAY_MS } } // Missed on day 5
+        });
+
+        const merged = mergeUserData(existing, imported);
+        assert.deepEqual(sorted(merged.seenQuestions), [1, 2, 3]);
+        assert.deepEqual(sorted(merged.correctQuestions), [1, 3], 'the newer card says question 2 was missed');
+        assert.equal(merged.srs[2].lapses, 1);
+        assert.equal(merged.totalAnswered, 6);
+        assert.equal(merged.totalCorrect, 3);
+        assert.deepEqual(mergeUserData(merged, imported), merged);
+    });
+
+    it('refuses files that are not this quiz\'s progress', async () => {
+        const { engine, file } = await midSessionExport();
+        const copy = changes => Object.assign(JSON.parse(JSON.stringify(file)), changes);
+        assert.throws(() => engine.importProgress('tester', { format: 'something-else' }), /not a quiz progress file/);
+        assert.throws(() => engine.importProgress('tester', copy({ version: 99 })), /Unsupported progress file version: 99/);
+        assert.throws(() => engine.importProgress('tester', copy({ quiz: { storagePrefix: 'other', db: 'test.db' } })), /different quiz/);
+        assert.throws(() => engine.importProgress('tester', copy({ userData: { seenQuestions: 'all' } })), /damaged/);
+    });
+
+    it('refuses files with damaged progress, leaving progress untouched', async () => {
+        const { engine, file } = await midSessionExport();
+        const damaged = [
+            data => { data.activeSession = { answered: 3 }; },
+            data => { data.activeSession.history = [null]; },
+            data => { data.activeSession.viewingIndex = 7; },
+            data => { data.srs[Object.keys(data.srs)[0]] = { due: 'soon' }; },
+            data => { data.srs = { 1: null }; },
+            data => { data.history.log = [null]; },
+            data => { data.history.log[0][3] = 'yes'; },
+            data => { data.history.daily = { today: [1, 1] }; },
+            data => { data.history.questions[1] = [1]; },
+            data => { data.history.distractors = { 1: { 2: -1 } }; },
+            data => { data.dailyChallenge = null; },
+            data => { data.dailyChallenge.bestStreak = 'ten'; },
+            data => { data.dailyChallenge.lastDay = 20240101; },
+            data => { data.bestSession = { points: 5 }; },
+            data => { data.bestSession = { score: 3, total: 2, percentage: 150, points: 0, at: 0 }; }
+        ];
+        const before = engine.storage.getItem('test_tester');
+        damaged.forEach(damage => {
+            const copy = JSON.parse(JSON.stringify(file));
+            damage(copy.userData);
+            assert.throws(() => engine.importProgress('tester', copy), /damaged/);
+        });
+        assert.equal(engine.storage.getItem('test_tester'), before);
+        engine.login('tester');
+        assert.ok(engine.resumableSession(), 'login still works');
+    });
+});
+
+describe('achievements', () => {
+    const ACHIEVEMENTS = [
+        { id: 'streak-3', type: 'streak', value: 3, label: '🔥 Hat Trick' },
+        { id: 'perfect-4', type: 'perfectRound', value: 4 },
+        { id: 'answered-5', type: 'answered', value: 5 }
+    ];
+
+    function answer(engine, correct) {
+        const wrong = [0, 1, 2, 3].find(i => !engine.currentCorrectShuffled.includes(i));
+        engine.selectAnswer(correct ? engine.currentCorrectShuffled[0] : wrong);
+        engine.nextQuestion();
+    }
+
+    it('awards achievements as they are reached, once, and saves them', async () => {
+        const engine = await loadedEngine(TEN_QUESTIONS, { theme: { achievements: ACHIEVEMENTS } });
+        const events = recordEvents(engine, ['achievementsEarned']);
+        engine.beginSession({}, 4);
+        [true, true, true].forEach(correct => answer(engine, correct));
+        assert.deepEqual(events.map(([, detail]) => detail.achievements.map(a => a.id)), [['streak-3']]);
+        assert.equal(events[0][1].name, 'tester');
+        assert.equal(events[0][1].achievements[0].label, '🔥 Hat Trick');
+
+        answer(engine, true);
+        assert.deepEqual(events.map(([, detail]) => detail.achievements.map(a => a.id)), [['streak-3'], ['perfect-4']],
+            'a perfect round counts when it ends');
+        const saved = JSON.parse(engine.storage.getItem('test_tester')).achievements;
+        assert.deepEqual(Object.keys(saved).sort(), ['perfect-4', 'streak-3']);
+
+        engine.beginSession({}, 4);
+        answer(engine, false);
+        assert.deepEqual(events.at(-1)[1].achievements.map(a => a.id), ['answered-5']);
+        [true, true, true].forEach(correct => answer(engine, correct));
+        assert.equal(events.length, 3, 'no achievement is awarded twice, and an imperfect round earns none');
+    });
+
+    it('describes achievements in the trophy case with the catalog\'s words unless the theme has its own', async () => {
+        const engine = await loadedEngine([{}], { theme: { achievements: ACHIEVEMENTS.concat({ id: 'odd', type: 'luck', value: 1 }) } });
+        engine.userStats.achievements['perfect-4'] = 1234;
+        const list = engine.achievementList();
+        assert.deepEqual(list.map(a => a.id), ['streak-3', 'perfect-4', 'answered-5'], 'unknown types are left out');
+        assert.deepEqual(list.map(a => a.earnedAt), [null, 1234, null]);
+        assert.equal(list[0].description, 'Answer 3 questions in a row correctly.');
+        assert.equal(list[1].label, '💯 Perfect Round');
+        assert.equal(list[2].label, '📚 5 Answers');
+
+        assert.equal(await engine.setLocale('es'), false);
+        engine.theme.locales = ['en', 'es'];
+        await engine.setLocale('es');
+        assert.equal(engine.achievementList()[2].description, 'Responde 5 preguntas.');
+    });
+
+    it('counts days played in a row up to a day, and merges earned achievements keeping the first time', () => {
+        const daily = { '2026-03-01': [1, 1], '2026-03-02': [4, 2], '2026-03-04': [2, 2] };
+        assert.equal(daysInARow(daily, '2026-03-02'), 2);
+        assert.equal(daysInARow(daily, '2026-03-03'), 0);
+
+        const existing = Object.assign(newUserData(), { achievements: { a: 200, b: 300 } });
+        const imported = Object.assign(newUserData(), { achievements: { a: 100, c: 400 } });
+        assert.deepEqual(mergeUserData(existing, imported).achievements, { a: 100, b: 300, c: 400 });
+    });
+});
+
+describe('question reports', () => {
+    const QUESTIONS = [{ question: 'Who rules Olympus?' }, { question: 'Who is "Mr. Sea", really?' }];
+
+    it('queues reports for known questions and reasons, with the comment trimmed', async () => {
+        const engine = await loadedEngine(QUESTIONS);
+        const report = await engine.reportQuestion(1, 'typo', '  Olympos?  ');
+        assert.equal(report.question, 'Who rules Olympus?');
+        assert.equal(report.comment, 'Olympos?');
+        assert.equal(report.sentAt, null);
+        await assert.rejects(engine.reportQuestion(9, 'typo'), /not in this quiz/);
+        await assert.rejects(engine.reportQuestion(1, 'boring'), /Unknown report reason "boring"/);
+
+        const other = createEngine({ indexedDB: engine.indexedDB, theme: { storagePrefix: 'other' } });
+        assert.deepEqual(await other.getReports(), [], 'each quiz only sees its own reports');
+        assert.deepEqual((await engine.getReports()).map(r => r.id), [report.id]);
+    });
+
+    it('exports reports grouped by question as JSON, or one CSV row each', async () => {
+        const engine = await loadedEngine(QUESTIONS);
+        await engine.reportQuestion(2, 'ambiguous', '=HYPERLINK("x"), maybe');
+        await engine.reportQuestion(1, 'wrongAnswer');
+        await engine.reportQuestion(2, 'typo');
+
+        const file = JSON.parse(await engine.exportReports('json'));
+        assert.equal(file.format, 'quiz-game-kit-reports');
+        assert.equal(file.quiz.storagePrefix, 'test');
+        assert.deepEqual(Object.keys(file.questions), ['1', '2']);
+        assert.deepEqual(file.questions[2].reports.map(r => r.reason), ['ambiguous', 'typo']);
+
+        const lines = (await engine.exportReports('csv')).split('\r\n');
+        assert.equal(lines[0], 'question_id,question,reason,comment,locale,reported_at');
+        assert.match(lines[2], /^2,"Who is ""Mr. Sea"", really\?",ambiguous,"'=HYPERLINK\(""x""\), maybe",en,\d{4}-/);
+        assert.equal(lines.length, 5, 'a header, three rows and a final line break');
+        assert.equal(csvField('-1'), "'-1");
+        assert.equal(csvField('a\nb'), '"a\nb"');
+    });
+
+    it('posts each report once when sends overlap', async () => {
+        const bytes = await buildDb(QUESTIONS);
+        const posts = [];
+        const fetch = async (url, init = {}) => {
+            if (init.method !== 'POST') return { ok: true, status: 200, statusText: 'OK', headers: new Headers(), arrayBuffer: async () => bytes };
+            posts.push(JSON.parse(init.body).reports.map(report => report.questionId));
+            await new Promise(resolve => setTimeout(resolve, 20)); // A slow collector
+            return { ok: true, status: 202, statusText: 'Accepted' };
+        };
+        const engine = createEngine({ fetch, reportUrl: 'https://reports.example.org/' });
+        await engine.initDatabase();
+
+        await engine.reportQuestion(1, 'brokenLink');
+        await engine.reportQuestion(2, 'ambiguous');
+        assert.equal(await engine.sendReports(), 0, 'queued behind the background sends, which took both');
+        assert.deepEqual(posts, [[1], [2]]);
+        assert.ok((await engine.getReports()).every(report => report.sentAt));
+    });
+
+    it('posts unsent reports to the report URL, keeping them queued when that fails', async (t) => {
+        t.mock.method(console, 'warn', () => {});
+        const bytes = await buildDb(QUESTIONS);
+        const posts = [];
+        let online = false;
+        const fetch = async (url, init = {}) => {
+            if (init.method !== 'POST') return { ok: true, status: 200, statusText: 'OK', headers: new Headers(), arrayBuffer: async () => bytes };
+            if (!online) return { ok: false, status: 503, statusText: 'Service Unavailable' };
+            posts.push([url, JSON.parse(init.body)]);
+            return { ok: true, status: 202, statusText: 'Accepted' };
+        };
+        const engine = createEngine({ fetch, reportUrl: 'https://reports.example.org/' });
+        await engine.initDatabase();
+
+        await engine.reportQuestion(1, 'brokenLink');
+        assert.equal(await engine.reportSending, 0, 'the background send fails quietly');
+        assert.equal(console.warn.mock.callCount(), 1);
+        await assert.rejects(engine.sendReports(), /503/);
+        assert.equal((await engine.getReports())[0].sentAt, null);
+
+        online = true;
+        assert.equal(await engine.sendReports(), 1);
+        assert.equal(posts[0][0], 'https://reports.example.org/');
+        assert.equal(posts[0][1].quiz.db, 'test.db');
+        assert.deepEqual(posts[0][1].reports.map(r => r.reason), ['brokenLink']);
+        assert.ok((await engine.getReports())[0].sentAt);
+        assert.equal(await engine.sendReports(), 0, 'sent reports are not sent again');
+    });
+});
+
+describe('localization', () => {
+    it('translates with plural rules, falling back to the base language, then English, then the key', () => {
+        assert.equal(translate('en', 'login.skipped', { count: 1 }), '⚠️ 1 broken question has been left out of this quiz.');
+        assert.equal(translate('en', 'login.skipped', { count: 3 }), '⚠️ 3 broken questions have been left out of this quiz.');
+        assert.equal(translate('ar', 'login.skipped', { count: 2 }), '⚠️ استُبعد سؤالان معطوبان من هذا الاختبار.');
+        assert.equal(translate('es-MX', 'game.questionNumber', { number: 2, total: 5 }), 'Pregunta 2 de 5');
+        assert.equal(translate('de', 'game.back'), '← Back');
+        assert.equal(translate('en', 'no.such.key'), 'no.such.key');
+        assert.equal(localeDirection('ar-EG'), 'rtl');
+        assert.equal(localeDirection('es'), 'ltr');
+    });
+
+    it('uses the quiz\'s own texts in its language, and its translations or the catalog\'s in others', async () => {
+        const engine = await loadedEngine([{}], {
+            languages: ['es-MX', 'en'],
+            theme: { locales: ['en', 'es'], translations: { es: { ranks: [{ min: 0, label: '🌱 Mortal' }], 'game.back': '↩ Volver' } } }
+        });
+        assert.equal(engine.locale, 'es');
+        assert.equal(engine.t('game.back'), '↩ Volver');
+        assert.equal(engine.t('game.forward'), 'Adelante →');
+        assert.equal(engine.themeText('correctMessage'), '✨ ¡Correcto!', 'no Spanish text of its own, so the generic one');
+        assert.equal(engine.rankFor(50), '🌱 Mortal');
+
+        assert.equal(await engine.setLocale('en'), true);
+        assert.equal(engine.themeText('correctMessage'), DEFAULT_THEME.correctMessage);
+        assert.equal(engine.rankFor(50), '📚 Eager Student');
+        assert.equal(await engine.setLocale('fr'), false, 'not offered by this quiz');
+        assert.equal(engine.locale, 'en');
+    });
+
+    it('labels true/false questions in the language being played', async () => {
+        const rows = [{ type: 'truefalse', options: [null, null, null, null], correct: 1 }];
+        const engine = await loadedEngine(rows, { theme: { locales: ['en', 'es', 'ar'] } });
+        assert.deepEqual(engine.questions[0].options, ['True', 'False']);
+        await engine.setLocale('es');
+        assert.deepEqual(engine.questions[0].options, ['Verdadero', 'Falso']);
+        await engine.setLocale('ar');
+        assert.deepEqual(engine.questions[0].options, ['صح', 'خطأ']);
+        assert.deepEqual(engine.questions[0].correct, [1]);
+    });
+
+    it('loads a language\'s own DB, keeping progress and both cached DBs', async () => {
+        const english = await buildDb([{ question: 'Who rules Olympus?' }, {}]);
+        const spanish = await buildDb([{ question: '¿Quién gobierna el Olimpo?' }, {}]);
+        const fetch = async url => ({
+            ok: true, status: 200, statusText: 'OK', headers: new Headers(),
+            arrayBuffer: async () => url.endsWith('.es.db') ? spanish : english
+        });
+        const options = { fetch, theme: { locales: ['en', 'es'] }, dbUrls: { es: 'https://assets.example.org/test.es.db' } };
+        const engine = createEngine(options);
+        await engine.initDatabase();
+        engine.login('tester');
+        engine.userStats.correctQuestions = [1];
+
+        await engine.setLocale('es');
+        assert.equal(engine.dbUrl, 'https://assets.example.org/test.es.db');
+        assert.equal(engine.questionsById.get(1).question, '¿Quién gobierna el Olimpo?');
+        assert.equal(engine.lifetimeStats().mastered, 1);
+        assert.deepEqual(await engine.evictCachedDBs(), []);
+        assert.deepEqual((await cachedUrls(engine)).sort(), ['https://assets.example.org/test.db', 'https://assets.example.org/test.es.db']);
+        assert.equal(engine.quizIdentity().db, 'test.db', 'progress files fit the quiz in every language');
+
+        const nextVisit = createEngine(Object.assign({ storage: engine.storage, languages: ['en'] }, options));
+        assert.equal(nextVisit.locale, 'es', 'the language picked last wins over the browser\'s');
+    });
+
+    it('keeps the saved language apart from a player called "locale"', async (t) => {
+        const warn = t.mock.method(console, 'warn', () => {});
+        const engine = await loadedEngine([{}, {}], { theme: { locales: ['en', 'es'] } });
+        await engine.setLocale('es');
+        engine.login('locale');
+        engine.beginSession({}, 1);
+        engine.selectAnswer(0);
+        assert.equal(engine.getUserData('locale').totalAnswered, 1);
+        assert.equal(createEngine({ storage: engine.storage, theme: { locales: ['en', 'es'] } }).locale, 'es');
+
+        // Earlier versions saved the language where this player's record goes
+        engine.storage.setItem(`${engine.theme.storagePrefix}_locale`, 'es');
+        assert.deepEqual(engine.getUserData('locale'), newUserData());
+        assert.equal(warn.mock.callCount(), 1);
+        engine.logout();
+        engine.login('locale');
+        assert.equal(engine.userStats.totalAnswered, 0);
+    });
+});
@@ -0,0 +1,148 @@
+// Shared fixtures for the engine tests: in-memory localStorage, fake IndexedDB,
+// sql.js from node_modules and small question DBs built on the fly.
+
+const fs = require('fs');
+const path = require('path');
+const initSqlJs = require('sql.js');
+const { IDBFactory } = require('fake-indexeddb');
+const { QuizEngine } = require('../shared/quiz-core.js');
+
+const SHARED_DIR = path.join(__dirname, '..', 'shared');
+const SQL_JS_DIST = path.dirname(require.resolve('sql.js'));
+
+// sql.js with its WASM loaded from node_modules instead of the CDN
+function loadSqlJs() {
+    return initSqlJs({ locateFile: file => path.join(SQL_JS_DIST, file) });
+}
+
+// In-memory Storage with the localStorage interface
+function createStorage() {
+    const items = new Map();
+    return {
+        get length() { return items.size; },
+        key: i => [...items.keys()][i] ?? null,
+        getItem: key => items.has(key) ? items.get(key) : null,
+        setItem: (key, value) => { items.set(key, String(value)); },
+        removeItem: key => { items.delete(key); },
+        clear: () => items.clear()
+    };
+}
+
+// Bytes of a bundled .db file in shared/
+function bundledDb(name) {
+    const buf = fs.readFileSync(path.join(SHARED_DIR, name));
+    return buf.buffer.slice(buf.byteOffset, buf.byteOffset + buf.length);
+}
+
+// Build a .db with the standard schema. `rows` are partial questions; missing fields get defaults.
+async function buildDb(rows) {
+    const SQL = await loadSqlJs();
+    const db = new SQL.Database();
+    db.run(`CREATE TABLE questions (
+        id INTEGER PRIMARY KEY, question TEXT, option_a TEXT, option_b TEXT, option_c TEXT, option_d TEXT,
+        correct INTEGER, fun_fact TEXT, wiki_url TEXT, category TEXT, difficulty TEXT, type TEXT)`);
+    rows.forEach((row, i) => {
+        const id = row.id ?? i + 1;
+        db.run('INSERT INTO questions VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)', [
+            id, row.question ?? `Question ${id}`,
+            ...(row.options ?? ['A', 'B', 'C', 'D']),
+            row.correct ?? 0, row.funFact ?? `Fact ${id}`, row.wiki ?? null,
+            row.category ?? null, row.difficulty ?? null, row.type ?? null
+        ]);
+    });
+    const bytes = db.export();
+    db.close();
+    return bytes.buffer;
+}
+
+// A fetch that serves `bytes` (or fails when `bytes` is an Error) and records its calls. With an `etag`,
+// requests whose If-None-Match carries it get a 304.
+function fakeFetch(bytes, { etag = null, lastModified = null } = {}) {
+    const fetch = async (url, init = {}) => {
+        const requestHeaders = init.headers || {};
+        fetch.calls++;
+        fetch.requests.push(requestHeaders);
+        if (bytes instanceof Error) throw bytes;
+
+        const headers = new Headers();
+        if (etag) headers.set('ETag', etag);
+        if (lastModified) headers.set('Last-Modified', lastModified);
+        if (etag && requestHeaders['If-None-Match'] === etag) {
+            return { ok: false, status: 304, statusText: 'Not Modified', headers };
+        }
+        return { ok: true, status: 200, statusText: 'OK', headers, arrayBuffer: async () => bytes };
+    };
+    fetch.calls = 0;
+    fetch.requests = [];
+    return fetch;
+}
+
+// A QuizEngine wired to fakes; pass `bytes` for the DB it downloads. The player prefers no language
+// unless `languages` says so.
+function createEngine({ bytes, theme, storage, indexedDB, fetch, initSqlJs, sqlJsPath, dbUrls, reportUrl, analytics, languages = [] } = {}) {
+    return new QuizEngine({
+        dbUrl: 'https://assets.example.org/test.db',
+        dbUrls,
+        languages,
+        theme: Object.assign({ storagePrefix: 'test' }, theme),
+        storage: storage || createStorage(),
+        indexedDB: indexedDB || new IDBFactory(),
+        initSqlJs: initSqlJs || loadSqlJs,
+        fetch: fetch || fakeFetch(bytes),
+        sqlJsPath,
+        reportUrl,
+        analytics
+    });
+}
+
+// A logged-in engine with `rows` (or a bundled DB name) loaded
+async function loadedEngine(rows, options = {}) {
+    const bytes = typeof rows === 'string' ? bundledDb(rows) : await buildDb(rows);
+    const engine = createEngine(Object.assign({ bytes }, options));
+    await engine.initDatabase();
+    engine.login('tester');
+    return engine;
+}
+
+// Put a DB copy into the engine's IndexedDB cache with a given age; `entry` adds or overrides fields
+async function seedCache(engine, bytes, ageMs, entry = {}, url = engine.dbUrl) {
+    const db = await engine.openCacheDB();
+    const record = Object.assign({ bytes, etag: null, lastModified: null, owner: engine.theme.storagePrefix, cachedAt: Date.now() - ageMs }, entry);
+    await new Promise((resolve, reject) => {
+        const tx = db.transaction('files', 'readwrite');
+        tx.objectStore('files').put(record, url);
+        tx.oncomplete = () => resolve();
+        tx.onerror = () => reject(tx.error);
+    });
+}
+
+// Keys of the engine's IndexedDB cache
+async function cachedUrls(engine) {
+    const db = await engine.openCacheDB();
+    return new Promise((resolve, reject) => {
+        const req = db.transaction('files', 'readonly').objectStore('files').getAllKeys();
+        req.onsuccess = () => resolve(req.result);
+        req.onerror = () => reject(req.error);
+    });
+}
+
+// Record every event an engine emits as [name, detail]
+function recordEvents(engine, names) {
+    const events = [];
+    names.forEach(name => engine.on(name, detail => events.push([name, detail])));
+    return events;
+}
+
+module.exports = {
+    SHARED_DIR,
+    loadSqlJs,
+    createStorage,
+    bundledDb,
+    buildDb,
+    fakeFetch,
+    createEngine,
+    loadedEngine,
+    seedCache,
+    cachedUrls,
+    recordEvents
+};
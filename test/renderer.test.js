@@ -0,0 +1,388 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { JSDOM } = require('jsdom');
+const { newUserData } = require('../shared/quiz-core.js');
+const { buildDb, createEngine, createStorage } = require('./helpers.js');
+const QuizAnalytics = require('../shared/quiz-analytics.js');
+
+const SITE_PAGE = path.join(__dirname, '..', 'sites', 'greek-myth', 'index.html');
+const DOM_GLOBALS = ['window', 'document', 'location', 'getComputedStyle', 'confirm'];
+
+// Load a generated site page into jsdom. Its <script> tags (CDN engine, sql.js, analytics) are not run;
+// the renderer is required from shared/ and driven against the page's markup instead.
+function loadPage() {
+    const html = fs.readFileSync(SITE_PAGE, 'utf8').replace(/<script[\s\S]*?<\/script>/g, '');
+    return new JSDOM(html, { url: 'https://quiz.example.org/' });
+}
+
+describe('QuizRenderer', () => {
+    let dom;
+    let QuizRenderer, escapeHtml, safeUrl, formatFunFact;
+
+    before(() => {
+        dom = loadPage();
+        for (const name of DOM_GLOBALS) globalThis[name] = dom.window[name];
+        globalThis.confirm = () => true;
+        ({ QuizRenderer, escapeHtml, safeUrl, formatFunFact } = require('../shared/quiz-engine.js'));
+    });
+
+    after(() => {
+        for (const name of DOM_GLOBALS) delete globalThis[name];
+        dom.window.close();
+    });
+
+    async function startedRenderer(rows) {
+        const engine = createEngine({ bytes: await buildDb(rows) });
+        const renderer = new QuizRenderer(engine, dom.window.document);
+        await renderer.initDatabase();
+        return renderer;
+    }
+
+    const $ = id => dom.window.document.getElementById(id);
+
+    it('plays a round through data-action clicks', async () => {
+        const renderer = await startedRenderer([{ options: ['Zeus', 'Hera', 'Ares', 'Hades'] }, {}]);
+        assert.equal($('startBtn').disabled, false);
+
+        $('username').value = 'tester';
+        $('startBtn').click();
+        assert.ok($('gameScreen').classList.contains('active'));
+        assert.equal($('displayName').textContent, 'tester');
+
+        const options = $('optionsContainer').querySelectorAll('.option');
+        assert.equal(options.length, 4);
+        const correct = renderer.engine.currentCorrectShuffled[0];
+        options[correct].click();
+
+        assert.ok(options[correct].classList.contains('correct'));
+        assert.equal($('scoreDisplay').textContent, '1');
+        assert.match($('resultContainer').textContent, /Fact/);
+        assert.equal($('nextBtn').style.display, 'inline-block');
+
+        $('nextBtn').click();
+        const wrong = [0, 1, 2, 3].find(i => !renderer.engine.currentCorrectShuffled.includes(i));
+        $('optionsContainer').querySelectorAll('.option')[wrong].click();
+        assert.match($('resultContainer').textContent, /Incorrect/);
+        assert.equal($('nextBtn').textContent, 'View Results 🏆');
+
+        $('nextBtn').click();
+        assert.ok($('completionScreen').classList.contains('active'));
+    });
+
+    it('escapes DB text, drops links with other schemes and formats fun facts', () => {
+        assert.equal(escapeHtml('<b title="x">Tom & Jerry\'s</b>'), '&lt;b title=&quot;x&quot;&gt;Tom &amp; Jerry&#39;s&lt;/b&gt;');
+        assert.equal(safeUrl('https://en.wikipedia.org/wiki/Zeus'), 'https://en.wikipedia.org/wiki/Zeus');
+        assert.equal(safeUrl('/wiki/Zeus'), '/wiki/Zeus', 'relative to the page');
+        for (const url of ['javascript:alert(1)', ' JavaScript:alert(1)', 'data:text/html,<script>', 'http://[']) {
+            assert.equal(safeUrl(url), '', url);
+        }
+        assert.equal(formatFunFact('**Zeus** ruled *Olympus* with `thunder` and _lightning_'),
+            '<strong>Zeus</strong> ruled <em>Olympus</em> with <code>thunder</code> and <em>lightning</em>');
+        assert.equal(formatFunFact('snake_case_name and 2*3'), 'snake_case_name and 2*3');
+        assert.equal(formatFunFact('**<img src=x onerror=alert(1)>**'), '<strong>&lt;img src=x onerror=alert(1)&gt;</strong>');
+    });
+
+    it('shows a malicious row as text', async () => {
+        const renderer = await startedRenderer([{
+            options: ['<img src=x onerror=alert(1)>', 'B', 'C', 'D'],
+            funFact: '<script>alert(1)</script> **bold**',
+            wiki: 'javascript:alert(1)'
+        }]);
+        $('username').value = 'tester';
+        $('startBtn').click();
+        const wrong = [0, 1, 2, 3].find(i => !renderer.engine.currentCorrectShuffled.includes(i));
+        $('optionsContainer').querySelectorAll('.option')[wrong].click();
+
+        const result = $('resultContainer');
+        assert.equal(result.querySelector('img, script'), null);
+        assert.equal(result.querySelector('a[href]'), null, 'no javascript: link');
+        assert.match(result.textContent, /<img src=x onerror=alert\(1\)>/);
+        assert.equal(result.querySelector('.fun-fact strong:last-of-type').textContent, 'bold');
+        assert.equal($('optionsContainer').querySelector('img'), null);
+    });
+
+    it('hides answers until everyone has answered, then shows the podium', async () => {
+        // Earlier renderers still listen on this document, so drive this one through its methods
+        const renderer = await startedRenderer([{}, {}]);
+        renderer.addPlayerInput();
+        renderer.addPlayerInput();
+        $('playerNames').querySelectorAll('input').forEach((input, i) => { input.value = ['Ann', 'Bob'][i]; });
+        $('multiplayerMode').value = 'together';
+        $('lengthSelect').value = '';
+        renderer.startMultiplayerGame();
+
+        assert.equal($('turnBanner').textContent, "🎯 Ann's turn");
+        assert.equal($('statsBar').style.display, 'none');
+        assert.deepEqual([...$('scoreboard').querySelectorAll('.stat-label')].map(label => label.textContent), ['Ann', 'Bob']);
+
+        const correct = () => $('optionsContainer').querySelectorAll('.option')[renderer.engine.currentCorrectShuffled[0]];
+        correct().click();
+        assert.match($('resultContainer').textContent, /Locked in! Pass the device to Bob/);
+        assert.equal($('optionsContainer').querySelector('.correct'), null);
+        assert.equal($('nextBtn').textContent, 'Next Player →');
+
+        renderer.nextQuestion();
+        assert.equal($('turnBanner').textContent, "🎯 Bob's turn");
+        correct().click();
+        assert.deepEqual([...$('resultContainer').querySelectorAll('.round-answers li')].map(item => item.className), ['correct', 'correct']);
+        assert.deepEqual([...$('scoreboard').querySelectorAll('.stat-value')].map(value => value.textContent), ['1', '1']);
+
+        while (!$('completionScreen').classList.contains('active')) {
+            if (renderer.engine.canGoNext()) renderer.nextQuestion();
+            else correct().click();
+        }
+        assert.equal($('completionName').textContent, 'Ann & Bob');
+        assert.equal($('podium').querySelectorAll('.podium-place-1').length, 2);
+        assert.equal($('progressTools').style.display, 'none');
+    });
+
+    it('shows a copyable daily challenge grid', async () => {
+        const renderer = await startedRenderer([{}, {}, {}]);
+        $('username').value = 'tester';
+        renderer.startDailyChallenge();
+        while (!$('completionScreen').classList.contains('active')) {
+            if (renderer.engine.canGoNext()) renderer.nextQuestion();
+            else $('optionsContainer').querySelectorAll('.option')[renderer.engine.currentCorrectShuffled[0]].click();
+        }
+
+        assert.equal($('dailyResult').style.display, '');
+        assert.match($('dailyGrid').textContent, /Daily \d{4}-\d{2}-\d{2}\n3\/3 · 🔥 1\n✅✅✅$/);
+        await renderer.shareDailyResult();
+        assert.equal($('shareBtn').textContent, 'Press Ctrl+C to copy', 'jsdom has no clipboard, so the grid is selected instead');
+    });
+
+    it('reviews the round\'s mistakes and practices weak spots', async () => {
+        const renderer = await startedRenderer([{ question: 'Who rules Olympus?', options: ['Zeus', 'Hera', 'Ares', 'Hades'] }, {}]);
+        const { engine } = renderer;
+        engine.login('tester');
+        engine.beginSession({}, 2);
+        while (!$('completionScreen').classList.contains('active')) {
+            if (engine.canGoNext()) renderer.nextQuestion();
+            else if (engine.currentQuestionId === 1) engine.selectAnswer(engine.currentShuffledOptions.indexOf(3));
+            else engine.selectAnswer(engine.currentCorrectShuffled[0]);
+        }
+        assert.equal($('mistakesBtn').style.display, '');
+        assert.equal($('weakSpotsBtn').style.display, '');
+
+        renderer.showMistakes();
+        assert.ok($('reviewScreen').classList.contains('active'));
+        const items = $('reviewList').querySelectorAll('li');
+        assert.equal(items.length, 1);
+        assert.equal(items[0].querySelector('.review-question').textContent, 'Who rules Olympus?');
+        assert.equal(items[0].querySelector('.review-pick').textContent, '❌ Your answer: Hades');
+        assert.equal(items[0].querySelector('.review-correct').textContent, '✅ Correct answer: Zeus');
+        renderer.hideReview();
+        assert.ok($('completionScreen').classList.contains('active'));
+
+        renderer.practiceWeakSpots();
+        assert.ok($('gameScreen').classList.contains('active'));
+        assert.deepEqual(engine.sessionQuestions, [1]);
+    });
+
+    it('shows question images, audio, code and option images', async () => {
+        const renderer = await startedRenderer([{}]);
+        const { engine } = renderer;
+        Object.assign(engine.questions[0], {
+            image: 'media/ring.png', imageAlt: 'A blue attack ring', audio: 'javascript:alert(1)', code: 'print(1 + 1)',
+            optionImages: ['media/a.png', '', '', '']
+        });
+        engine.login('tester');
+        engine.beginSession({}, 1);
+        await new Promise(resolve => setTimeout(resolve, 50)); // mediaSrc looks for a cached copy first
+
+        const image = $('questionMedia').querySelector('.question-image');
+        assert.equal(image.alt, 'A blue attack ring');
+        assert.equal(image.getAttribute('loading'), 'lazy');
+        assert.equal(image.src, 'https://assets.example.org/media/ring.png');
+        assert.equal($('questionMedia').querySelector('audio'), null, 'unusable media are left out');
+        assert.equal($('questionMedia').querySelector('pre code').textContent, 'print(1 + 1)');
+        const optionImages = $('optionsContainer').querySelectorAll('.option-image');
+        assert.equal(optionImages.length, 1);
+        assert.equal(optionImages[0].closest('.option').textContent, 'A');
+    });
+
+    it('sorts the leaderboard from its column headers', async () => {
+        const renderer = await startedRenderer([{}, {}]);
+        const { engine } = renderer;
+        engine.logout();
+        engine.storage.setItem(engine.userKey('Zed'), JSON.stringify(Object.assign(newUserData(), { totalAnswered: 4, totalCorrect: 4 })));
+        engine.storage.setItem(engine.userKey('Amy'), JSON.stringify(Object.assign(newUserData(), { totalAnswered: 4, totalCorrect: 1 })));
+        const names = () => [...$('leaderboardRows').querySelectorAll('th')].map(cell => cell.textContent);
+
+        renderer.showLeaderboard();
+        assert.ok($('leaderboardScreen').classList.contains('active'));
+        assert.deepEqual(names(), ['Amy', 'Zed'], 'no best rounds yet, so by name');
+        $('leaderboardScreen').querySelector('[data-sort="accuracy"]').click();
+        assert.deepEqual(names(), ['Zed', 'Amy']);
+        assert.equal($('leaderboardScreen').querySelector('[data-sort="accuracy"]').closest('th').getAttribute('aria-sort'), 'descending');
+        assert.equal($('leaderboardRows').querySelectorAll('.leaderboard-actions button').length, 4);
+    });
+
+    it('pops up earned achievements and lists them in the trophy case', async () => {
+        const renderer = await startedRenderer([{}, {}]);
+        const { engine } = renderer;
+        engine.theme.achievements = [{ id: 'first', type: 'correct', value: 1 }, { id: 'many', type: 'answered', value: 100 }];
+        $('achievementToast').classList.remove('visible'); // Earlier rounds on this page earned the default ones
+        engine.login('tester');
+        engine.beginSession({}, 2);
+        engine.selectAnswer(engine.currentCorrectShuffled[0]);
+
+        assert.ok($('achievementToast').classList.contains('visible'));
+        assert.equal($('achievementToast').textContent, '🏆 Achievement unlocked!✅ First Correct Answer');
+        clearTimeout(renderer.toastTimer);
+
+        renderer.showTrophies();
+        assert.ok($('trophyScreen').classList.contains('active'));
+        assert.equal($('trophySummary').textContent, '1 of 2 earned');
+        const trophies = $('trophyList').querySelectorAll('.trophy');
+        assert.deepEqual([...trophies].map(item => item.className), ['trophy earned', 'trophy locked']);
+        assert.equal(trophies[1].querySelector('.trophy-earned').textContent, '🔒 Not earned yet');
+        renderer.hideTrophies();
+        assert.ok($('gameScreen').classList.contains('active'));
+    });
+
+    it('reports a question from its result and lists the reports on the stats screen', async () => {
+        const renderer = await startedRenderer([{ question: 'Who rules Olympus?' }, {}]);
+        const { engine } = renderer;
+        engine.login('tester');
+        engine.beginSession({}, 2);
+        engine.selectAnswer(0);
+        const questionId = engine.currentQuestionId;
+
+        $('resultContainer').querySelector('.report-link').click();
+        assert.ok($('reportDialog').classList.contains('visible'));
+        assert.equal($('reportQuestionText').textContent, engine.questionsById.get(questionId).question);
+        assert.equal(dom.window.document.activeElement, $('reportReason'));
+
+        $('reportReason').value = 'typo';
+        $('reportComment').value = 'Olympos';
+        await renderer.submitReport();
+        assert.ok(!$('reportDialog').classList.contains('visible'));
+        const link = $('resultContainer').querySelector('.report-link');
+        assert.ok(link.disabled);
+        assert.equal(link.textContent, '✅ Reported — thank you!');
+        const [report] = await engine.getReports();
+        assert.deepEqual([report.questionId, report.reason, report.comment], [questionId, 'typo', 'Olympos']);
+
+        renderer.showStats();
+        await renderer.renderReportSummary();
+        assert.equal($('reportTools').style.display, '');
+        assert.equal($('reportSummary').textContent, 'You have reported 1 question problem.');
+    });
+
+    it('offers the analytics opt-out only when there is a tracker and no Do Not Track', async () => {
+        const analytics = new QuizAnalytics({ storage: createStorage(), doNotTrack: false });
+        const engine = createEngine({ bytes: await buildDb([{}]), analytics });
+        const renderer = new QuizRenderer(engine, dom.window.document);
+        renderer.showAnalyticsToggle();
+        assert.equal($('analyticsToggle').style.display, '');
+        assert.equal($('analyticsOptIn').checked, true);
+
+        $('analyticsOptIn').click();
+        assert.equal(analytics.isEnabled(), false);
+        assert.equal(analytics.storage.getItem(QuizAnalytics.ANALYTICS_OPT_OUT_KEY), '1');
+
+        analytics.doNotTrack = true;
+        renderer.showAnalyticsToggle();
+        assert.equal($('analyticsToggle').style.display, 'none');
+    });
+
+    it('switches the page to another language, right to left for Arabic', async () => {
+        const engine = createEngine({ bytes: await buildDb([{}]), theme: { locales: ['en', 'ar'] } });
+        const renderer = new QuizRenderer(engine, dom.window.document);
+        await renderer.initDatabase();
+        renderer.applyLocale();
+        const page = dom.window.document.documentElement;
+        assert.equal($('languageSelect').closest('.input-group').style.display, '');
+        assert.deepEqual([...$('languageSelect').options].map(option => option.value), ['en', 'ar']);
+
+        await renderer.changeLanguage('ar');
+        assert.equal(page.lang, 'ar');
+        assert.equal(page.dir, 'rtl');
+        assert.equal($('startBtn').textContent, 'ابدأ الاختبار', 'the quiz has no Arabic text of its own');
+        assert.equal($('leaderboardScreen').querySelector('[data-sort="name"]').textContent, 'اللاعب');
+        assert.equal($('progressBar').getAttribute('aria-label'), 'تقدّم الجولة');
+        assert.equal(dom.window.document.title, '⚡ Greek Mythology Trivia ⚡', 'untranslated quiz texts stay as they are');
+
+        await renderer.changeLanguage('en');
+        assert.equal(page.dir, 'ltr');
+        assert.equal($('startBtn').textContent, 'Begin Your Quest');
+        assert.equal($('leaderboardScreen').querySelector('[data-sort="name"]').textContent, 'Player');
+    });
+
+    it('labels the wiki link in the language being played, and leaves it out of the announcement', async (t) => {
+        const engine = createEngine({ bytes: await buildDb([{ wiki: 'https://en.wikipedia.org/wiki/Zeus' }]), theme: { locales: ['en', 'ar'] } });
+        const renderer = new QuizRenderer(engine, dom.window.document);
+        await renderer.initDatabase();
+        await renderer.changeLanguage('ar');
+        const announce = t.mock.method(renderer, 'announce', () => {});
+        $('username').value = 'tester';
+        renderer.startGame();
+        const wrong = [0, 1, 2, 3].find(i => !engine.currentCorrectShuffled.includes(i));
+        engine.selectAnswer(wrong);
+
+        assert.equal($('resultContainer').querySelector('.wiki-link-small').textContent, '[ويكي]');
+        assert.match(announce.mock.calls.at(-1).arguments[0], /إجابة خاطئة/);
+        assert.doesNotMatch(announce.mock.calls.at(-1).arguments[0], /ويكي]/);
+        await renderer.changeLanguage('en');
+    });
+
+    it('goes back to the login screen when Play Again finds no questions', async (t) => {
+        const renderer = await startedRenderer([{}]);
+        $('username').value = 'tester';
+        $('startBtn').click();
+        renderer.engine.selectAnswer(0);
+        renderer.engine.nextQuestion();
+        const playAgain = t.mock.method(renderer.engine, 'playAgain', () => false);
+
+        $('completionScreen').querySelector('[data-action="playAgain"]').click();
+        assert.equal(playAgain.mock.callCount(), 1);
+        assert.ok($('loginScreen').classList.contains('active'));
+        assert.match($('loadingIndicator').textContent, /No questions match/);
+    });
+
+    it('gives each quiz on a page its own free-text input', async () => {
+        // Each quiz's markup stays out of the document: jsdom's scoped '#id' lookups miss an element when the
+        // document has another with that id (browsers find it)
+        const markup = loadPage().window.document.body.innerHTML;
+        const quizzes = [];
+        for (const question of ['Who rules Olympus?', 'Who rules the sea?']) {
+            const root = dom.window.document.createElement('section');
+            root.innerHTML = markup;
+            const engine = createEngine({ bytes: await buildDb([{ type: 'text', question, options: ['Zeus', 'Poseidon', null, null] }]) });
+            const renderer = new QuizRenderer(engine, root);
+            await renderer.initDatabase();
+            root.querySelector('#username').value = 'tester';
+            renderer.startGame();
+            quizzes.push({ root, engine, renderer });
+        }
+
+        const inputs = quizzes.map(({ root }) => root.querySelector('.text-answer'));
+        assert.notEqual(inputs[0].id, inputs[1].id);
+        assert.deepEqual(inputs.map(input => input.getAttribute('aria-label')), ['Who rules Olympus?', 'Who rules the sea?']);
+
+        inputs[1].value = 'Poseidon';
+        quizzes[1].renderer.submitAnswer();
+        assert.equal(quizzes[1].engine.answerHistory[0].isCorrect, true);
+        assert.equal(quizzes[0].engine.sessionAnswered, 0);
+    });
+
+    it('does not sign in before the DB has loaded', async () => {
+        const engine = createEngine({ bytes: await buildDb([{}]) });
+        const renderer = new QuizRenderer(engine, dom.window.document);
+        $('username').value = 'tester';
+        renderer.startGame();
+        renderer.startDailyChallenge();
+        assert.equal(engine.currentUser, null);
+    });
+
+    it('reports a DB that fails to load', async (t) => {
+        t.mock.method(console, 'error', () => {});
+        $('loadingIndicator').textContent = '';
+        const engine = createEngine({ fetch: async () => { throw new Error('offline'); } });
+        await new QuizRenderer(engine, dom.window.document).initDatabase();
+        assert.match($('loadingIndicator').textContent, /Failed to load questions/);
+    });
+});